@@ -4,8 +4,11 @@ var cookieParser = require('cookie-parser');
 var logger = require('morgan');
 
 var indexRouter = require('./routes/index');
+var apiRouter = require('./routes/api');
 
 var app = express();
+//the largest body of a text to be annotated
+const MAX_ANNOTATE_SIZE = '2mb';
 var requestIp = require('request-ip');
 var net = require('net');
 
@@ -23,11 +26,24 @@ app.use(function (req, res, next) {
   next();
 });
 app.use(logger('dev'));
+//the texts to be annotated can be whole documents, so their route takes larger bodies than the other ones,
+// which are then skipped by the default parser
+app.use(['/annotate', '/datasets/:datasetId/annotate'], express.json({limit: MAX_ANNOTATE_SIZE}));
 app.use(express.json());
 app.use(express.urlencoded({extended: false}));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 
+app.use('/api/v1', apiRouter);
 app.use('/', indexRouter);
+//the bodies that can't be read, as too large or malformed ones, are answered with the same json errors as the routes
+app.use(function (err, req, res, next) {
+  if (!err.expose) {
+    return next(err);
+  }
+  let error = err.type === 'entity.too.large' ?
+    'The request is too large, at most ' + Math.round(err.limit / 1024) + ' KB are accepted' : err.message;
+  res.status(err.status).json({error});
+});
 
 module.exports = app;
@@ -15,30 +15,75 @@ function TreeBuilder(identifier) {
   /**
    * Method for detecting cycles in the graph
    * This method is called before compiling the tree, to ensure the validity of the tree
-   * The method is recursive, however for first call, it should be called with: node=rootNode, names={}
+   * Since a node may have several parents, it can be reached more than once without being in a cycle,
+   *  so only the nodes on the current path are considered
+   * The method is recursive, however for first call, it should be called with: node=rootNode, path={}, done={}
    * @param node the current node
-   * @param visitedSet: set of the visited nodes until now
+   * @param path: set of the nodes on the path from the root to the current node
+   * @param done: set of the nodes whose descendants were already checked
    * @returns {boolean}: whether or not the graph contain a cycle
    */
-  function cycleDetection(node, visitedSet) {
-    if (visitedSet.hasOwnProperty(node.name)) {
+  function cycleDetection(node, path, done) {
+    if (path.hasOwnProperty(node.id)) {
       return true;
     }
+    if (done.hasOwnProperty(node.id)) {
+      return false;
+    }
     let cycle = false;
-    visitedSet[node.name] = 1;
+    path[node.id] = 1;
     node.children.forEach(function (child) {
-      cycle |= cycleDetection(child, visitedSet);
+      cycle = cycle || cycleDetection(child, path, done);
     });
+    delete path[node.id];
+    done[node.id] = 1;
     return cycle;
   }
 
+  /**
+   * Find the cycles in the graph, including the ones that can't be reached from any root
+   * A cycle is reported for each link found going back to a node on the current path of the depth first search,
+   *  so overlapping cycles may not all be listed
+   * @returns {string[][]}: list of the cycles, each as the ids of its nodes, starting and ending with the same node
+   */
+  tb.findCycles = function () {
+    let cycles = [];
+    let path = [];
+    //node id->position on the current path
+    let onPath = {};
+    let done = {};
+
+    function visit(node) {
+      onPath[node.id] = path.length;
+      path.push(node.id);
+      node.children.forEach(function (child) {
+        if (onPath.hasOwnProperty(child.id)) {
+          cycles.push(path.slice(onPath[child.id]).concat([child.id]));
+        } else if (!done.hasOwnProperty(child.id)) {
+          visit(child);
+        }
+      });
+      path.pop();
+      delete onPath[node.id];
+      done[node.id] = 1;
+    }
+
+    Object.keys(tree).forEach(function (nodeId) {
+      if (!done.hasOwnProperty(nodeId)) {
+        visit(tree[nodeId]);
+      }
+    });
+    return cycles;
+  };
+
   /**
    * Method for Creating a node in the tree
    * For each node, the following attributes will be created:
    *  {
    *    name: the identifier of the node
    *    children: list of all children of this node
-   *    parent: the parent of the node
+   *    parent: the first parent of the node
+   *    parents: the ids of all the parents of the node
    *    data: the data attached with the node, which is initially the object sent as a parameter
    *  }
    * @param node: the data of the node to be created
@@ -53,6 +98,7 @@ function TreeBuilder(identifier) {
     tree[nodeId] = {
       'children': [],
       'parent': undefined,
+      'parents': [],
       'data': node
     };
     let nodeName=node.name?node.name:node.id;
@@ -64,7 +110,7 @@ function TreeBuilder(identifier) {
   /**
    * Method for adding a child to a certain node
    * If the parent or the child doesn't exist in the tree, they will be created
-   * If the child already has a parent, the method will through an error
+   * A child may have several parents (polyhierarchy), adding the same parent twice has no effect
    * @param parent: the parent node
    *                identifier(node) should give the id of the node
    * @param child: the child node
@@ -77,16 +123,139 @@ function TreeBuilder(identifier) {
     if (!childNode) {
       childNode = tb.createNode(child);
     }
-    if (childNode.parent !== undefined) {
-      throw ' node' + childNode.name + ' has a parent!';
+    if (childNode.parents.indexOf(parentId) !== -1) {
+      return;
     }
     let parentNode = tb.getNode(parentId);
     if (!parentNode) {
       parentNode = tb.createNode(parent);
     }
-    childNode.parent = parentId;
+    if (childNode.parent === undefined) {
+      childNode.parent = parentId;
+    }
+    childNode.parents.push(parentId);
     parentNode.children.push(tree[childId]);
   };
+  /**
+   * Check whether a node is an ancestor of another node, by following the parents links up from the latter
+   * @param ancestorId: the id of the possible ancestor
+   * @param nodeId: the id of the node
+   * @returns {boolean}
+   */
+  tb.isAncestor = function (ancestorId, nodeId) {
+    let visited = {};
+    let stack = [nodeId];
+    while (stack.length) {
+      let node = tb.getNode(stack.pop());
+      if (!node) {
+        continue;
+      }
+      for (let i = 0; i < node.parents.length; ++i) {
+        let parentId = node.parents[i];
+        if (parentId === ancestorId) {
+          return true;
+        }
+        if (!visited.hasOwnProperty(parentId)) {
+          visited[parentId] = 1;
+          stack.push(parentId);
+        }
+      }
+    }
+    return false;
+  };
+  /**
+   * Check whether a node can be added as a child of another node, without making a cycle
+   * @param parentId: the id of the parent node
+   * @param childId: the id of the child node
+   * @returns {boolean}: false if any of the nodes doesn't exist, they are the same node,
+   *          the parent is already a parent of the child, or the child is an ancestor of the parent
+   */
+  tb.canAddChild = function (parentId, childId) {
+    let childNode = tb.getNode(childId);
+    return tb.getNode(parentId) !== undefined && childNode !== undefined && parentId !== childId &&
+      childNode.parents.indexOf(parentId) === -1 && !tb.isAncestor(childId, parentId);
+  };
+  /**
+   * Remove the link between a parent and its child, the nodes themselves are kept
+   * A child left with no parents becomes a root of the tree
+   * @param parentId: the id of the parent node
+   * @param childId: the id of the child node
+   * @returns {boolean}: whether the link existed
+   */
+  tb.removeChild = function (parentId, childId) {
+    let childNode = tb.getNode(childId);
+    let parentNode = tb.getNode(parentId);
+    if (!childNode || !parentNode || childNode.parents.indexOf(parentId) === -1) {
+      return false;
+    }
+    childNode.parents.splice(childNode.parents.indexOf(parentId), 1);
+    childNode.parent = childNode.parents[0];
+    parentNode.children.splice(parentNode.children.indexOf(childNode), 1);
+    return true;
+  };
+  /**
+   * Move a node from one of its parents to another parent
+   * The new parent takes the place of the old one among the parents of the node, so moving from the first parent
+   *  keeps the node under its new parent when the tree is compiled
+   * @param nodeId: the id of the node to be moved
+   * @param fromId: the id of the current parent, if not given the new parent is added to the parents of the node
+   * @param toId: the id of the new parent, if not given the node is only removed from its current parent
+   */
+  tb.moveNode = function (nodeId, fromId, toId) {
+    let node = tb.getNode(nodeId);
+    if (!node) {
+      throw 'There is no node with the given Id!';
+    }
+    if (fromId !== undefined && node.parents.indexOf(fromId) === -1) {
+      throw 'The node is not a child of the given parent!';
+    }
+    if (toId !== undefined && !tb.canAddChild(toId, nodeId)) {
+      throw 'The node can not be moved under the given parent, it would make a cycle or a duplicate link!';
+    }
+    if (toId === undefined) {
+      tb.removeChild(fromId, nodeId);
+      return;
+    }
+    if (fromId === undefined) {
+      tb.addChild(tb.getNode(toId).data, node.data);
+      return;
+    }
+    let fromNode = tb.getNode(fromId);
+    fromNode.children.splice(fromNode.children.indexOf(node), 1);
+    node.parents[node.parents.indexOf(fromId)] = toId;
+    node.parent = node.parents[0];
+    tb.getNode(toId).children.push(node);
+  };
+  /**
+   * Rename a node, by changing the name of both the node and its data
+   * @param nodeId: the id of the node
+   * @param name: the new name
+   */
+  tb.renameNode = function (nodeId, name) {
+    let node = tb.getNode(nodeId);
+    if (!node) {
+      throw 'There is no node with the given Id!';
+    }
+    node.name = name;
+    node.data.name = name;
+  };
+  /**
+   * Remove a node from the tree, along with its links to its parents and children
+   * Its children are kept, and the ones left with no parents become roots of the tree
+   * @param nodeId: the id of the node
+   * @returns {*}: the removed node, or undefined if it doesn't exist
+   */
+  tb.removeNode = function (nodeId) {
+    let node = tb.getNode(nodeId);
+    if (!node) {
+      return undefined;
+    }
+    node.parents.slice().forEach(parentId => tb.removeChild(parentId, nodeId));
+    node.children.slice().forEach(child => tb.removeChild(nodeId, child.id));
+    delete tree[nodeId];
+    --sz;
+    return node;
+  };
   /**
    * Returns a list of all the ids of the nodes in the tree
    * @returns {string[]} list of ids of the nodes in the tree
@@ -100,7 +269,29 @@ function TreeBuilder(identifier) {
    * @returns $ObjMap|undefined: the node with the given id, or undefined if none exists
    */
   tb.getNode = function (nodeId) {
-    return tree[nodeId];
+    return tree.hasOwnProperty(nodeId) ? tree[nodeId] : undefined;
+  };
+  /**
+   * Get the path from a root of the tree down to the node with the given id
+   * When a node has several parents, the path goes through the first one of them
+   * @param nodeId: the id of the node
+   * @returns {string[]|undefined}: the ids of the nodes on the path, starting with the root and ending with the node,
+   *          or undefined if the node doesn't exist
+   */
+  tb.getPath = function (nodeId) {
+    let node = tb.getNode(nodeId);
+    if (!node) {
+      return undefined;
+    }
+    let path = [nodeId];
+    let visited = {};
+    visited[nodeId] = 1;
+    while (node.parent !== undefined && !visited.hasOwnProperty(node.parent)) {
+      visited[node.parent] = 1;
+      path.unshift(node.parent);
+      node = tb.getNode(node.parent);
+    }
+    return path;
   };
   /**
    * Produce the tree object of the current status of the tree.
@@ -120,6 +311,9 @@ function TreeBuilder(identifier) {
    *      ]
    *    }
    *
+   * Nodes with several parents appear under each one of them, with their whole subtree duplicated.
+   * Their `parents` attribute lists the ids of all of their parents.
+   *
    * @returns {*} If there is a cycle in the built graph, undefined will be returned.
    *              Otherwise, data object representing the tree DS to be used as the data
    *                 object in the d3tree
@@ -134,11 +328,40 @@ function TreeBuilder(identifier) {
         root.children.push(tree[node]);
       }
     });
-    if (cycleDetection(root, {})) {
+    if (cycleDetection(root, {}, {})) {
       return undefined;
     }
     return root;
   };
+  /**
+   * Produce the DAG object of the current status of the tree, where each node appears once.
+   * The format of the DAG object is:
+   * {
+   *      nodes: [{id: nodeId, name: nodeName, parents: [parentId, ...], data: nodeData}, ...],
+   *      links: [{source: parentId, target: childId}, ...],
+   *      roots: [id of the nodes with no parents, ...]
+   *    }
+   *
+   * @returns {*} If there is a cycle in the built graph, undefined will be returned.
+   *              Otherwise, the DAG object
+   */
+  tb.compileDag = function () {
+    if (tb.compile() === undefined) {
+      return undefined;
+    }
+    let dag = {nodes: [], links: [], roots: []};
+    Object.keys(tree).forEach(function (id) {
+      let node = tree[id];
+      dag.nodes.push({id: node.id, name: node.name, parents: node.parents, data: node.data});
+      node.children.forEach(function (child) {
+        dag.links.push({source: node.id, target: child.id});
+      });
+      if (node.parent === undefined) {
+        dag.roots.push(node.id);
+      }
+    });
+    return dag;
+  };
   /**
    * Clear the tree from all of its nodes
    */
@@ -0,0 +1,218 @@
+let {removeAccents} = require('./textMatching');
+
+/**
+ * Class function for finding the terms of the ontology in a free text, as for tagging documents with the terms
+ *
+ * The names, the preferred labels in the other languages and the alternative names of the terms are matched
+ *  word by word, where the words are compared without their case and accents, and reduced to a common stem
+ *  (see `stem`), so the plurals and other inflections of a label match it as well.
+ * A label may be matched by several words, and the longest matches are preferred: a match that overlaps
+ *  a longer one is dropped, as `water` within `drinking water`.
+ *
+ * @param tree: {TreeBuilder}: the tree holding the terms
+ * @returns {*} new instance of the class
+ */
+function Annotator(tree) {
+  //the fields the labels are taken from, best first, for telling which label of a term was matched
+  const FIELDS = ['name', 'label', 'alternative_name'];
+  //the pattern of the words of a text, as runs of letters and digits in any script
+  const WORD = /[\p{L}\p{N}]+/gu;
+  //`this` object
+  let annotator = {};
+  //stems of the words of a label joined by spaces->{id, field, text} entries of the terms having the label
+  let labels;
+  //the largest number of words of a label
+  let longest;
+
+  /**
+   * Split a text into its words
+   * @param text: the text
+   * @returns {{text: string, start: number, end: number}[]}: the words with their offsets in the text, end excluded
+   */
+  function words(text) {
+    let found = [];
+    let match;
+    WORD.lastIndex = 0;
+    while ((match = WORD.exec(text)) !== null) {
+      found.push({text: match[0], start: match.index, end: match.index + match[0].length});
+    }
+    return found;
+  }
+
+  /**
+   * Reduce a word to its stem, after lowering its case and removing its accents
+   * The stemming is a light one for english: the plural endings are removed, then the `ing` and `ed` endings
+   *  along with a doubled consonant before them, and a final `e`, so `wastes`, `wasting`, `wasted` and `waste`
+   *  all give `wast`. Short words are only lower cased, as their endings are rarely inflections.
+   * @param word: the word
+   * @returns {string}: the stem
+   */
+  function stem(word) {
+    word = removeAccents(word).toLowerCase();
+    if (word.length <= 3 || !/^[a-z]+$/.test(word)) {
+      return word;
+    }
+    if (/[^ae]ies$/.test(word)) {
+      word = word.slice(0, -3) + 'y';
+    } else if (/(ss|ch|sh|x|z)es$/.test(word)) {
+      word = word.slice(0, -2);
+    } else if (/[^sui]s$/.test(word)) {
+      word = word.slice(0, -1);
+    }
+    let ending = /(ing|ed)$/.exec(word);
+    if (ending && /[aeiouy].*[^aeiouy]/.test(word.slice(0, -ending[0].length))) {
+      word = word.slice(0, -ending[0].length);
+      if (/([^aeioulsz])\1$/.test(word)) {
+        word = word.slice(0, -1);
+      }
+    }
+    return word.length > 3 && word.endsWith('e') ? word.slice(0, -1) : word;
+  }
+
+  /**
+   * Get the key of a label, as the stems of its words joined by spaces
+   * @param text: the label
+   * @returns {string}: the key, empty if the label has no words
+   */
+  function keyOf(text) {
+    return words(String(text)).map(word => stem(word.text)).join(' ');
+  }
+
+  /**
+   * Index the labels of the terms of the tree by their keys
+   */
+  function buildIndex() {
+    labels = new Map();
+    longest = 0;
+    tree.getNodesIds().forEach(id => {
+      let data = tree.getNode(id).data;
+      let add = (field, text) => {
+        let key = keyOf(text);
+        //single letters are too ambiguous to be annotated
+        if (key.length < 2) {
+          return;
+        }
+        let entries = labels.get(key) || [];
+        if (!entries.some(entry => entry.id === id)) {
+          entries.push({id, field, text});
+          labels.set(key, entries);
+          longest = Math.max(longest, key.split(' ').length);
+        }
+      };
+      add('name', data.name || id);
+      (data.labels || []).forEach(label => add('label', label.text));
+      (data.alternative_names || []).forEach(text => add('alternative_name', text));
+    });
+    labels.forEach(entries => entries.sort((a, b) => FIELDS.indexOf(a.field) - FIELDS.indexOf(b.field)));
+  }
+
+  /**
+   * Get the ancestors of some terms, along with the number of the matches of the terms under each of them
+   * @param counts: id->the number of matches of each matched term
+   * @returns {Map}: id of each ancestor->the number of matches under it, where the matches of each term
+   *          are counted once even when the term is under the ancestor through several parents
+   */
+  function ancestorsOf(counts) {
+    let ancestors = new Map();
+    Object.keys(counts).forEach(id => {
+      let seen = new Set([id]);
+      let queue = [id];
+      for (let head = 0; head < queue.length; ++head) {
+        tree.getNode(queue[head]).parents.filter(parent => !seen.has(parent)).forEach(parent => {
+          seen.add(parent);
+          queue.push(parent);
+          ancestors.set(parent, (ancestors.get(parent) || 0) + counts[id]);
+        });
+      }
+    });
+    return ancestors;
+  }
+
+  /**
+   * Find the terms in a text
+   * @param text: the text to be annotated
+   * @param ancestors: whether to list the ancestors of the matched terms as well, as the broader terms
+   *                   the text is about
+   * @returns {{matches: Array, concepts: Array}}: the matches in the order of the text, and the found terms:
+   *  matches: {
+   *    start, end: the offsets of the match in the text, end excluded
+   *    text: the matched text
+   *    concepts: the terms having the matched label, more than one when the label is ambiguous, as {id, field, label},
+   *              where field tells where the label was found: name, label (a preferred label in another language)
+   *              or alternative_name
+   *  }
+   *  concepts: {
+   *    id: the id of the term
+   *    occurrences: the number of the matches of the term, or for an ancestor the number of the matches
+   *                 of the terms under it
+   *    ancestor: whether the term was only added as an ancestor of the matched terms
+   *    path: the ids of the terms from the root down to the term
+   *  }, the matched terms by their number of matches, followed by their ancestors
+   */
+  annotator.annotate = function (text, ancestors) {
+    if (!labels) {
+      buildIndex();
+    }
+    let found = words(text || '');
+    let stems = found.map(word => stem(word.text));
+    //every match of every label, the longest first, then in the order of the text
+    let candidates = [];
+    stems.forEach((cur, start) => {
+      for (let length = Math.min(longest, stems.length - start); length > 0; --length) {
+        let entries = labels.get(stems.slice(start, start + length).join(' '));
+        if (entries) {
+          candidates.push({first: start, last: start + length - 1, entries});
+        }
+      }
+    });
+    candidates.sort((a, b) => (b.last - b.first) - (a.last - a.first) || a.first - b.first);
+    let taken = [];
+    let matches = candidates.filter(candidate => {
+      for (let idx = candidate.first; idx <= candidate.last; ++idx) {
+        if (taken[idx]) {
+          return false;
+        }
+      }
+      for (let idx = candidate.first; idx <= candidate.last; ++idx) {
+        taken[idx] = true;
+      }
+      return true;
+    }).sort((a, b) => a.first - b.first).map(candidate => {
+      let start = found[candidate.first].start, end = found[candidate.last].end;
+      return {
+        start,
+        end,
+        text: text.slice(start, end),
+        concepts: candidate.entries.map(entry => ({id: entry.id, field: entry.field, label: entry.text}))
+      };
+    });
+
+    let counts = {};
+    matches.forEach(match => match.concepts.forEach(concept => {
+      counts[concept.id] = (counts[concept.id] || 0) + 1;
+    }));
+    let concepts = Object.keys(counts).map(id => ({id, occurrences: counts[id], ancestor: false}))
+      .sort((a, b) => b.occurrences - a.occurrences);
+    if (ancestors) {
+      let broader = [];
+      ancestorsOf(counts).forEach((occurrences, id) => {
+        if (!counts.hasOwnProperty(id)) {
+          broader.push({id, occurrences, ancestor: true});
+        }
+      });
+      concepts = concepts.concat(broader.sort((a, b) => b.occurrences - a.occurrences));
+    }
+    return {matches, concepts: concepts.map(concept => Object.assign(concept, {path: tree.getPath(concept.id)}))};
+  };
+
+  /**
+   * Clear the index, it should be called whenever the terms change
+   */
+  annotator.clear = function () {
+    labels = undefined;
+  };
+
+  return annotator;
+}
+
+module.exports = Annotator;
@@ -2,164 +2,191 @@
  * This module is for processing the ontology and definitions dataset
  * It uses d3Tree module to generate the tree visualization out of them
  * The process used here is very dataset specific, and may vary from ontology dataset to another
- * It assumes the existence of two files, one for ontology, which should be in the rdf
- *  format(but converted to json), and another one for the definitions.
+ * It assumes the existence of two files, one for ontology, which should be a SKOS vocabulary in one of the
+ *  formats of the loaders module (rdf converted to json by default), and another one for the definitions.
  *
- * The ontology dataset will be parsed and the tree structure will be generated out of it
+ * The ontology dataset will be read with SkosReader and the tree structure will be generated out of it
  *
  * Then the definitions will be matched to the ontology terms and add them as supporting data
  *
  * Those definitions will be displayed as additional information when the term is selected
  *
+ * Several datasets can be available at the same time: the default one read from the files in `data/`,
+ *  and the ones created from uploaded files, each identified by its id
  */
 let fs = require('fs');
+let path = require('path');
+let crypto = require('crypto');
 let Papa = require('papaparse');
 let DistanceMatrix = require('./distanceMatrix');
 let TreeBuilder = require('./TreeBuilder');
+let SkosReader = require('./skosReader');
+let loaders = require('./loaders');
+let DefinitionsMapping = require('./definitionsMapping');
+let QualityReport = require('./qualityReport');
+let DatasetCache = require('./datasetCache');
+let SourceWatcher = require('./sourceWatcher');
+let {Dataset, DatasetError} = require('./dataset');
 
 class DataPreprocessing {
-  /**
-   * Replace all the occurrences of a pattern in a string with another pattern
-   * @param find: the pattern to replace
-   * @param replace: the other pattern to replace with
-   * @returns {string}: the new string with all the ocurrences of <find> are replaced with <replace>
-   */
-  replaceAll(str, find, replace) {
-    let self = this;
-    return str.replace(new RegExp(DataPreprocessing.escapeRegExp(find), 'g'), replace);
-  };
-
-  /**
-   * Method for escaping special characters of the regex
-   * It's used when creating regular expressions out of a string
-   * @param str: the string to be escaped
-   * @returns {void | string}: the new string with all special regex characters escaped
-   */
-  static escapeRegExp(str) {
-    return str.replace(/([.*+?^=!:${}()|\[\]\/\\])/g, "\\$1");
-  }
-
-
-  /**
-   * Get the term name out of the url
-   * The term name is whatever comes after 'http://www.informea.org/terms/' in the url
-   *
-   * @param url{String}: the url from which the term will be retrieved
-   * @returns {String} the term extracted from the url
-   */
-  getTerm(url) {
-    return url.slice('http://www.informea.org/terms/'.length);
-  }
-
   /**
    * Parsing the ontology dataset, and generate the tree structure out of it
+   * The dataset is read as a SKOS vocabulary using SkosReader, where:
+   *  - every concept becomes a node identified by the local name of its uri
+   *  - the display name of the node is the preferred label, resolved through skos-xl labels
+   *  - the parents of the node are its `broader` concepts, concepts with no `broader` are roots of the tree
+   *  - the rdf definitions, schemes and top concept memberships are attached to the node data
+   *  - the non hierarchical relations (`related` and the mapping relations) are attached to the node data
+   *    as {type, uri, id}, where id is the id of the related concept if it's part of the ontology,
+   *    and those between concepts of the ontology are added to the distance matrix (see `addRelation`)
    * It uses TreeBuilder class to build the tree structure
+   * Concepts with the same id are merged into the first of them, and broader links to resources that aren't concepts
+   *  of the ontology are dropped, both are recorded in the quality report
    *
    * @param data{*}: the ontology dataset to be parsed
-   * @returns {{distanceMatrix: *, tree: *}}: the tree structure of the ontology
+   * @param report: {QualityReport}: the report for recording the problems of the ontology
+   * @returns {{distanceMatrix: *, tree: *, schemes: Array}}: the tree structure of the ontology
    */
-  parseOntology(data) {
+  parseOntology(data, report) {
     let tree = TreeBuilder(d => d.id);
     let distanceMatrix = DistanceMatrix();
-    let names = {};
-    let self = this;
-    data['Description'].forEach(function (term) {
-      let id = term['@about'];
-      if (!id.startsWith('http://www.informea.org/terms')) {
-        throw 'name start with no http' + id;
-      }
-
-      let name = self.getTerm(id);
-      if (names.hasOwnProperty(name)) {
+    let reader = SkosReader().read(data['Description']);
+    let schemes = reader.getSchemes();
+    let concepts = reader.getConcepts();
+    let ids = {};
+    concepts.forEach(function (concept) {
+      ids[concept.uri] = concept.id;
+      let existing = tree.getNode(concept.id);
+      if (existing) {
+        report.duplicateId(concept.id, concept.uri, existing.data.uri);
         return;
-        //throw 'repeated name' + name;
       }
-      if (!name.startsWith('xl_en') && term.hasOwnProperty('broader') && !names.hasOwnProperty(name)) {
-        names[name] = 1;
-        let parentId = term['broader']['@resource'];
-        let parent = self.getTerm(parentId);
-        if (parent === "" || parent === undefined) {
-          throw 'Parent name is undefined!';
+      tree.createNode({
+        id: concept.id,
+        uri: concept.uri,
+        name: concept.name,
+        labels: concept.labels,
+        alternative_names: concept.altLabels.map(label => label.text),
+        alternative_labels: concept.altLabels,
+        definitions: concept.definitions.map(definition => definition.text),
+        topics: concept.topics,
+        broader: concept.broader,
+        inScheme: concept.inScheme,
+        topConceptOf: concept.topConceptOf,
+        relations: []
+      });
+      distanceMatrix.createNode(concept.id);
+    });
+    concepts.forEach(function (concept) {
+      concept.broader.forEach(uri => {
+        if (!ids.hasOwnProperty(uri)) {
+          return report.unknownBroader(concept.id, uri);
         }
-        tree.addChild({id: parent, uri: parentId}, {id: name, uri: id});
-        distanceMatrix.addEdge(parent, name);
-      }
+        let parent = tree.getNode(ids[uri]);
+        let child = tree.getNode(concept.id);
+        //a merged concept may be broader than itself
+        if (parent !== child) {
+          tree.addChild(parent.data, child.data);
+          distanceMatrix.addEdge(parent.id, concept.id);
+        }
+      });
     });
-    console.log('number of ontology items in the tree', tree.size(), ' out of ', data['Description'].length);
-    return {tree, distanceMatrix};
+    concepts.forEach(function (concept) {
+      let data = tree.getNode(concept.id).data;
+      concept.relations.forEach(relation => {
+        let id = ids[relation.uri];
+        //a merged concept may be related to itself
+        if (id !== concept.id && !data.relations.some(cur => cur.type === relation.type && cur.uri === relation.uri)) {
+          data.relations.push({type: relation.type, uri: relation.uri, id});
+          if (id !== undefined) {
+            distanceMatrix.addRelation(relation.type, concept.id, id);
+          }
+        }
+      });
+    });
+    console.log('number of ontology items in the tree', tree.size(), ' out of ', concepts.length, ' concepts');
+    return {tree, distanceMatrix, schemes};
   }
 
   /**
-   * Process the definition name to make it match the terms in the ontology
-   * It:
-   *  1- Removes special characters
-   *  2- replaces spaces with dashes (-)
-   *  3- converts to lower case
-   *
-   * This process is done based on inspecting both definitions and ontology datasets
-   * @param name: the name of the definition to be processed
-   * @returns {string}: the name after processing
+   * Get a key for comparing definitions, which ignores everything but letters and digits
+   * It's used to detect the same definition coming from different files with different encodings
+   * @param text: the text of the definition
+   * @returns {string}: the key of the definition
    */
-  processName(name) {
-    name = this.replaceAll(name, '(', '');
-    name = this.replaceAll(name, ')', '');
-    name = this.replaceAll(name, ')', '');
-    name = this.replaceAll(name, '\'', '');
-    name = this.replaceAll(name, '  ', ' ');
-    name = this.replaceAll(name, ' ', '-');
-    name = name.toLowerCase();
-    return name;
+  definitionKey(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Split a definition into its parts with their sources
+   * Definitions may have several numbered parts, as in "1) first meaning (Source: A) 2) second meaning (Source: B)",
+   *  and each part may end with its source between parentheses as "(Source: ...)"
+   * @param text: the text of the definition
+   * @returns {{text: string, source: string}[]}: the parts of the definition, where source is undefined if not given
+   */
+  parseDefinition(text) {
+    let parts = /^\s*1\)\s/.test(text) ? text.split(/(?:^|\s)\d+\)\s+/) : [text];
+    return parts.filter(part => part.trim() !== '').map(part => {
+      let match = part.match(/^([\s\S]*?)\s*\(Sources?:\s*([\s\S]*)\)\s*$/i);
+      return match ? {text: match[1].trim(), source: match[2].trim()} : {text: part.trim(), source: undefined};
+    });
   }
 
   /**
    * Match the definitions with the ontology terms and add them as data to the tree nodes
+   * The columns of the definitions and how they are matched with the terms are given by the mapping
    *
    * @param tree: {TreeBuilder}: the tree structure of the ontology
    * @param definitions: the definitions to be matched with the ontology
+   * @param mapping: {DefinitionsMapping}: the mapping of the definitions columns, resolved with the header
+   *                 of the definitions file
+   * @param report: {QualityReport}: the report for recording the unmatched rows and the shared synonyms
    */
-  parseDefintions(tree, definitions) {
+  parseDefintions(tree, definitions, mapping, report) {
     let termWithDefinition = 0;
     let self = this;
     let unique = {};
-    definitions.forEach(function (definition) {
-      let name = self.processName(definition['Term']);
-      if (tree.getNode(name)) {
-        let node = tree.getNode(name);
-        node.data.topics = [];
-        node.data.alternative_names = [];
-        node.data.definitions = [];
-        for (let i = 1; i <= 4; ++i) {
-          if (definition['Topic #' + i] !== "") {
-            node.data.topics.push(definition['Topic #' + i]);
+    let matchTerm = mapping.matcher(tree);
+    report.definitionRows(definitions.length);
+    definitions.forEach(function (definition, idx) {
+      let node = matchTerm(definition);
+      if (!node) {
+        //the header is the first row of the file
+        report.unmatchedRow(idx + 2, mapping.term(definition));
+      } else {
+        let name = mapping.normalize(mapping.term(definition));
+        mapping.values(definition, 'topics').forEach(topic => {
+          if (node.data.topics.indexOf(topic) === -1) {
+            node.data.topics.push(topic);
           }
-        }
-        for (let i = 1; i <= 12; ++i) {
-          if (definition['Synonym #' + i] !== "") {
-            let syn = definition['Synonym #' + i];
-            if (syn === name) {
-              continue;
-            }
-            if (!unique.hasOwnProperty(syn)) {
-              unique[syn] = 1;
+        });
+        mapping.values(definition, 'synonyms').forEach(syn => {
+          if (syn === name) {
+            return;
+          }
+          report.synonym(syn, node.id);
+          if (!unique.hasOwnProperty(syn)) {
+            unique[syn] = 1;
+            if (node.data.alternative_names.indexOf(syn) === -1) {
               node.data.alternative_names.push(syn);
+              //the synonyms of the definitions file have no language
+              node.data.alternative_labels.push({text: syn, lang: undefined});
             }
           }
-        }
-        for (let i = 1; i <= 4; ++i) {
-          if (definition['Definition #' + i] !== "") {
-            node.data.definitions.push(definition['Definition #' + i]);
+        });
+        mapping.values(definition, 'definitions').forEach(text => {
+          //the ontology may already have the same definition attached to the concept, possibly with other encoding
+          let key = self.definitionKey(text);
+          if (!node.data.definitions.some(cur => self.definitionKey(cur) === key)) {
+            node.data.definitions.push(text);
           }
-        }
+        });
         node.data.Term = name;
         termWithDefinition++;
       }
     });
     console.log("Total unique names", Object.keys(unique).length);
-    Object.keys(unique).forEach(key => {
-      if (unique[key].length > 1) {
-        console.log("Term: " + key + "\t\t\t\t\t freq: " + unique[key]);
-      }
-    });
     console.log('number of matched definition', termWithDefinition, ' out of ', definitions.length);
     console.log('total terms with definitions ', termWithDefinition, ' out of ', tree.size());
   }
@@ -169,67 +196,448 @@ class DataPreprocessing {
    * It first parse the ontology and generate the tree strucutre
    * Then support the terms with additional definition
    * Finally, it compile the tree and return it to be used for d3tree visualization
+   * The distances between the terms are not computed here, but on demand using the returned distance matrix
    *
    * @param ontology: the ontology data on which the tree will be built
    * @param definitions: the definitions that will be used as additional information to the terms
+   * @param mapping: {DefinitionsMapping}: the mapping of the definitions columns, the default mapping if not given
+   * @returns {{tree: *, distanceMatrix: *, dag: *, treeBuilder: *, report: *}}: the compiled tree, the DistanceMatrix
+   *          of the terms, the compiled DAG, the TreeBuilder holding the terms and the data quality report
    */
-  processData(ontology, definitions) {
-    let {tree, distanceMatrix} = this.parseOntology(ontology);
-    this.parseDefintions(tree, definitions);
-    let treeData = {'ontologyTree': tree.compile(), 'ontologyList': tree.getNodesIds()};
-    let disData = distanceMatrix.compile();
+  processData(ontology, definitions, mapping) {
+    let report = QualityReport();
+    let {tree, distanceMatrix, schemes} = this.parseOntology(ontology, report);
+    if (!mapping) {
+      mapping = DefinitionsMapping();
+      mapping.resolve(definitions.length ? Object.keys(definitions[0]) : []);
+    }
+    this.parseDefintions(tree, definitions, mapping, report);
     let self = this;
-    disData.nodes.forEach((cur, idx) => {
-      let node = tree.getNode(cur);
-      disData.nodes[idx] = {
-        uri: node.data.uri,
-        name: self.replaceAll(cur, '-', ' '),
-        alternative_names: node.data.alternative_names.map(cur => self.replaceAll(cur, '-', ' ')),
-        definitions: node.data.definitions,
-        topics: node.data.topics
-      }
+    tree.getNodesIds().forEach(id => {
+      let data = tree.getNode(id).data;
+      data.definition_details = [].concat.apply([], data.definitions.map(text => self.parseDefinition(text)));
+    });
+    return this.compileData(tree, distanceMatrix, schemes, report.compile(tree, schemes));
+  }
+
+  /**
+   * Compile the tree of the processed terms, in the format returned by `processData`
+   *
+   * @param tree: {TreeBuilder}: the tree holding the terms
+   * @param distanceMatrix: {DistanceMatrix}: the distance matrix of the terms
+   * @param schemes: the concept schemes of the ontology
+   * @param report: the compiled data quality report
+   * @returns {{tree: *, distanceMatrix: *, dag: *, treeBuilder: *, report: *}}
+   */
+  compileData(tree, distanceMatrix, schemes, report) {
+    let ontologyTree = tree.compile();
+    //a vocabulary with a single scheme is shown under the name of that scheme
+    if (ontologyTree && schemes.length === 1) {
+      ontologyTree.name = schemes[0].name;
+      ontologyTree.uri = schemes[0].uri;
+      ontologyTree.labels = schemes[0].labels;
+    }
+    let treeData = {'ontologyTree': ontologyTree, 'ontologyList': tree.getNodesIds(), 'schemes': schemes};
+    return {
+      tree: treeData,
+      distanceMatrix,
+      dag: tree.compileDag(),
+      treeBuilder: tree,
+      report
+    };
+  }
+
+  /**
+   * Get the cache entry of a newly created dataset, holding what's needed for restoring it without processing its files:
+   *  its name, its warnings, the json form of its ontology, the concept schemes, the data quality report,
+   *  and its terms with their data and parents
+   *
+   * @param dataset: {Dataset}: the dataset, which shouldn't be edited yet
+   * @returns {*}: the entry
+   */
+  cacheEntry(dataset) {
+    let tree = dataset.treeBuilder;
+    return {
+      name: dataset.name,
+      warnings: dataset.warnings,
+      ontology: dataset.source.toJson(),
+      schemes: dataset.tree.schemes,
+      report: dataset.report,
+      terms: tree.getNodesIds().map(id => ({data: tree.getNode(id).data, parents: tree.getNode(id).parents}))
+    };
+  }
+
+  /**
+   * Restore the processed terms of a dataset from its cache entry (see `cacheEntry`)
+   *
+   * @param entry: the cache entry
+   * @returns {{tree: *, distanceMatrix: *, dag: *, treeBuilder: *, report: *}}: the processed terms,
+   *          in the format returned by `processData`
+   */
+  restoreData(entry) {
+    let tree = TreeBuilder(d => d.id);
+    let distanceMatrix = DistanceMatrix();
+    entry.terms.forEach(term => {
+      tree.createNode(term.data);
+      distanceMatrix.createNode(term.data.id);
     });
-    return {tree: treeData, distanceMatrix: disData};
+    entry.terms.forEach(term => term.parents.forEach(parentId => {
+      tree.addChild(tree.getNode(parentId).data, term.data);
+      distanceMatrix.addEdge(parentId, term.data.id);
+    }));
+    entry.terms.forEach(term => term.data.relations.filter(relation => relation.id !== undefined)
+      .forEach(relation => distanceMatrix.addRelation(relation.type, term.data.id, relation.id)));
+    return this.compileData(tree, distanceMatrix, entry.schemes, entry.report);
   }
 
   /**
-   * Method for loading the ontology and definitions datasets
-   * Since the loading is done asyncronously, a callback function must be provided
+   * Parse the content of a definitions file
+   * The file is a csv file with a header, where the columns holding the term and the information about it
+   *  are given by the mapping (see DefinitionsMapping class)
+   * Malformed rows are still read as well as possible, and reported as warnings
    *
+   * @param content: the content of the definitions file
+   * @param mapping: {DefinitionsMapping}: the mapping of the columns, which gets resolved with the header of the file
+   * @returns {{definitions: Array, errors: string[], warnings: string[]}}: the rows of the file, the problems
+   *          that prevent using it, and the ones that don't
    */
-  async loadData(callback) {
-    this.ontology = JSON.parse(fs.readFileSync(__dirname + '/../data/ontology.json', "utf8"));
-    let content = fs.readFileSync(__dirname + '/../data/definitions.csv', "utf8");
-    this.definitions = (await Papa.parse(content, {
+  parseDefinitionsFile(content, mapping) {
+    let result = Papa.parse(content, {
       header: true,
       escapeChar: '\\',
-      skipEmptyLines: true,
-      encoding: "ISO-8859-3"
-    })).data;
-    callback();
+      skipEmptyLines: true
+    });
+    let errors = [];
+    let warnings = result.errors.map(error =>
+      'Definitions file' + (error.row === undefined ? '' : ' row ' + (error.row + 1)) + ': ' + error.message);
+    if (!result.data.length) {
+      errors.push('Definitions file: no rows were found');
+    } else {
+      let resolved = mapping.resolve(result.meta.fields);
+      errors = errors.concat(resolved.errors);
+      warnings = resolved.warnings.concat(warnings);
+    }
+    return {definitions: result.data, errors, warnings};
   }
 
-  constructor() {
+  /**
+   * Read the mapping of the definitions columns
+   * @param mapping: the mapping, either as an object or as json text, the default mapping is used if not given
+   * @returns {DefinitionsMapping}: the mapping
+   * @throws {DatasetError}: if the mapping is invalid
+   */
+  readMapping(mapping) {
+    if (typeof mapping === 'string') {
+      try {
+        mapping = mapping.trim() ? JSON.parse(mapping) : undefined;
+      } catch (error) {
+        throw new DatasetError('The column mapping is invalid', ['Mapping: ' + error.message]);
+      }
+    }
+    if (mapping !== undefined && (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping))) {
+      throw new DatasetError('The column mapping is invalid', ['Mapping: it should be a json object']);
+    }
+    let result = DefinitionsMapping(mapping);
+    let errors = result.validate();
+    if (errors.length) {
+      throw new DatasetError('The column mapping is invalid', errors);
+    }
+    return result;
+  }
+
+  /**
+   * Create a dataset out of the contents of an ontology file and an optional definitions file
+   * The ontology is parsed by the loader of its format, which is given by the `format` option,
+   *  or selected from the file name otherwise (see loaders module for the available formats)
+   * The dataset is added to the available datasets, replacing any existing one with the same id
+   *
+   * @param options: the dataset to be created:
+   *  {
+   *    id: the id of the dataset, a new one is generated if not given
+   *    name: the display name of the dataset, the name of the ontology file by default
+   *    ontology: the content of the ontology file
+   *    ontologyFile: the name of the ontology file
+   *    format: the format of the ontology file
+   *    definitions: the content of the definitions file, if any
+   *    mapping: the mapping of the definitions columns, as an object or as json text (see DefinitionsMapping class)
+   *    saveFile: the path of the json file the edited ontology is written back to, the edits are only kept
+   *      in memory if not given
+   *    hashes: the hashes of the files, as {ontology, definitions, mapping}, for datasets loaded from files
+   *  }
+   * @returns {Promise<Dataset>}: the created dataset
+   * @throws {DatasetError}: if the files can't be processed, with the list of the problems found in them
+   */
+  async createDataset(options) {
+    let id = options.id || this.generateDatasetId();
+    let name = options.name || options.ontologyFile || id;
+    if (!options.ontology || !String(options.ontology).trim()) {
+      throw new DatasetError('The ontology file is empty', ['Ontology file: no content']);
+    }
+    let ontology;
+    try {
+      ontology = await loaders.parse(options.ontology, {
+        format: options.format,
+        file: options.ontologyFile,
+        baseIRI: 'urn:dataset:' + id + '/'
+      });
+    } catch (error) {
+      throw new DatasetError('The ontology file could not be parsed', ['Ontology file: ' + (error.message || error)]);
+    }
+    let mapping = this.readMapping(options.mapping);
+    let definitions = [];
+    let warnings = [];
+    if (options.definitions) {
+      let parsed = this.parseDefinitionsFile(options.definitions, mapping);
+      if (parsed.errors.length) {
+        throw new DatasetError('The definitions file could not be parsed', parsed.errors);
+      }
+      definitions = parsed.definitions;
+      warnings = parsed.warnings;
+    }
+    let processed;
+    try {
+      processed = this.processData(ontology, definitions, mapping);
+    } catch (error) {
+      throw new DatasetError('The ontology could not be processed', ['Ontology file: ' + (error.message || error)]);
+    }
+    if (!processed.treeBuilder.size()) {
+      throw new DatasetError('The ontology has no terms', ['Ontology file: no skos:Concept resources were found']);
+    }
+    if (processed.report.cycles.length) {
+      throw new DatasetError('The ontology hierarchy has cycles', processed.report.cycles.map(cycle =>
+        'Ontology file: ' + cycle.join(' -> ') + ' are broader than each other'));
+    }
+    let dataset = new Dataset(id, name, processed, warnings, {ontology, file: options.saveFile, hashes: options.hashes});
+    this.datasets[id] = dataset;
+    this.evictDatasets();
+    return dataset;
+  }
+
+  /**
+   * Create a dataset out of an ontology file and a definitions file on the disk
+   * The edits of the terms are written back to the ontology file if it's in the json format
+   * The processed dataset is kept in the cache, and restored from it as long as the files don't change.
+   * If the dataset is already loaded from the same files, or from the ontology file as saved by its edits,
+   *  the loaded dataset is kept.
+   *
+   * @param id: the id of the dataset
+   * @param options: the files to be loaded:
+   *  {
+   *    ontologyFile: the path of the ontology file
+   *    format: the format of the ontology file
+   *    definitionsFile: the path of the definitions file
+   *    mappingFile: the path of the json file with the mapping of the definitions columns
+   *  }
+   * @returns {Promise<Dataset>}: the created dataset
+   */
+  async loadDataset(id, options) {
+    let format = options.format || loaders.formatOf(options.ontologyFile);
+    let contents = {
+      ontology: fs.readFileSync(options.ontologyFile, 'utf8'),
+      definitions: options.definitionsFile ? fs.readFileSync(options.definitionsFile, 'utf8') : undefined,
+      mapping: options.mappingFile ? fs.readFileSync(options.mappingFile, 'utf8') : undefined
+    };
+    let hashes = {};
+    Object.keys(contents).forEach(file => {
+      hashes[file] = DatasetCache.hash(contents[file]);
+    });
+    let loaded = this.getDataset(id);
+    if (loaded && loaded.sourceHashes && Object.keys(hashes).every(file => loaded.sourceHashes[file] === hashes[file])) {
+      return loaded;
+    }
+    let saveFile = format === 'json' ? options.ontologyFile : undefined;
+    let key = this.cache ? this.cache.key([format, hashes.ontology, hashes.definitions, hashes.mapping]) : undefined;
+    let entry = key && this.cache.read(id, key);
+    if (entry) {
+      let dataset = new Dataset(id, entry.name, this.restoreData(entry), entry.warnings,
+        {ontology: entry.ontology, file: saveFile, hashes});
+      this.datasets[id] = dataset;
+      console.log('Restored the dataset', id, 'from the cache with', dataset.treeBuilder.size(), 'terms');
+      return dataset;
+    }
+    let dataset = await this.createDataset({
+      id,
+      name: path.basename(options.ontologyFile),
+      ontology: contents.ontology,
+      ontologyFile: options.ontologyFile,
+      format: options.format,
+      definitions: contents.definitions,
+      mapping: contents.mapping,
+      saveFile,
+      hashes
+    });
+    if (key) {
+      this.cache.write(id, key, this.cacheEntry(dataset));
+    }
+    return dataset;
+  }
+
+  /**
+   * Load a dataset from its files again, as after they change (see `loadDataset`)
+   * The loaded dataset keeps being served until the new one is ready, and it's kept if the files can't be processed.
+   * Only one load of a dataset runs at a time, the changes made during a load are picked by another load after it.
+   *
+   * @param id: the id of a dataset loaded from files
+   * @returns {Promise<Dataset|undefined>}: the dataset, or undefined if it couldn't be loaded
+   */
+  refreshDataset(id) {
     let self = this;
-    self.ontology = {};
-    self.definitions = [];
-    self.tree = {};
-    self.distanceMatrix = {};
-
-    self.loadData(function () {
-      let {tree, distanceMatrix} = self.processData(self.ontology, self.definitions);
-      self.tree = tree;
-      self.distanceMatrix = distanceMatrix;
+    let source = self.sources[id];
+    if (source.loading) {
+      source.pending = true;
+      return source.loading;
+    }
+    source.loading = self.loadDataset(id, source.options).then(function (dataset) {
+      if (id === DataPreprocessing.DEFAULT_DATASET) {
+        self.defaultDatasetError = undefined;
+      }
+      return dataset;
+    }, function (error) {
+      console.error('Failed to load the ontology', error.message || error, error.details || '');
+      if (id === DataPreprocessing.DEFAULT_DATASET && !self.getDataset(id)) {
+        self.defaultDatasetError = error instanceof DatasetError ? error : new DatasetError(String(error.message || error));
+      }
+      return undefined;
+    }).then(function (dataset) {
+      source.loading = undefined;
+      if (source.pending) {
+        source.pending = false;
+        return self.refreshDataset(id);
+      }
+      return dataset;
     });
+    return source.loading;
+  }
+
+  /**
+   * Watch the files of a dataset loaded from files, and load it again when they change
+   *
+   * @param id: the id of the dataset
+   */
+  watchDataset(id) {
+    let options = this.sources[id].options;
+    let files = [options.ontologyFile, options.definitionsFile, options.mappingFile].filter(file => file);
+    this.sources[id].watcher = SourceWatcher(files, () => this.refreshDataset(id), DataPreprocessing.WATCH_DELAY).start();
+  }
+
+  /**
+   * Generate a new unique id for an uploaded dataset
+   * @returns {string}
+   */
+  generateDatasetId() {
+    let id;
+    do {
+      id = crypto.randomBytes(6).toString('hex');
+    } while (this.datasets.hasOwnProperty(id));
+    return id;
+  }
+
+  /**
+   * Remove the oldest uploaded datasets when there are more than MAX_DATASETS of them
+   * The default dataset is never removed
+   */
+  evictDatasets() {
+    let uploaded = Object.keys(this.datasets).filter(id => id !== DataPreprocessing.DEFAULT_DATASET)
+      .sort((first, second) => this.datasets[first].createdAt - this.datasets[second].createdAt);
+    while (uploaded.length > DataPreprocessing.MAX_DATASETS) {
+      delete this.datasets[uploaded.shift()];
+    }
+  }
+
+  constructor() {
+    let self = this;
+    //dataset id->Dataset mapping
+    self.datasets = {};
+    //the error of loading the default dataset, if it failed
+    self.defaultDatasetError = undefined;
+
+    //the default dataset can be changed with ONTOLOGY_FILE, ONTOLOGY_FORMAT, DEFINITIONS_FILE and DEFINITIONS_MAPPING
+    // environment variables
+    let options = {
+      ontologyFile: process.env.ONTOLOGY_FILE || __dirname + '/../data/ontology.json',
+      format: process.env.ONTOLOGY_FORMAT,
+      definitionsFile: process.env.DEFINITIONS_FILE || __dirname + '/../data/definitions.csv',
+      mappingFile: process.env.DEFINITIONS_MAPPING
+    };
+    //the processed datasets are kept in CACHE_DIR (`cache/` by default) unless NO_CACHE is set
+    self.cache = process.env.NO_CACHE ? undefined : DatasetCache(process.env.CACHE_DIR || path.join(__dirname, '../cache'));
+    //dataset id->{options, loading, pending, watcher} of the datasets loaded from files, see `refreshDataset`
+    self.sources = {};
+    self.sources[DataPreprocessing.DEFAULT_DATASET] = {options};
+    self.refreshDataset(DataPreprocessing.DEFAULT_DATASET);
+    //the files are watched, even if they fail to load, so fixing them loads the dataset, unless NO_WATCH is set
+    if (!process.env.NO_WATCH) {
+      self.watchDataset(DataPreprocessing.DEFAULT_DATASET);
+    }
+  }
+
+  /**
+   * Get a dataset by its id
+   * @param id: the id of the dataset
+   * @returns {Dataset|undefined}: the dataset, or undefined if none exists (or it's still being loaded)
+   */
+  getDataset(id) {
+    return this.datasets.hasOwnProperty(id) ? this.datasets[id] : undefined;
+  }
+
+  /**
+   * Get the default dataset, read from the files in `data/` (or the ones given by the environment variables)
+   * @returns {Dataset|undefined}: the default dataset, or undefined if it's not loaded yet or failed to load
+   */
+  getDefaultDataset() {
+    return this.getDataset(DataPreprocessing.DEFAULT_DATASET);
+  }
+
+  /**
+   * Get the error of loading the default dataset
+   * @returns {DatasetError|undefined}: the error, or undefined if the dataset is loaded or still being loaded
+   */
+  getDefaultDatasetError() {
+    return this.defaultDatasetError;
+  }
+
+  /**
+   * Get the summaries of all the available datasets, the default one first and then by creation time
+   * @returns {Array}: list of the datasets summaries (see Dataset class for their format)
+   */
+  listDatasets() {
+    return Object.keys(this.datasets).map(id => this.datasets[id].summary())
+      .sort((first, second) => (second.id === DataPreprocessing.DEFAULT_DATASET) - (first.id === DataPreprocessing.DEFAULT_DATASET) ||
+        first.createdAt - second.createdAt);
+  }
+
+  /**
+   * Remove an uploaded dataset, the default dataset can't be removed
+   * @param id: the id of the dataset
+   * @returns {boolean}: whether the dataset was removed
+   */
+  removeDataset(id) {
+    if (id === DataPreprocessing.DEFAULT_DATASET || !this.datasets.hasOwnProperty(id)) {
+      return false;
+    }
+    delete this.datasets[id];
+    return true;
   }
 
   getTree() {
-    return this.tree;
+    let dataset = this.getDefaultDataset();
+    return dataset ? dataset.getTree() : {};
   }
 
+  /**
+   * Get the distances between all the terms of the default dataset
+   * @returns {{nodes: Array, distanceMatrix: number[][]}}: the terms and the distances between them
+   */
   getDistanceMatrix() {
-    return this.distanceMatrix;
+    let dataset = this.getDefaultDataset();
+    return dataset ? dataset.getDistanceMatrix() : {nodes: [], distanceMatrix: []};
   }
 }
 
+DataPreprocessing.DEFAULT_DATASET = 'default';
+//the maximum number of uploaded datasets kept in memory
+DataPreprocessing.MAX_DATASETS = 10;
+//the time in milliseconds with no changes of the files of a dataset before loading it again
+DataPreprocessing.WATCH_DELAY = 500;
+
 module.exports = new DataPreprocessing();
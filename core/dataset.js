@@ -0,0 +1,647 @@
+/**
+ * This module holds a processed dataset (an ontology with its definitions), and answers the queries about it
+ * Datasets are created by the dataPreprocessing module, either from the files in `data/` or from uploaded files
+ */
+let fs = require('fs');
+let Similarity = require('./similarity');
+let Search = require('./search');
+let TopicIndex = require('./topicIndex');
+let Annotator = require('./annotator');
+let OntologySource = require('./ontologySource');
+let OntologyEditor = require('./ontologyEditor');
+let OntologyDiff = require('./ontologyDiff');
+let TreeExport = require('./treeExport');
+let exporters = require('./exporters');
+let DatasetCache = require('./datasetCache');
+
+/**
+ * Error raised when the files of a dataset can't be processed
+ * The message describes the problem, and details lists every issue found in the files
+ */
+class DatasetError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'DatasetError';
+    this.details = details || [];
+  }
+}
+
+class Dataset {
+  /**
+   * Create a dataset out of the processed data
+   * @param id: the id of the dataset
+   * @param name: the display name of the dataset
+   * @param processed: the processed data, as returned by `processData` of the dataPreprocessing module
+   * @param warnings: the problems found in the files that didn't prevent processing them
+   * @param source: the source of the dataset:
+   *  {
+   *    ontology: the ontology in json form, which is changed along with the terms when they are edited
+   *    file: the path of the json file the edited ontology is written back to, the edits are only kept in memory
+   *      if not given
+   *    hashes: the hashes of the files the dataset was loaded from, as {ontology, definitions, mapping},
+   *      where the hash of the ontology file is updated when the edits are written back to it
+   *  }
+   */
+  constructor(id, name, processed, warnings, source) {
+    this.id = id;
+    this.name = name;
+    this.warnings = warnings || [];
+    this.createdAt = new Date();
+    this.tree = processed.tree;
+    this.distanceMatrix = processed.distanceMatrix;
+    this.compiledDistanceMatrix = undefined;
+    this.dag = processed.dag;
+    this.treeBuilder = processed.treeBuilder;
+    this.similarity = Similarity(processed.treeBuilder);
+    this.similarityMatrices = {};
+    this.search = Search(processed.treeBuilder);
+    this.topicIndex = TopicIndex(processed.treeBuilder);
+    this.annotator = Annotator(processed.treeBuilder);
+    this.report = processed.report;
+    this.sourceFile = source && source.file;
+    this.sourceHashes = source && source.hashes;
+    this.source = OntologySource(source ? source.ontology : {Description: []});
+    this.editor = OntologyEditor({
+      treeBuilder: processed.treeBuilder,
+      distanceMatrix: processed.distanceMatrix,
+      source: this.source,
+      schemes: processed.tree.schemes
+    });
+  }
+
+  /**
+   * Get a short description of the dataset
+   * @returns {{id: string, name: string, terms: number, createdAt: Date, warnings: string[]}}
+   */
+  summary() {
+    return {
+      id: this.id,
+      name: this.name,
+      terms: this.treeBuilder.size(),
+      createdAt: this.createdAt,
+      warnings: this.warnings
+    };
+  }
+
+  /**
+   * Get the compiled tree of the dataset, either whole or down to a given depth
+   * @param depth: the number of levels under the root to be included, the whole tree if not given
+   * @returns {*}: the tree data, as in `processData` of the dataPreprocessing module, where the nodes at the last
+   *          level have no `children`, but have `childCount` so their children can be loaded with `getTreeChildren`
+   */
+  getTree(depth) {
+    if (depth === undefined || !this.tree.ontologyTree) {
+      return this.tree;
+    }
+    let ontologyTree = Object.assign({}, this.tree.ontologyTree, {
+      children: this.tree.ontologyTree.children.map(node => Dataset.shallowNode(node, depth - 1))
+    });
+    return Object.assign({}, this.tree, {ontologyTree});
+  }
+
+  /**
+   * Draw the tree of the dataset, fully expanded, as a standalone document (see TreeExport class)
+   * @param format: the format of the document, `svg` or `pdf`
+   * @param depth: the number of levels under the root to be drawn, all of them if not given
+   * @returns {string|Buffer|undefined}: the document, or undefined if the tree can't be built as the hierarchy has cycles
+   */
+  exportTree(format, depth) {
+    if (!this.tree.ontologyTree) {
+      return undefined;
+    }
+    let exporter = TreeExport(this.tree.ontologyTree, {depth});
+    return format === 'pdf' ? exporter.toPdf() : exporter.toSvg();
+  }
+
+  /**
+   * Write the processed ontology of the dataset, with the definitions, synonyms and topics of its terms,
+   *  in one of the formats of the exporters module
+   * @param format: the name of the format
+   * @returns {Promise<string>}: the content of the file
+   */
+  exportOntology(format) {
+    let root = this.tree.ontologyTree;
+    return exporters.write(format, {
+      name: root ? root.name : this.name,
+      tree: this.treeBuilder,
+      root,
+      schemes: this.tree.schemes || []
+    });
+  }
+
+  /**
+   * Get the children of a term as tree nodes, for loading them into a tree got with a given depth
+   * @param id: the id of the term, or undefined for the top level terms
+   * @returns {Array|undefined}: the children, in the same format as the nodes at the last level of `getTree`,
+   *          or undefined if the term doesn't exist
+   */
+  getTreeChildren(id) {
+    if (id === undefined) {
+      return this.tree.ontologyTree ? this.tree.ontologyTree.children.map(node => Dataset.shallowNode(node, 0)) : [];
+    }
+    let node = this.treeBuilder.getNode(id);
+    return node ? node.children.map(child => Dataset.shallowNode(child, 0)) : undefined;
+  }
+
+  /**
+   * Copy a tree node down to a given depth
+   * @param node: the node of TreeBuilder
+   * @param depth: the number of levels under the node to be copied
+   * @returns {*}: the copy of the node, with the `childCount` of the nodes at the last level instead of their children
+   */
+  static shallowNode(node, depth) {
+    let copy = {
+      id: node.id,
+      name: node.name,
+      parent: node.parent,
+      parents: node.parents,
+      data: node.data,
+      childCount: node.children.length
+    };
+    if (depth > 0) {
+      copy.children = node.children.map(child => Dataset.shallowNode(child, depth - 1));
+    }
+    return copy;
+  }
+
+  getDag() {
+    return this.dag;
+  }
+
+  /**
+   * Get the data quality report of the dataset (see QualityReport class for its format)
+   * @returns {*}
+   */
+  getReport() {
+    return this.report;
+  }
+
+  /**
+   * Get the distances between all the terms, along with the information of each term
+   * They are computed on the first call, and need memory quadratic in the number of terms,
+   *  so it should only be used for small ontologies, the routes refuse it above MAX_MATRIX_TERMS terms
+   * The distances following non hierarchical relations aren't kept, as they are asked for less often
+   * @param relations: the types of the non hierarchical relations to be followed along with the hierarchy, if any
+   * @returns {{nodes: Array, distanceMatrix: number[][]}}: the terms and the distances between them
+   */
+  getDistanceMatrix(relations) {
+    if (relations && relations.length || !this.compiledDistanceMatrix) {
+      let tree = this.treeBuilder;
+      let disData = this.distanceMatrix.compile(relations);
+      disData.nodes.forEach((cur, idx) => {
+        let node = tree.getNode(cur);
+        disData.nodes[idx] = {
+          uri: node.data.uri,
+          name: node.data.name,
+          alternative_names: node.data.alternative_names.map(cur => cur.split('-').join(' ')),
+          definitions: node.data.definitions,
+          topics: node.data.topics
+        }
+      });
+      if (relations && relations.length) {
+        return disData;
+      }
+      this.compiledDistanceMatrix = disData;
+    }
+    return this.compiledDistanceMatrix;
+  }
+
+  /**
+   * Check whether a term exists in the ontology
+   * @param id: the id of the term
+   * @returns {boolean}
+   */
+  hasTerm(id) {
+    return this.treeBuilder.getNode(id) !== undefined;
+  }
+
+  /**
+   * Get the information of a term
+   * @param id: the id of the term
+   * @param full: whether to include all the data of the term, or only the fields needed for listing it
+   * @param lang: the language of the name of the term, see `nameIn`
+   * @returns {*}: the information of the term, or undefined if it doesn't exist:
+   *  {
+   *    id: the id of the term
+   *    name: the name of the term, in the given language if any
+   *    uri: the uri of the term
+   *    parents: the ids of the parents of the term
+   *    childCount: the number of the children of the term
+   *    labels, alternative_names, alternative_labels, definitions, definition_details, topics, inScheme, topConceptOf,
+   *      relations: the data of the term, only when `full` is set, where labels and alternative_labels are {text, lang},
+   *      and relations are as given by `getRelations`
+   *  }
+   */
+  getConcept(id, full, lang) {
+    let node = this.treeBuilder.getNode(id);
+    if (!node) {
+      return undefined;
+    }
+    let concept = {
+      id: node.id,
+      name: Dataset.nameIn(node, lang),
+      uri: node.data.uri,
+      parents: node.parents,
+      childCount: node.children.length
+    };
+    if (full) {
+      ['labels', 'alternative_names', 'alternative_labels', 'definitions', 'definition_details', 'topics', 'inScheme', 'topConceptOf']
+        .forEach(key => {
+          concept[key] = node.data[key];
+        });
+      concept.relations = this.getRelations(id, lang);
+    }
+    return concept;
+  }
+
+  /**
+   * Get the name of a term in a language
+   * The name is the preferred label in the language, or in another variant of it (as `fr` for `fr-CA`),
+   *  falling back to the default name of the term when it has no translation
+   * @param node: the node of the term
+   * @param lang: the language, the default name is given if not set
+   * @returns {string}: the name
+   */
+  static nameIn(node, lang) {
+    if (!lang) {
+      return node.name;
+    }
+    lang = lang.toLowerCase();
+    let labels = (node.data.labels || []).filter(label => label.lang);
+    let label = labels.find(cur => cur.lang.toLowerCase() === lang) ||
+      labels.find(cur => cur.lang.toLowerCase().split('-')[0] === lang.split('-')[0]);
+    return label ? label.text : node.name;
+  }
+
+  /**
+   * Check whether a value is a language tag, as `en` or `fr-CA`, for naming the terms in it (see `nameIn`)
+   * @param lang: the value
+   * @returns {boolean}
+   */
+  static isLanguageTag(lang) {
+    return typeof lang === 'string' && /^[a-z]{1,8}(-[a-z0-9]{1,8})*$/i.test(lang);
+  }
+
+  /**
+   * Get the languages of the preferred labels of the terms
+   * @returns {{lang: string, terms: number}[]}: the languages with the number of the terms having a label in each,
+   *          the most common first
+   */
+  getLanguages() {
+    let counts = {};
+    this.treeBuilder.getNodesIds().forEach(id => {
+      let languages = this.treeBuilder.getNode(id).data.labels.map(label => label.lang).filter(lang => lang);
+      languages.filter((lang, idx) => languages.indexOf(lang) === idx).forEach(lang => {
+        counts[lang] = (counts[lang] || 0) + 1;
+      });
+    });
+    return Object.keys(counts).map(lang => ({lang, terms: counts[lang]})).sort((a, b) => b.terms - a.terms);
+  }
+
+  /**
+   * Get the path from the top of the tree down to a term, through the first parent of each term
+   * @param id: the id of the term
+   * @returns {string[]|undefined}: the ids of the terms on the path, ending with the term,
+   *          or undefined if the term doesn't exist
+   */
+  getPath(id) {
+    return this.treeBuilder.getPath(id);
+  }
+
+  /**
+   * Get the non hierarchical relations of a term (`related` and the mapping relations, see SkosReader class)
+   * @param id: the id of the term
+   * @param lang: the language of the names of the related terms, see `nameIn`
+   * @returns {Array|undefined}: the relations, or undefined if the term doesn't exist:
+   *  {
+   *    type: the type of the relation, as `related` or `exactMatch`
+   *    uri: the uri of the related concept
+   *    id, name, path: the id and the name of the related term, and its path (see `getPath`), only when it's a term
+   *      of the ontology, as the mapping relations usually link to concepts of other vocabularies
+   *  }
+   */
+  getRelations(id, lang) {
+    let node = this.treeBuilder.getNode(id);
+    if (!node) {
+      return undefined;
+    }
+    return (node.data.relations || []).map(relation => {
+      let related = relation.id !== undefined ? this.treeBuilder.getNode(relation.id) : undefined;
+      return related ? {type: relation.type, uri: related.data.uri, id: related.id, name: Dataset.nameIn(related, lang),
+        path: this.getPath(related.id)} : {type: relation.type, uri: relation.uri};
+    });
+  }
+
+  /**
+   * Get the ids of the terms with no parents
+   * @returns {string[]}
+   */
+  getRoots() {
+    return this.treeBuilder.getNodesIds().filter(id => !this.treeBuilder.getNode(id).parents.length);
+  }
+
+  /**
+   * Get the ids of the children of a term
+   * @param id: the id of the term
+   * @returns {string[]|undefined}: the ids of the children, or undefined if the term doesn't exist
+   */
+  getChildren(id) {
+    let node = this.treeBuilder.getNode(id);
+    return node ? node.children.map(child => child.id) : undefined;
+  }
+
+  /**
+   * Get the terms reachable from a term by following its parents or children links, nearest first
+   * @param id: the id of the term
+   * @param direction: 'parents' for the ancestors, or 'children' for the descendants
+   * @param depth: the maximum number of links to follow, unlimited if not given
+   * @returns {{id: string, distance: number}[]|undefined}: the reached terms with the number of links to each,
+   *          not including the term itself, or undefined if the term doesn't exist
+   */
+  getRelatives(id, direction, depth) {
+    let tree = this.treeBuilder;
+    if (!tree.getNode(id)) {
+      return undefined;
+    }
+    let distances = {};
+    distances[id] = 0;
+    let queue = [id];
+    for (let head = 0; head < queue.length; ++head) {
+      let cur = queue[head];
+      if (depth !== undefined && distances[cur] >= depth) {
+        continue;
+      }
+      let node = tree.getNode(cur);
+      let next = direction === 'parents' ? node.parents : node.children.map(child => child.id);
+      next.forEach(nextId => {
+        if (!distances.hasOwnProperty(nextId)) {
+          distances[nextId] = distances[cur] + 1;
+          queue.push(nextId);
+        }
+      });
+    }
+    return queue.slice(1).map(cur => ({id: cur, distance: distances[cur]}));
+  }
+
+  /**
+   * Get the subtree under a term, where terms with several parents appear under each of them
+   * @param id: the id of the term
+   * @param depth: the maximum depth of the subtree, unlimited if not given
+   * @param lang: the language of the names of the terms, see `nameIn`
+   * @returns {*}: {id, name, children: [...]} nested down to the given depth, where the terms at the last level
+   *          have their `childCount` instead of their children, or undefined if the term doesn't exist
+   */
+  getSubtree(id, depth, lang) {
+    let tree = this.treeBuilder;
+    let node = tree.getNode(id);
+    if (!node) {
+      return undefined;
+    }
+
+    function build(cur, level) {
+      let subtree = {id: cur.id, name: Dataset.nameIn(cur, lang)};
+      if (depth !== undefined && level >= depth) {
+        subtree.childCount = cur.children.length;
+      } else {
+        subtree.children = cur.children.map(child => build(child, level + 1));
+      }
+      return subtree;
+    }
+
+    return build(node, 0);
+  }
+
+  /**
+   * Add a new term, see `addConcept` of OntologyEditor class
+   * @param concept: the term to be added, as {name, id, parent}
+   * @returns {*}: the change, along with whether it was saved to the source file
+   * @throws {EditError}: if the term can't be added
+   */
+  addConcept(concept) {
+    return this.commit(this.editor.addConcept(concept));
+  }
+
+  /**
+   * Rename a term
+   * @param id: the id of the term
+   * @param name: the new name of the term
+   * @returns {*}: the change, along with whether it was saved to the source file
+   * @throws {EditError}: if the term can't be renamed
+   */
+  renameConcept(id, name) {
+    return this.commit(this.editor.renameConcept(id, name));
+  }
+
+  /**
+   * Move a term from one of its parents to another parent, see `moveConcept` of OntologyEditor class
+   * @param id: the id of the term
+   * @param from: the id of the current parent
+   * @param to: the id of the new parent
+   * @returns {*}: the change, along with whether it was saved to the source file
+   * @throws {EditError}: if the term can't be moved, like when it would make a cycle
+   */
+  moveConcept(id, from, to) {
+    return this.commit(this.editor.moveConcept(id, from, to));
+  }
+
+  /**
+   * Remove a term, its children are moved to its parents
+   * @param id: the id of the term
+   * @returns {*}: the change, along with whether it was saved to the source file
+   * @throws {EditError}: if the term doesn't exist
+   */
+  removeConcept(id) {
+    return this.commit(this.editor.removeConcept(id));
+  }
+
+  /**
+   * Undo the latest change made to the terms
+   * @returns {*}: the undone change, along with whether the source file was saved
+   * @throws {EditError}: if there are no changes to undo
+   */
+  undo() {
+    return this.commit(this.editor.undo());
+  }
+
+  /**
+   * Get the changes made to the terms that can be undone, latest first
+   * @returns {{action: string, id: string, description: string, at: Date}[]}
+   */
+  getHistory() {
+    return this.editor.history();
+  }
+
+  /**
+   * Update the compiled data after a change to the terms, and save the source ontology
+   * The data quality report isn't updated, it describes the files as they were loaded
+   * @param change: the change made
+   * @returns {*}: the change, along with whether it was saved to the source file
+   */
+  commit(change) {
+    let ontologyTree = this.treeBuilder.compile();
+    //keep the name of the root, which is the name of the scheme for vocabularies with a single scheme
+    if (ontologyTree && this.tree.ontologyTree) {
+      ontologyTree.name = this.tree.ontologyTree.name;
+      ['uri', 'labels'].filter(key => this.tree.ontologyTree[key] !== undefined).forEach(key => {
+        ontologyTree[key] = this.tree.ontologyTree[key];
+      });
+    }
+    this.tree = Object.assign({}, this.tree, {ontologyTree, ontologyList: this.treeBuilder.getNodesIds()});
+    this.dag = this.treeBuilder.compileDag();
+    this.compiledDistanceMatrix = undefined;
+    this.similarityMatrices = {};
+    this.similarity.clear();
+    this.search.clear();
+    this.topicIndex.clear();
+    this.annotator.clear();
+    return Object.assign({}, change, {saved: this.save()});
+  }
+
+  /**
+   * Write the source ontology back to its file, in the same layout as `data/ontology.json`
+   * @returns {boolean}: whether the ontology was saved, it's not when the dataset has no source file
+   */
+  save() {
+    if (!this.sourceFile) {
+      return false;
+    }
+    let content = JSON.stringify(this.source.toJson(), null, 3);
+    fs.writeFileSync(this.sourceFile, content);
+    //the file now matches the dataset, so it's not loaded again for this change
+    if (this.sourceHashes) {
+      this.sourceHashes.ontology = DatasetCache.hash(content);
+    }
+    return true;
+  }
+
+  /**
+   * Compare the dataset, as the old version of an ontology, with a newer version of it
+   * @param newer: {Dataset}: the new version
+   * @returns {OntologyDiff}: the differences between the versions
+   */
+  compareWith(newer) {
+    return OntologyDiff(this.treeBuilder, newer.treeBuilder);
+  }
+
+  /**
+   * Get the distance between two terms
+   * @param from: the id of the first term
+   * @param to: the id of the second term
+   * @param relations: the types of the non hierarchical relations to be followed along with the hierarchy, if any
+   * @returns {number|undefined}: the distance between the terms, -1 if they aren't connected,
+   *          or undefined if any of them doesn't exist
+   */
+  getDistance(from, to, relations) {
+    return this.distanceMatrix.distance(from, to, relations);
+  }
+
+  /**
+   * Get the distances between several pairs of terms
+   * @param pairs: list of [from, to] pairs of term ids
+   * @param relations: the types of the non hierarchical relations to be followed along with the hierarchy, if any
+   * @returns {number[]}: the distance of each pair, as returned by `getDistance`
+   */
+  getDistances(pairs, relations) {
+    return this.distanceMatrix.distances(pairs, relations);
+  }
+
+  /**
+   * Search the terms by their names, alternative names and definitions
+   * @param query: the text to be searched for
+   * @param limit: the maximum number of results
+   * @param lang: the language of the names of the matched terms, see `nameIn`
+   * @returns {Array}: the matched terms ordered by relevance (see Search class for their format)
+   */
+  searchTerms(query, limit, lang) {
+    return this.search.search(query, limit)
+      .map(result => Object.assign(result, {name: Dataset.nameIn(this.treeBuilder.getNode(result.id), lang)}));
+  }
+
+  /**
+   * Find the terms in a free text by their names and alternative names, see `annotate` of Annotator class
+   * @param text: the text to be annotated
+   * @param ancestors: whether to list the ancestors of the matched terms as well
+   * @param lang: the language of the names of the found terms, see `nameIn`
+   * @returns {{matches: Array, concepts: Array}}: the matches in the order of the text, and the found terms
+   *          with their names and uris (see Annotator class for their format)
+   */
+  annotate(text, ancestors, lang) {
+    let annotation = this.annotator.annotate(text, ancestors);
+    annotation.concepts.forEach(concept => {
+      let node = this.treeBuilder.getNode(concept.id);
+      Object.assign(concept, {name: Dataset.nameIn(node, lang), uri: node.data.uri});
+    });
+    return annotation;
+  }
+
+  /**
+   * Get the topics of the terms, see `topics` of TopicIndex class
+   * @returns {{topic: string, terms: number}[]}: the topics with the number of their terms, the most common first
+   */
+  getTopics() {
+    return this.topicIndex.topics();
+  }
+
+  /**
+   * Check whether a topic is given to any term
+   * @param topic: the topic
+   * @returns {boolean}
+   */
+  hasTopic(topic) {
+    return this.topicIndex.hasTopic(topic);
+  }
+
+  /**
+   * Get the tree of the terms with any of some topics, along with their ancestors, see `filterTree` of TopicIndex class
+   * @param topics: the topics
+   * @returns {*}: the filtered tree in the same format as `getTree`, with the number of the `matched` terms,
+   *          or undefined if the tree can't be built as the hierarchy has cycles
+   */
+  getTopicTree(topics) {
+    if (!this.tree.ontologyTree) {
+      return undefined;
+    }
+    return {
+      ontologyTree: this.topicIndex.filterTree(this.tree.ontologyTree, topics),
+      topics,
+      matched: this.topicIndex.termsOf(topics).length
+    };
+  }
+
+  /**
+   * Get the names of the available similarity measures
+   * @returns {string[]}: list of the names of the measures
+   */
+  getSimilarityMeasures() {
+    return this.similarity.measures();
+  }
+
+  /**
+   * Get the similarity between two terms
+   * @param measure: the name of the similarity measure (see Similarity class for the available measures)
+   * @param from: the id of the first term
+   * @param to: the id of the second term
+   * @returns {number|undefined}: the similarity between the terms, or undefined if any of them doesn't exist
+   */
+  getSimilarity(measure, from, to) {
+    return this.similarity.similarity(measure, from, to);
+  }
+
+  /**
+   * Get the similarities between all the terms, they are computed on the first call for each measure
+   * @param measure: the name of the similarity measure
+   * @returns {{nodes: string[], similarityMatrix: number[][]}}: the term ids and the similarities between them
+   */
+  getSimilarityMatrix(measure) {
+    if (!this.similarityMatrices.hasOwnProperty(measure)) {
+      this.similarityMatrices[measure] = this.similarity.compile(measure);
+    }
+    return this.similarityMatrices[measure];
+  }
+}
+
+//the largest number of terms the distance and similarity matrices are computed for, as they are quadratic in it,
+// the distances and similarities of the larger datasets are only computed for given pairs of terms
+Dataset.MAX_MATRIX_TERMS = 3000;
+
+module.exports = {Dataset, DatasetError};
@@ -0,0 +1,92 @@
+let fs = require('fs');
+let path = require('path');
+let crypto = require('crypto');
+
+/**
+ * Class function for keeping the processed datasets in files, so the files of a dataset are only processed again
+ *  when they change
+ * Each entry is a json file named after the id of the dataset and its key, which is made of the hashes of the files
+ *  the dataset was processed from. Only the latest entry of each dataset is kept.
+ * @param directory: the directory of the entries, created when the first entry is written
+ * @returns {*} new instance of the class
+ */
+function DatasetCache(directory) {
+  //the version of the format of the entries, the entries of other versions are ignored
+  const VERSION = 2;
+  //`this` object
+  let cache = {};
+
+  /**
+   * Get the path of the file of an entry
+   * @param id: the id of the dataset
+   * @param key: the key of the entry
+   * @returns {string}
+   */
+  function fileOf(id, key) {
+    return path.join(directory, id + '-' + key + '.json');
+  }
+
+  /**
+   * Get the key of the entry of a dataset
+   * @param hashes: the hashes of the files the dataset is processed from (see `DatasetCache.hash`), where missing
+   *                files are given as undefined, along with the options it's processed with
+   * @returns {string}: the key
+   */
+  cache.key = function (hashes) {
+    return DatasetCache.hash([VERSION].concat(hashes.map(hash => hash || '-')).join('\n'));
+  };
+
+  /**
+   * Read the entry of a dataset
+   * @param id: the id of the dataset
+   * @param key: the key of the entry
+   * @returns {*}: the entry, or undefined if there is no entry with the key or it can't be read
+   */
+  cache.read = function (id, key) {
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(fileOf(id, key), 'utf8'));
+    } catch (error) {
+      return undefined;
+    }
+    return entry.version === VERSION && entry.key === key ? entry : undefined;
+  };
+
+  /**
+   * Write the entry of a dataset, replacing the previous entries of the dataset
+   * The entry is written to a temporary file first, so the entries being read are always complete
+   * Failing to write the entry isn't an error, the dataset is then processed again on the next start
+   * @param id: the id of the dataset
+   * @param key: the key of the entry
+   * @param entry: the entry, which should be serializable to json
+   * @returns {boolean}: whether the entry was written
+   */
+  cache.write = function (id, key, entry) {
+    let file = fileOf(id, key);
+    try {
+      fs.mkdirSync(directory, {recursive: true});
+      fs.writeFileSync(file + '.tmp', JSON.stringify(Object.assign({version: VERSION, key}, entry)));
+      fs.renameSync(file + '.tmp', file);
+      fs.readdirSync(directory)
+        .filter(name => name.startsWith(id + '-') && name !== path.basename(file))
+        .forEach(name => fs.unlinkSync(path.join(directory, name)));
+    } catch (error) {
+      console.error('Failed to cache the dataset', id, error.message);
+      return false;
+    }
+    return true;
+  };
+
+  return cache;
+}
+
+/**
+ * Get the hash of the content of a file
+ * @param content: the content, or undefined for a missing file
+ * @returns {string|undefined}: the hash, or undefined for a missing file
+ */
+DatasetCache.hash = function (content) {
+  return content === undefined ? undefined : crypto.createHash('sha256').update(content).digest('hex');
+};
+
+module.exports = DatasetCache;
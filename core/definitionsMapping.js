@@ -0,0 +1,206 @@
+/**
+ * Module for describing how the rows of a definitions csv file are joined with the terms of the ontology
+ *
+ * The mapping is a json object with the following fields, where any missing field takes its default value:
+ *  {
+ *    term: the column holding the term of the row, `Term` by default
+ *    topics: the columns holding the topics of the term, `Topic #{n}` by default
+ *    synonyms: the columns holding the synonyms of the term, `Synonym #{n}` by default
+ *    definitions: the columns holding the definitions of the term, `Definition #{n}` by default
+ *    matchOn: what the term is matched with:
+ *      - `id`: the id of the term (the local name of its uri), after normalizing the term (default)
+ *      - `uri`: the uri of the term, as it is
+ *      - `label`: the name and the labels of the term, where both sides are normalized
+ *    normalize: list of the names of the steps for normalizing the term, applied in order (see NORMALIZERS)
+ *  }
+ * A column is given by its name, or by a pattern where `{n}` stands for a number, which covers all the numbered
+ *  columns of the file in order (e.g. `Topic #{n}` covers `Topic #1`, `Topic #2`, ...), or by a list of those.
+ */
+let {removeAccents} = require('./textMatching');
+
+const DEFAULTS = {
+  term: 'Term',
+  topics: 'Topic #{n}',
+  synonyms: 'Synonym #{n}',
+  definitions: 'Definition #{n}',
+  matchOn: 'id',
+  normalize: ['removeParentheses', 'removeApostrophes', 'collapseSpaces', 'spacesToDashes', 'lowerCase']
+};
+
+const MATCH_ON = ['id', 'uri', 'label'];
+
+const NORMALIZERS = {
+  removeParentheses: name => name.replace(/[()]/g, ''),
+  removeApostrophes: name => name.replace(/'/g, ''),
+  removePunctuation: name => name.replace(/[^\p{L}\p{N}\s-]/gu, ''),
+  removeAccents: name => removeAccents(name),
+  collapseSpaces: name => name.replace(/ {2,}/g, ' '),
+  trim: name => name.trim(),
+  spacesToDashes: name => name.replace(/ /g, '-'),
+  spacesToUnderscores: name => name.replace(/ /g, '_'),
+  lowerCase: name => name.toLowerCase()
+};
+
+/**
+ * Class function for joining the rows of a definitions file with the ontology terms, following a mapping
+ * @param config: the mapping, as described above
+ * @returns {*} new instance of the class
+ */
+function DefinitionsMapping(config) {
+  //`this` object
+  let mapping = {};
+  let options = Object.assign({}, DEFAULTS, config);
+  //field->list of the columns of the file, set by `resolve`
+  let columns = {};
+
+  /**
+   * Wrap a column specification in a list
+   * @param spec: a column name or pattern, or a list of those
+   * @returns {string[]}: list of column names or patterns
+   */
+  function asList(spec) {
+    return Array.isArray(spec) ? spec : [spec];
+  }
+
+  /**
+   * Find the columns of the file covered by a column name or pattern
+   * @param spec: the column name, or pattern with `{n}`
+   * @param fields: the columns of the file
+   * @returns {string[]}: the covered columns, numbered ones in the order of their numbers
+   */
+  function match(spec, fields) {
+    if (spec.indexOf('{n}') === -1) {
+      return fields.indexOf(spec) === -1 ? [] : [spec];
+    }
+    let parts = spec.split('{n}').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    let regex = new RegExp('^' + parts.join('(\\d+)') + '$');
+    return fields.map(field => ({field, match: field.match(regex)}))
+      .filter(cur => cur.match)
+      .sort((first, second) => parseInt(first.match[1], 10) - parseInt(second.match[1], 10))
+      .map(cur => cur.field);
+  }
+
+  /**
+   * Check the mapping itself, regardless of any file
+   * @returns {string[]}: list of the problems found in the mapping
+   */
+  mapping.validate = function () {
+    let errors = [];
+    Object.keys(options).forEach(key => {
+      if (!DEFAULTS.hasOwnProperty(key)) {
+        errors.push('Mapping: unknown field `' + key + '`, the fields are ' + Object.keys(DEFAULTS).join(', '));
+      }
+    });
+    if (typeof options.term !== 'string' || options.term.indexOf('{n}') !== -1) {
+      errors.push('Mapping: `term` should be the name of a single column');
+    }
+    ['topics', 'synonyms', 'definitions'].forEach(key => {
+      if (!asList(options[key]).every(spec => typeof spec === 'string')) {
+        errors.push('Mapping: `' + key + '` should be a column name or pattern, or a list of those');
+      }
+    });
+    if (MATCH_ON.indexOf(options.matchOn) === -1) {
+      errors.push('Mapping: `matchOn` should be one of ' + MATCH_ON.join(', '));
+    }
+    if (!Array.isArray(options.normalize)) {
+      errors.push('Mapping: `normalize` should be a list of steps');
+    } else {
+      options.normalize.filter(step => !NORMALIZERS.hasOwnProperty(step)).forEach(step => {
+        errors.push('Mapping: unknown normalization step `' + step + '`, the steps are ' + Object.keys(NORMALIZERS).join(', '));
+      });
+    }
+    return errors;
+  };
+
+  /**
+   * Find the columns of each field in the header of a file
+   * It should be called before reading the rows of the file
+   * @param fields: the columns of the file
+   * @returns {{errors: string[], warnings: string[]}}: the problems that prevent reading the file, and the ones that don't
+   */
+  mapping.resolve = function (fields) {
+    let errors = [], warnings = [];
+    if (fields.indexOf(options.term) === -1) {
+      errors.push('Definitions file: the term column `' + options.term + '` is missing, the columns found are ' + fields.join(', '));
+    }
+    ['topics', 'synonyms', 'definitions'].forEach(key => {
+      columns[key] = [];
+      asList(options[key]).forEach(spec => {
+        let found = match(spec, fields);
+        if (!found.length) {
+          warnings.push('Definitions file: no column matches `' + spec + '` of the ' + key);
+        }
+        found.filter(field => columns[key].indexOf(field) === -1).forEach(field => columns[key].push(field));
+      });
+    });
+    return {errors, warnings};
+  };
+
+  /**
+   * Get the term of a row
+   * @param row: the row of the file, as column->value mapping
+   * @returns {string}: the term of the row
+   */
+  mapping.term = function (row) {
+    return row[options.term] || '';
+  };
+
+  /**
+   * Get the non empty values of a field in a row
+   * @param row: the row of the file, as column->value mapping
+   * @param field: `topics`, `synonyms` or `definitions`
+   * @returns {string[]}: the values of the field, in the order of its columns
+   */
+  mapping.values = function (row, field) {
+    return (columns[field] || []).map(column => row[column]).filter(value => value);
+  };
+
+  /**
+   * Normalize a name with the normalization steps of the mapping
+   * @param name: the name to be normalized
+   * @returns {string}: the normalized name
+   */
+  mapping.normalize = function (name) {
+    return options.normalize.reduce((cur, step) => NORMALIZERS[step](cur), String(name));
+  };
+
+  /**
+   * Get the function for finding the term of the ontology that a row belongs to
+   * @param tree: {TreeBuilder}: the tree holding the ontology terms
+   * @returns {function(*): *}: fn(row)->the tree node of the term, or undefined if none matches
+   */
+  mapping.matcher = function (tree) {
+    if (options.matchOn === 'id') {
+      return row => tree.getNode(mapping.normalize(mapping.term(row)));
+    }
+    //key->node id mapping
+    let index = {};
+    tree.getNodesIds().forEach(id => {
+      let data = tree.getNode(id).data;
+      let keys = options.matchOn === 'uri' ? [data.uri] :
+        [data.name].concat((data.labels || []).map(label => label.text)).map(mapping.normalize);
+      keys.filter(key => key && !index.hasOwnProperty(key)).forEach(key => {
+        index[key] = id;
+      });
+    });
+    return row => {
+      let term = mapping.term(row);
+      let key = options.matchOn === 'uri' ? term.trim() : mapping.normalize(term);
+      return index.hasOwnProperty(key) ? tree.getNode(index[key]) : undefined;
+    };
+  };
+
+  /**
+   * Get the options of the mapping, with the defaults of the missing fields
+   * @returns {*}
+   */
+  mapping.options = function () {
+    return options;
+  };
+
+  return mapping;
+}
+
+DefinitionsMapping.DEFAULTS = DEFAULTS;
+DefinitionsMapping.NORMALIZERS = NORMALIZERS;
+module.exports = DefinitionsMapping;
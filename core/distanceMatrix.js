@@ -1,14 +1,144 @@
+/**
+ * Class function for computing the distances between the nodes of the ontology hierarchy
+ * The distance between two nodes is the number of edges on the shortest path between them,
+ *  where the edges are the (undirected) links between each node and its parents.
+ *
+ * Distances are computed on demand:
+ *  - if every node has at most one parent, the hierarchy is a forest and the distance is found
+ *    through the lowest common ancestor of the two nodes
+ *  - otherwise, a breadth first search is done from the first node, and its result is cached
+ * The nodes can also be linked by non hierarchical relations (as `related`), which are only followed when
+ *  they are asked for, as extra edges of the graph
+ * @returns {*} new instance of the class
+ */
 function DistanceMatrix() {
   let distanceMatrix = {};
   let graph = {};
   let identifier = d => d;
   let sz = 0;
+  //number of sources whose breadth first search results are kept
+  const CACHE_SIZE = 100;
+  //search key (see `searchKey`)->(node id->distance) mapping of the latest breadth first searches
+  let cache = new Map();
+  //node id->depth mapping, used when the hierarchy is a forest
+  let depths = {};
+  //number of nodes with more than one parent
+  let multiParents = 0;
+
+  /**
+   * Clear the cached distances, it's called whenever the graph changes
+   */
+  function invalidate() {
+    cache = new Map();
+    depths = {};
+  }
+
+  /**
+   * Get the key of the cached result of a breadth first search
+   * @param from: the id of the source node
+   * @param relations: the types of the relations followed by the search
+   * @returns {string}
+   */
+  function searchKey(from, relations) {
+    return relations.length ? from + '\n' + relations.slice().sort().join('\n') : from;
+  }
+
+  /**
+   * Get the distances from a node to all the nodes reachable from it
+   * @param from: the id of the source node
+   * @param relations: the types of the relations followed along with the hierarchy, if any
+   * @returns {*}: node id->distance mapping
+   */
+  function breadthFirstSearch(from, relations) {
+    let distances = {};
+    distances[from] = 0;
+    let queue = [from];
+    let visit = function (cur, next) {
+      if (!distances.hasOwnProperty(next)) {
+        distances[next] = distances[cur] + 1;
+        queue.push(next);
+      }
+    };
+    for (let head = 0; head < queue.length; ++head) {
+      let cur = queue[head];
+      Object.keys(graph[cur].neighbors).forEach(next => visit(cur, next));
+      (relations || []).filter(type => graph[cur].relations.hasOwnProperty(type))
+        .forEach(type => Object.keys(graph[cur].relations[type]).forEach(next => visit(cur, next)));
+    }
+    return distances;
+  }
+
+  /**
+   * Get the depth of a node in the forest, where roots have a depth of 0
+   * @param nodeId: the id of the node
+   * @returns {number|undefined}: the depth of the node, or undefined if its ancestors make a cycle
+   */
+  function depth(nodeId) {
+    let path = [];
+    let onPath = {};
+    let cur = nodeId;
+    while (!depths.hasOwnProperty(cur)) {
+      let parents = graph[cur].parents;
+      if (!parents.length) {
+        depths[cur] = 0;
+        break;
+      }
+      if (onPath.hasOwnProperty(cur)) {
+        return undefined;
+      }
+      onPath[cur] = 1;
+      path.push(cur);
+      cur = parents[0];
+    }
+    let value = depths[cur];
+    for (let i = path.length - 1; i >= 0; --i) {
+      depths[path[i]] = ++value;
+    }
+    return depths[nodeId];
+  }
+
+  /**
+   * Get the distance between two nodes of a forest through their lowest common ancestor
+   * @param first: the id of the first node
+   * @param second: the id of the second node
+   * @returns {number|undefined}: the distance between the two nodes, -1 if they are in different trees,
+   *          or undefined if the ancestors of any of them make a cycle
+   */
+  function forestDistance(first, second) {
+    let firstDepth = depth(first), secondDepth = depth(second);
+    if (firstDepth === undefined || secondDepth === undefined) {
+      return undefined;
+    }
+    let distance = 0;
+    while (firstDepth > secondDepth) {
+      first = graph[first].parents[0];
+      --firstDepth;
+      ++distance;
+    }
+    while (secondDepth > firstDepth) {
+      second = graph[second].parents[0];
+      --secondDepth;
+      ++distance;
+    }
+    while (first !== second) {
+      if (!graph[first].parents.length) {
+        return -1;
+      }
+      first = graph[first].parents[0];
+      second = graph[second].parents[0];
+      distance += 2;
+    }
+    return distance;
+  }
+
   /**
    * Method for Creating a node in the graph
    * For each node, the following attributes will be created:
    *  {
    *    name: the identifier of the node
    *    neighbors: list of all neighbors of this node
+   *    parents: list of the ids of the parents of this node
+   *    relations: relation type->(id of the related node->1) mapping of the non hierarchical relations of this node
    *    data: the data attached with the node, which is initially the object sent as a parameter
    *  }
    * @param node: the data of the node to be created
@@ -23,9 +153,12 @@ function DistanceMatrix() {
     graph[nodeId] = {
       'name': nodeId,
       'neighbors': {},
+      'parents': [],
+      'relations': {},
       'data': node
     };
     ++sz;
+    invalidate();
     return graph[nodeId];
   };
 
@@ -42,7 +175,7 @@ function DistanceMatrix() {
    * @returns $ObjMap|undefined: the node with the given id, or undefined if none exists
    */
   distanceMatrix.getNode = function (nodeId) {
-    return graph[nodeId];
+    return graph.hasOwnProperty(nodeId) ? graph[nodeId] : undefined;
   };
   /**
    * Clear the graph from all of its nodes
@@ -50,6 +183,8 @@ function DistanceMatrix() {
   distanceMatrix.clear = function () {
     graph = {};
     sz = 0;
+    multiParents = 0;
+    invalidate();
   };
 
   /**
@@ -59,8 +194,14 @@ function DistanceMatrix() {
   distanceMatrix.size = function () {
     return Object.keys(graph).length;
   };
+  /**
+   * Add an edge between a parent and its child
+   * If any of the nodes doesn't exist in the graph, it will be created
+   * Adding the same edge twice has no effect
+   * @param first: the parent node
+   * @param second: the child node
+   */
   distanceMatrix.addEdge = function (first, second) {
-
     let firstNode = distanceMatrix.getNode(first);
     if (!firstNode) {
       firstNode = distanceMatrix.createNode(first);
@@ -69,53 +210,160 @@ function DistanceMatrix() {
     if (!secondNode) {
       secondNode = distanceMatrix.createNode(second);
     }
-    if (!firstNode.neighbors[second]){
-      firstNode.neighbors[second]=0;
+    let firstId = identifier(first), secondId = identifier(second);
+    if (firstNode.neighbors[secondId]) {
+      return;
     }
-    if (!secondNode.neighbors[first]){
-      secondNode.neighbors[first]=0;
+    firstNode.neighbors[secondId] = 1;
+    secondNode.neighbors[firstId] = 1;
+    secondNode.parents.push(firstId);
+    if (secondNode.parents.length === 2) {
+      ++multiParents;
     }
-    firstNode.neighbors[second] += 1;
-    secondNode.neighbors[first] += 1;
+    invalidate();
   };
-  distanceMatrix.compile = function () {
-    let self=this;
-    let distanceMatrix = [];
-    const INF = 100000009;
-    let ids = self.getNodesIds();
-    for (let i = 0; i < ids.length; ++i) {
-      distanceMatrix.push([]);
-      for (let j = 0; j < ids.length; ++j) {
-        distanceMatrix[i].push(INF);
-      }
+  /**
+   * Add a non hierarchical relation between two nodes, which is followed both ways when its type is asked for
+   * Adding the same relation twice has no effect
+   * @param type: the type of the relation, as `related`
+   * @param first: the id of the first node
+   * @param second: the id of the second node
+   * @returns {boolean}: whether the relation was added, which it isn't if any of the nodes doesn't exist
+   */
+  distanceMatrix.addRelation = function (type, first, second) {
+    let firstNode = distanceMatrix.getNode(first);
+    let secondNode = distanceMatrix.getNode(second);
+    if (!firstNode || !secondNode || first === second) {
+      return false;
     }
-
-    ids.forEach((cur, idx) => {
-      let node = self.getNode(cur);
-      Object.keys(node.neighbors).forEach(otherId => {
-        let otherIdx = ids.indexOf(otherId);
-        if (otherIdx === -1) {
-          throw "id is not found";
-        }
-        let value = node.neighbors[otherId];
-        distanceMatrix[idx][otherIdx] = value;
-      })
+    [[firstNode, second], [secondNode, first]].forEach(([node, other]) => {
+      node.relations[type] = node.relations[type] || {};
+      node.relations[type][other] = 1;
     });
-    for (let i = 0; i < ids.length; ++i) {
-      for (let j = 0; j < ids.length; ++j) {
-        for (let u = 0; u < ids.length; ++u) {
-          distanceMatrix[i][j] = Math.min(distanceMatrix[i][j], distanceMatrix[i][u] + distanceMatrix[u][j]);
-        }
+    invalidate();
+    return true;
+  };
+  /**
+   * Get the non hierarchical relations of a node
+   * @param nodeId: the id of the node
+   * @returns {{type: string, id: string}[]}: the relations, with the ids of the related nodes
+   */
+  distanceMatrix.relationsOf = function (nodeId) {
+    let node = distanceMatrix.getNode(nodeId);
+    return node ? [].concat.apply([], Object.keys(node.relations)
+      .map(type => Object.keys(node.relations[type]).map(id => ({type, id})))) : [];
+  };
+  /**
+   * Remove the edge between a parent and its child, the nodes themselves are kept
+   * @param first: the id of the parent node
+   * @param second: the id of the child node
+   * @returns {boolean}: whether the edge existed
+   */
+  distanceMatrix.removeEdge = function (first, second) {
+    let firstNode = distanceMatrix.getNode(first);
+    let secondNode = distanceMatrix.getNode(second);
+    if (!firstNode || !secondNode || secondNode.parents.indexOf(first) === -1) {
+      return false;
+    }
+    delete firstNode.neighbors[second];
+    delete secondNode.neighbors[first];
+    secondNode.parents.splice(secondNode.parents.indexOf(first), 1);
+    if (secondNode.parents.length === 1) {
+      --multiParents;
+    }
+    invalidate();
+    return true;
+  };
+  /**
+   * Remove a node from the graph, along with all of its edges
+   * @param nodeId: the id of the node
+   * @returns {boolean}: whether the node existed
+   */
+  distanceMatrix.removeNode = function (nodeId) {
+    let node = distanceMatrix.getNode(nodeId);
+    if (!node) {
+      return false;
+    }
+    node.parents.slice().forEach(parentId => distanceMatrix.removeEdge(parentId, nodeId));
+    Object.keys(node.neighbors).forEach(childId => distanceMatrix.removeEdge(nodeId, childId));
+    distanceMatrix.relationsOf(nodeId).forEach(relation => delete graph[relation.id].relations[relation.type][nodeId]);
+    delete graph[nodeId];
+    --sz;
+    invalidate();
+    return true;
+  };
+  /**
+   * Get the distances from a node to all the nodes reachable from it, using breadth first search
+   * The result of the latest searches are cached
+   * @param from: the id of the source node
+   * @param relations: the types of the non hierarchical relations to be followed along with the hierarchy, if any
+   * @returns {*}: node id->distance mapping, or undefined if the node doesn't exist
+   */
+  distanceMatrix.distancesFrom = function (from, relations) {
+    if (!graph.hasOwnProperty(from)) {
+      return undefined;
+    }
+    let key = searchKey(from, relations || []);
+    if (cache.has(key)) {
+      let distances = cache.get(key);
+      //move it to the end, as the most recently used
+      cache.delete(key);
+      cache.set(key, distances);
+      return distances;
+    }
+    let distances = breadthFirstSearch(from, relations);
+    if (cache.size >= CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, distances);
+    return distances;
+  };
+  /**
+   * Get the distance between two nodes
+   * @param from: the id of the first node
+   * @param to: the id of the second node
+   * @param relations: the types of the non hierarchical relations to be followed along with the hierarchy, if any
+   * @returns {number|undefined}: the number of edges on the shortest path between the nodes,
+   *          -1 if there is no path between them, or undefined if any of them doesn't exist
+   */
+  distanceMatrix.distance = function (from, to, relations) {
+    if (!graph.hasOwnProperty(from) || !graph.hasOwnProperty(to)) {
+      return undefined;
+    }
+    if (multiParents === 0 && !(relations && relations.length)) {
+      let distance = forestDistance(from, to);
+      if (distance !== undefined) {
+        return distance;
       }
     }
-    distanceMatrix.forEach(cur=>{
-      cur.forEach((field,idx)=>{
-        if (field===INF){
-          cur[idx]=-1;
-        }
-      })
+    let distances = distanceMatrix.distancesFrom(from, relations);
+    return distances.hasOwnProperty(to) ? distances[to] : -1;
+  };
+  /**
+   * Get the distances between several pairs of nodes
+   * @param pairs: list of [from, to] pairs of node ids
+   * @param relations: the types of the non hierarchical relations to be followed along with the hierarchy, if any
+   * @returns {number[]}: the distance of each pair, as returned by `distance`
+   */
+  distanceMatrix.distances = function (pairs, relations) {
+    return pairs.map(pair => distanceMatrix.distance(pair[0], pair[1], relations));
+  };
+  /**
+   * Compute the distances between all the pairs of nodes
+   * It needs memory quadratic in the number of nodes, so it should only be used for small graphs,
+   *  `distance` and `distances` should be used otherwise
+   * @param relations: the types of the non hierarchical relations to be followed along with the hierarchy, if any
+   * @returns {{nodes: string[], distanceMatrix: number[][]}}: the ids of the nodes, and the distance matrix
+   *          where distanceMatrix[i][j] is the distance between nodes[i] and nodes[j], or -1 if there is no path
+   */
+  distanceMatrix.compile = function (relations) {
+    let self=this;
+    let distanceMatrix = [];
+    let ids = self.getNodesIds();
+    ids.forEach(from => {
+      let distances = breadthFirstSearch(from, relations);
+      distanceMatrix.push(ids.map(to => distances.hasOwnProperty(to) ? distances[to] : -1));
     });
-    console.log("Calculated distance matrix");
     return {
       nodes: ids,
       distanceMatrix: distanceMatrix
@@ -0,0 +1,44 @@
+/**
+ * Exporter of the ontology as a flat csv table, with a row for each term under each of its parents:
+ *  - id: the id of the term
+ *  - label: the name of the term
+ *  - parent: the id of the parent, empty for the top level terms
+ *  - depth: the level of the term under the parent, 1 for the top level terms
+ *  - path: the ids of the terms from the top level down to the term, separated by `/`, through the first parent of
+ *          each term above the parent
+ *  - topics and synonyms: the topics and the alternative names of the term, separated by `;`
+ * It uses papaparse library for writing the table
+ */
+let Papa = require('papaparse');
+
+module.exports = {
+  name: 'csv',
+  extension: '.csv',
+  contentType: 'text/csv',
+  /**
+   * Write the ontology
+   * @param ontology: the ontology, as given to the exporters
+   * @returns {Promise<string>}: the content of the file
+   */
+  write: async function (ontology) {
+    let tree = ontology.tree;
+    let rows = [];
+    tree.getNodesIds().forEach(id => {
+      let node = tree.getNode(id);
+      let parents = node.parents.length ? node.parents : [undefined];
+      parents.forEach(parentId => {
+        let path = (parentId === undefined ? [] : tree.getPath(parentId) || [parentId]).concat([id]);
+        rows.push({
+          id,
+          label: node.name,
+          parent: parentId === undefined ? '' : parentId,
+          depth: path.length,
+          path: path.join('/'),
+          topics: node.data.topics.join('; '),
+          synonyms: node.data.alternative_names.join('; ')
+        });
+      });
+    });
+    return Papa.unparse({fields: ['id', 'label', 'parent', 'depth', 'path', 'topics', 'synonyms'], data: rows});
+  }
+};
@@ -0,0 +1,57 @@
+/**
+ * Exporter of the ontology as a GEXF graph, the native format of Gephi
+ * Each term is a node labelled with its name, having its uri, topics and synonyms as attributes,
+ *  and each parent-child link is a directed edge from the parent to the child.
+ * The topics and the synonyms are separated by `;`.
+ */
+let {escapeXml} = require('./xml');
+
+//the attributes of the nodes, as [title, fn(node)->value]
+const ATTRIBUTES = [
+  ['uri', node => node.data.uri],
+  ['topics', node => node.data.topics.join('; ')],
+  ['synonyms', node => node.data.alternative_names.join('; ')]
+];
+
+module.exports = {
+  name: 'gexf',
+  extension: '.gexf',
+  contentType: 'application/gexf+xml',
+  /**
+   * Write the ontology
+   * @param ontology: the ontology, as given to the exporters
+   * @returns {Promise<string>}: the content of the file
+   */
+  write: async function (ontology) {
+    let tree = ontology.tree;
+    let lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+      '  <meta>',
+      '    <description>' + escapeXml(ontology.name) + '</description>',
+      '  </meta>',
+      '  <graph defaultedgetype="directed" mode="static">',
+      '    <attributes class="node">'
+    ];
+    ATTRIBUTES.forEach((attribute, idx) => {
+      lines.push('      <attribute id="' + idx + '" title="' + attribute[0] + '" type="string"/>');
+    });
+    lines.push('    </attributes>', '    <nodes>');
+    let edges = [];
+    tree.getNodesIds().forEach(id => {
+      let node = tree.getNode(id);
+      lines.push('      <node id="' + escapeXml(id) + '" label="' + escapeXml(node.name) + '">', '        <attvalues>');
+      ATTRIBUTES.forEach((attribute, idx) => {
+        lines.push('          <attvalue for="' + idx + '" value="' + escapeXml(attribute[1](node)) + '"/>');
+      });
+      lines.push('        </attvalues>', '      </node>');
+      node.children.forEach(child => edges.push([id, child.id]));
+    });
+    lines.push('    </nodes>', '    <edges>');
+    edges.forEach((edge, idx) => {
+      lines.push('      <edge id="' + idx + '" source="' + escapeXml(edge[0]) + '" target="' + escapeXml(edge[1]) + '"/>');
+    });
+    lines.push('    </edges>', '  </graph>', '</gexf>', '');
+    return lines.join('\n');
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * Exporter of the ontology as a GraphML graph, which can be opened with Gephi, yEd or networkx
+ * Each term is a node with its label, uri, topics and synonyms, and each parent-child link is a directed edge
+ *  from the parent to the child. The topics and the synonyms are separated by `;`.
+ */
+let {escapeXml} = require('./xml');
+
+//the attributes of the nodes, as [key, fn(node)->value]
+const ATTRIBUTES = [
+  ['label', node => node.name],
+  ['uri', node => node.data.uri],
+  ['topics', node => node.data.topics.join('; ')],
+  ['synonyms', node => node.data.alternative_names.join('; ')]
+];
+
+module.exports = {
+  name: 'graphml',
+  extension: '.graphml',
+  contentType: 'application/graphml+xml',
+  /**
+   * Write the ontology
+   * @param ontology: the ontology, as given to the exporters
+   * @returns {Promise<string>}: the content of the file
+   */
+  write: async function (ontology) {
+    let tree = ontology.tree;
+    let lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+    ];
+    ATTRIBUTES.forEach(attribute => {
+      lines.push('  <key id="' + attribute[0] + '" for="node" attr.name="' + attribute[0] + '" attr.type="string"/>');
+    });
+    lines.push('  <graph id="' + escapeXml(ontology.name) + '" edgedefault="directed">');
+    let edges = [];
+    tree.getNodesIds().forEach(id => {
+      let node = tree.getNode(id);
+      lines.push('    <node id="' + escapeXml(id) + '">');
+      ATTRIBUTES.forEach(attribute => {
+        lines.push('      <data key="' + attribute[0] + '">' + escapeXml(attribute[1](node)) + '</data>');
+      });
+      lines.push('    </node>');
+      node.children.forEach(child => edges.push([id, child.id]));
+    });
+    edges.forEach(edge => {
+      lines.push('    <edge source="' + escapeXml(edge[0]) + '" target="' + escapeXml(edge[1]) + '"/>');
+    });
+    lines.push('  </graph>', '</graphml>', '');
+    return lines.join('\n');
+  }
+};
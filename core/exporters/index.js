@@ -0,0 +1,76 @@
+/**
+ * Registry of the ontology exporters
+ * Each exporter writes the processed ontology of a dataset (with the definitions, synonyms and topics matched with
+ *  its terms) in one file format:
+ *  {
+ *    name: the name of the format, used for selecting the exporter
+ *    extension: the file extension of the format
+ *    contentType: the content type of the format
+ *    write: async fn(ontology)->string: method for writing the ontology
+ *  }
+ * The ontology given to the exporters is:
+ *  {
+ *    name: the name of the ontology
+ *    tree: {TreeBuilder}: the tree holding the terms
+ *    root: the compiled tree (see TreeBuilder), undefined if the hierarchy has cycles
+ *    schemes: the concept schemes of the ontology, as read by SkosReader
+ *  }
+ * The available formats are: turtle, jsonld, csv, graphml, gexf and newick.
+ * Other formats can be added with `register`.
+ */
+
+let exporters = {};
+
+/**
+ * Add an exporter to the registry
+ * If there is an existing exporter with the same name, it will be overwritten
+ * @param exporter: the exporter to be added
+ */
+function register(exporter) {
+  if (!exporter.name || typeof exporter.write !== 'function') {
+    throw 'An exporter should have a name and a write method!';
+  }
+  exporters[exporter.name] = exporter;
+}
+
+/**
+ * Get the exporter of a format
+ * @param format: the name of the format
+ * @returns {*}: the exporter of the format, or undefined if none exists
+ */
+function get(format) {
+  return exporters.hasOwnProperty(format) ? exporters[format] : undefined;
+}
+
+/**
+ * Get the names of all the available formats
+ * @returns {string[]}: list of the names of the formats
+ */
+function formats() {
+  return Object.keys(exporters);
+}
+
+/**
+ * Write an ontology in a format
+ * @param format: the name of the format
+ * @param ontology: the ontology to be written, as described above
+ * @returns {Promise<string>}: the content of the file
+ */
+async function write(format, ontology) {
+  let exporter = get(format);
+  if (!exporter) {
+    throw 'Unknown export format: ' + format + ', the available formats are ' + formats().join(', ');
+  }
+  return exporter.write(ontology);
+}
+
+[
+  require('./turtleExporter'),
+  require('./jsonLdExporter'),
+  require('./csvExporter'),
+  require('./graphmlExporter'),
+  require('./gexfExporter'),
+  require('./newickExporter')
+].forEach(register);
+
+module.exports = {register, get, formats, write};
@@ -0,0 +1,21 @@
+/**
+ * Exporter of the ontology as a SKOS vocabulary in JSON-LD format
+ * It uses jsonld library for converting the triples into a document, compacted with the prefixes of the namespaces
+ */
+let jsonld = require('jsonld');
+let {ontologyToQuads, PREFIXES} = require('./quads');
+
+module.exports = {
+  name: 'jsonld',
+  extension: '.jsonld',
+  contentType: 'application/ld+json',
+  /**
+   * Write the ontology
+   * @param ontology: the ontology, as given to the exporters
+   * @returns {Promise<string>}: the content of the file
+   */
+  write: async function (ontology) {
+    let document = await jsonld.fromRDF(ontologyToQuads(ontology));
+    return JSON.stringify(await jsonld.compact(document, PREFIXES), null, 2);
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Exporter of the ontology tree in Newick format, as used by phylogenetic tree tools
+ * The terms are named by their labels, and the terms with several parents appear under each of them,
+ *  along with their subtrees. The root of the tree is named after the ontology.
+ */
+
+/**
+ * Quote a label when it has characters that have a meaning in Newick format, doubling its single quotes
+ * @param label: the label
+ * @returns {string}
+ */
+function quote(label) {
+  return /[\s()\[\]':;,]/.test(label) ? '\'' + label.replace(/'/g, '\'\'') + '\'' : label;
+}
+
+/**
+ * Write a node of the compiled tree with its subtree
+ * @param node: the node
+ * @returns {string}
+ */
+function writeNode(node) {
+  let children = node.children || [];
+  return (children.length ? '(' + children.map(writeNode).join(',') + ')' : '') + quote(String(node.name));
+}
+
+module.exports = {
+  name: 'newick',
+  extension: '.nwk',
+  contentType: 'text/plain',
+  /**
+   * Write the ontology
+   * @param ontology: the ontology, as given to the exporters
+   * @returns {Promise<string>}: the content of the file
+   */
+  write: async function (ontology) {
+    if (!ontology.root) {
+      throw 'The hierarchy has cycles, so it can not be written as a tree';
+    }
+    return writeNode(Object.assign({}, ontology.root, {name: ontology.name})) + ';\n';
+  }
+};
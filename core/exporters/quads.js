@@ -0,0 +1,71 @@
+/**
+ * Helpers for converting the processed ontology into SKOS rdf quads, which are written by the rdf exporters
+ *
+ * Each term becomes a `skos:Concept` with:
+ *  - its labels as `skos:prefLabel`, and its alternative names as `skos:altLabel`
+ *  - its definitions, including the ones matched from the definitions file, as `skos:definition`
+ *  - its topics as `dcterms:subject`
+ *  - its parents as `skos:broader`, and its children as `skos:narrower`
+ *  - its schemes as `skos:inScheme` and `skos:topConceptOf`
+ *  - its non hierarchical relations as `skos:related` and the mapping relations (as `skos:exactMatch`)
+ * Each concept scheme becomes a `skos:ConceptScheme` with its labels and top concepts.
+ * Loading the written files gives back the same terms, with the same ids, names, hierarchy, relations, definitions,
+ *  synonyms and topics.
+ */
+let N3 = require('n3');
+let {namedNode, blankNode, literal, quad} = N3.DataFactory;
+
+const SKOS = 'http://www.w3.org/2004/02/skos/core#';
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const DCTERMS = 'http://purl.org/dc/terms/';
+
+//the prefixes of the namespaces used in the written files
+const PREFIXES = {skos: SKOS, dcterms: DCTERMS};
+
+/**
+ * Make the rdf term of a resource, where `_:` prefixed ids are blank nodes
+ * @param uri: the uri or the blank node id of the resource
+ * @returns {*}: rdf/js named node or blank node
+ */
+function resource(uri) {
+  return uri.startsWith('_:') ? blankNode(uri.slice(2)) : namedNode(uri);
+}
+
+/**
+ * Convert the processed ontology into SKOS rdf quads
+ * @param ontology: the ontology, as given to the exporters (see the exporters registry)
+ * @returns {Array}: list of rdf/js quads
+ */
+function ontologyToQuads(ontology) {
+  let quads = [];
+  let tree = ontology.tree;
+
+  function add(subject, property, object) {
+    quads.push(quad(resource(subject), namedNode(property), object));
+  }
+
+  ontology.schemes.forEach(scheme => {
+    add(scheme.uri, RDF_TYPE, namedNode(SKOS + 'ConceptScheme'));
+    scheme.labels.forEach(label => add(scheme.uri, SKOS + 'prefLabel', literal(label.text, label.lang)));
+    scheme.topConcepts.forEach(uri => add(scheme.uri, SKOS + 'hasTopConcept', resource(uri)));
+  });
+  tree.getNodesIds().forEach(id => {
+    let node = tree.getNode(id);
+    let data = node.data;
+    add(data.uri, RDF_TYPE, namedNode(SKOS + 'Concept'));
+    let labels = data.labels.length ? data.labels : [{text: node.name}];
+    labels.forEach(label => add(data.uri, SKOS + 'prefLabel', literal(label.text, label.lang)));
+    (data.alternative_labels || data.alternative_names.map(text => ({text})))
+      .forEach(label => add(data.uri, SKOS + 'altLabel', literal(label.text, label.lang)));
+    data.definitions.forEach(text => add(data.uri, SKOS + 'definition', literal(text)));
+    data.topics.forEach(text => add(data.uri, DCTERMS + 'subject', literal(text)));
+    node.parents.forEach(parentId => add(data.uri, SKOS + 'broader', resource(tree.getNode(parentId).data.uri)));
+    node.children.forEach(child => add(data.uri, SKOS + 'narrower', resource(child.data.uri)));
+    data.inScheme.forEach(uri => add(data.uri, SKOS + 'inScheme', resource(uri)));
+    data.topConceptOf.forEach(uri => add(data.uri, SKOS + 'topConceptOf', resource(uri)));
+    (data.relations || []).forEach(relation => add(data.uri, SKOS + relation.type, resource(relation.uri)));
+  });
+  return quads;
+}
+
+module.exports = {ontologyToQuads, PREFIXES};
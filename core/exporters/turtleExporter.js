@@ -0,0 +1,22 @@
+/**
+ * Exporter of the ontology as a SKOS vocabulary in Turtle format
+ * It uses n3 library for writing the triples
+ */
+let N3 = require('n3');
+let {ontologyToQuads, PREFIXES} = require('./quads');
+
+module.exports = {
+  name: 'turtle',
+  extension: '.ttl',
+  contentType: 'text/turtle',
+  /**
+   * Write the ontology
+   * @param ontology: the ontology, as given to the exporters
+   * @returns {Promise<string>}: the content of the file
+   */
+  write: async function (ontology) {
+    let writer = new N3.Writer({prefixes: PREFIXES});
+    writer.addQuads(ontologyToQuads(ontology));
+    return new Promise((resolve, reject) => writer.end((error, result) => error ? reject(error) : resolve(result)));
+  }
+};
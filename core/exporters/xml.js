@@ -0,0 +1,15 @@
+/**
+ * Helpers for writing the xml exports, and the svg documents of TreeExport class
+ */
+
+/**
+ * Escape a text for placing it in xml, as element content or attribute value
+ * @param text: the text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+module.exports = {escapeXml};
@@ -0,0 +1,97 @@
+/**
+ * Registry of the ontology loaders
+ * Each loader parses one file format into the json form of the ontology, which is read by SkosReader:
+ *  {
+ *    name: the name of the format, used for selecting the loader explicitly
+ *    extensions: the file extensions handled by the loader, used for selecting the loader by the file name
+ *    parse: async fn(content, options)->{Description: [...]}: method for parsing the content of the file
+ *  }
+ * The available formats are: json (rdf converted to json), turtle, rdfxml, jsonld and obo.
+ * Other formats can be added with `register`.
+ */
+let fs = require('fs');
+let path = require('path');
+
+let loaders = {};
+
+/**
+ * Add a loader to the registry
+ * If there is an existing loader with the same name, it will be overwritten
+ * @param loader: the loader to be added
+ */
+function register(loader) {
+  if (!loader.name || typeof loader.parse !== 'function') {
+    throw 'A loader should have a name and a parse method!';
+  }
+  loaders[loader.name] = loader;
+}
+
+/**
+ * Get the loader of a format
+ * @param format: the name of the format
+ * @returns {*}: the loader of the format, or undefined if none exists
+ */
+function get(format) {
+  return loaders.hasOwnProperty(format) ? loaders[format] : undefined;
+}
+
+/**
+ * Get the names of all the available formats
+ * @returns {string[]}: list of the names of the formats
+ */
+function formats() {
+  return Object.keys(loaders);
+}
+
+/**
+ * Get the format of a file from its extension
+ * @param file: the path or the name of the file
+ * @returns {string|undefined}: the name of the format, or undefined if no loader handles the extension
+ */
+function formatOf(file) {
+  let extension = path.extname(file).toLowerCase();
+  return formats().find(format => (loaders[format].extensions || []).indexOf(extension) !== -1);
+}
+
+/**
+ * Parse the content of an ontology file
+ * @param content: the content of the file
+ * @param options: loading options:
+ *  {
+ *    format: the name of the format, mandatory unless `file` is given
+ *    file: the name of the file, used to select the loader from its extension
+ *    baseIRI: the uri for resolving relative uris in the file
+ *  }
+ * @returns {Promise<{Description: Array}>}: the ontology in json form
+ */
+async function parse(content, options) {
+  options = options || {};
+  let format = options.format || (options.file && formatOf(options.file));
+  let loader = get(format);
+  if (!loader) {
+    throw 'Unknown ontology format: ' + (format || options.file) + ', the available formats are ' + formats().join(', ');
+  }
+  return loader.parse(content, options);
+}
+
+/**
+ * Load an ontology file
+ * The format is selected by the `format` option if given, or by the file extension otherwise
+ * @param file: the path of the file
+ * @param options: loading options, the same as in `parse`
+ * @returns {Promise<{Description: Array}>}: the ontology in json form
+ */
+async function load(file, options) {
+  options = Object.assign({file, baseIRI: 'file://' + path.resolve(file)}, options);
+  return parse(fs.readFileSync(file, 'utf8'), options);
+}
+
+[
+  require('./jsonLoader'),
+  require('./turtleLoader'),
+  require('./rdfXmlLoader'),
+  require('./jsonLdLoader'),
+  require('./oboLoader')
+].forEach(register);
+
+module.exports = {register, get, formats, formatOf, parse, load};
@@ -0,0 +1,41 @@
+/**
+ * Loader for ontologies in JSON-LD format
+ * It uses jsonld library for converting the document into triples
+ * The documents should hold their contexts, remote contexts aren't fetched, as the uploaded files would otherwise
+ *  make the server request any url
+ */
+let jsonld = require('jsonld');
+let {triplesToJson} = require('./triples');
+
+/**
+ * Document loader of jsonld library refusing every remote document
+ * @param url: the url of the document
+ * @throws {Error}: always
+ */
+async function refuseRemoteDocument(url) {
+  let error = new Error('Remote contexts are not loaded, the context should be given in the file: ' + url);
+  error.name = 'RemoteDocumentError';
+  throw error;
+}
+
+module.exports = {
+  name: 'jsonld',
+  extensions: ['.jsonld'],
+  /**
+   * Parse the content of the ontology file
+   * @param content: the content of the file
+   * @param options: loading options, `baseIRI` is used for resolving relative uris
+   * @returns {Promise<{Description: Array}>}: the ontology in json form
+   */
+  parse: async function (content, options) {
+    let triples;
+    try {
+      triples = await jsonld.toRDF(JSON.parse(content), {base: options.baseIRI, documentLoader: refuseRemoteDocument});
+    } catch (error) {
+      //a refused remote context is reported with its own message, rather than the generic one of jsonld
+      let cause = error.details && error.details.cause;
+      throw cause && cause.name === 'RemoteDocumentError' ? cause : error;
+    }
+    return triplesToJson(triples);
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Loader for ontologies already converted from rdf to json, like `data/ontology.json`
+ * The file should have a `Description` field with the list of rdf descriptions
+ */
+module.exports = {
+  name: 'json',
+  extensions: ['.json'],
+  /**
+   * Parse the content of the ontology file
+   * @param content: the content of the file
+   * @returns {Promise<{Description: Array}>}: the ontology in json form
+   */
+  parse: async function (content) {
+    let data = JSON.parse(content);
+    if (!data || !data.hasOwnProperty('Description')) {
+      throw 'The json ontology should have a `Description` field with the list of rdf descriptions';
+    }
+    return data;
+  }
+};
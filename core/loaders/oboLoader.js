@@ -0,0 +1,118 @@
+/**
+ * Loader for ontologies in OBO flat file format
+ * The `[Term]` stanzas are converted into SKOS concepts of a scheme named after the `ontology` header tag:
+ *  - `id` is converted into an obo purl, e.g. GO:0008150 => http://purl.obolibrary.org/obo/GO_0008150
+ *  - `name` becomes the preferred label and `synonym` the alternative labels
+ *  - `def` becomes the definition
+ *  - `is_a` becomes the broader concept
+ * Obsolete terms are skipped.
+ */
+const OBO = 'http://purl.obolibrary.org/obo/';
+const SKOS = 'http://www.w3.org/2004/02/skos/core#';
+
+/**
+ * Convert an obo id into a uri
+ * @param id: the obo id, e.g. GO:0008150
+ * @returns {string}: the uri of the id
+ */
+function idToUri(id) {
+  if (/^[a-z]+:\/\//i.test(id)) {
+    return id;
+  }
+  return OBO + id.replace(':', '_');
+}
+
+/**
+ * Read a quoted string at the beginning of a tag value, as in `def` and `synonym` tags
+ * @param value: the tag value
+ * @returns {string}: the unescaped quoted string, or the whole value if it's not quoted
+ */
+function readQuoted(value) {
+  let match = value.match(/^"((?:[^"\\]|\\.)*)"/);
+  if (!match) {
+    return value;
+  }
+  return match[1].replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Remove the trailing `! comment` and `{qualifiers}` from a tag value
+ * @param value: the tag value
+ * @returns {string}: the value without comments and qualifiers
+ */
+function stripComment(value) {
+  return value.replace(/\s+!.*$/, '').replace(/\s*\{[^}]*\}\s*$/, '').trim();
+}
+
+/**
+ * Split the content of an obo file into its header and stanzas
+ * Each of them is an object with the type of the stanza and a tag->values mapping
+ * @param content: the content of the file
+ * @returns {Array}: list of the stanzas, with the header as the first item
+ */
+function readStanzas(content) {
+  let stanzas = [{type: 'Header', tags: {}}];
+  content.split(/\r?\n/).forEach(line => {
+    line = line.trim();
+    if (line === '' || line.startsWith('!')) {
+      return;
+    }
+    let stanza = line.match(/^\[(.+)]$/);
+    if (stanza) {
+      stanzas.push({type: stanza[1], tags: {}});
+      return;
+    }
+    let separator = line.indexOf(':');
+    if (separator === -1) {
+      return;
+    }
+    let tag = line.slice(0, separator).trim();
+    let value = line.slice(separator + 1).trim();
+    let tags = stanzas[stanzas.length - 1].tags;
+    if (!tags.hasOwnProperty(tag)) {
+      tags[tag] = [];
+    }
+    tags[tag].push(value);
+  });
+  return stanzas;
+}
+
+module.exports = {
+  name: 'obo',
+  extensions: ['.obo'],
+  /**
+   * Parse the content of the ontology file
+   * @param content: the content of the file
+   * @returns {Promise<{Description: Array}>}: the ontology in json form
+   */
+  parse: async function (content) {
+    let stanzas = readStanzas(content);
+    let header = stanzas[0].tags;
+    let ontology = header.ontology ? header.ontology[0] : 'ontology';
+    let scheme = OBO + ontology;
+    let descriptions = [{
+      '@about': scheme,
+      'type': {'@resource': SKOS + 'ConceptScheme'},
+      'prefLabel': {'#text': header.hasOwnProperty('data-version') ? ontology + ' ' + header['data-version'][0] : ontology}
+    }];
+    stanzas.slice(1).forEach(stanza => {
+      let tags = stanza.tags;
+      if (stanza.type !== 'Term' || !tags.id || (tags.is_obsolete && tags.is_obsolete[0] === 'true')) {
+        return;
+      }
+      let description = {
+        '@about': idToUri(stripComment(tags.id[0])),
+        'type': {'@resource': SKOS + 'Concept'},
+        'inScheme': {'@resource': scheme},
+        'altLabel': (tags.synonym || []).map(value => ({'#text': readQuoted(value)})),
+        'definition': (tags.def || []).map(value => ({'#text': readQuoted(value)})),
+        'broader': (tags.is_a || []).map(value => ({'@resource': idToUri(stripComment(value))}))
+      };
+      if (tags.name) {
+        description.prefLabel = {'#text': tags.name[0]};
+      }
+      descriptions.push(description);
+    });
+    return {'Description': descriptions};
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Loader for ontologies in RDF/XML format
+ * It uses rdfxml-streaming-parser library for parsing the triples
+ */
+let {RdfXmlParser} = require('rdfxml-streaming-parser');
+let {triplesToJson} = require('./triples');
+
+module.exports = {
+  name: 'rdfxml',
+  extensions: ['.rdf', '.xml', '.owl'],
+  /**
+   * Parse the content of the ontology file
+   * @param content: the content of the file
+   * @param options: loading options, `baseIRI` is used for resolving relative uris
+   * @returns {Promise<{Description: Array}>}: the ontology in json form
+   */
+  parse: function (content, options) {
+    return new Promise(function (resolve, reject) {
+      let triples = [];
+      let parser = new RdfXmlParser({baseIRI: options.baseIRI});
+      parser.on('data', triple => triples.push(triple));
+      parser.on('error', reject);
+      parser.on('end', () => resolve(triplesToJson(triples)));
+      parser.write(content);
+      parser.end();
+    });
+  }
+};
@@ -0,0 +1,73 @@
+/**
+ * Helpers for converting rdf triples into the json form of the ontology, which is read by SkosReader
+ *
+ * Each subject becomes a description with an `@about` field, and each predicate becomes a field
+ * named after the local name of the predicate (e.g. `prefLabel` for skos:prefLabel), where:
+ *  - named nodes and blank nodes are written as {'@resource': uri}
+ *  - literals are written as {'#text': value, '@lang': language}
+ *  - repeated predicates are written as arrays
+ * Blank nodes are given `_:` prefixed ids, so they can be referenced like any other resource.
+ */
+
+/**
+ * Get the local name of a predicate uri, which is whatever comes after the last `#` or `/`
+ * @param uri: the uri of the predicate
+ * @returns {string}: the local name of the predicate
+ */
+function localName(uri) {
+  return uri.slice(Math.max(uri.lastIndexOf('#'), uri.lastIndexOf('/')) + 1);
+}
+
+/**
+ * Get the id of a node, where blank nodes ids are prefixed with `_:`
+ * @param term: rdf/js named node or blank node
+ * @returns {string}: the id of the node
+ */
+function nodeId(term) {
+  if (term.termType === 'BlankNode' && !term.value.startsWith('_:')) {
+    return '_:' + term.value;
+  }
+  return term.value;
+}
+
+/**
+ * Convert an rdf term into its json form
+ * @param term: rdf/js term, having `termType` and `value` fields
+ * @returns {*}: the json form of the term
+ */
+function termToJson(term) {
+  switch (term.termType) {
+    case 'Literal':
+      return term.language ? {'@lang': term.language, '#text': term.value} : {'#text': term.value};
+    default:
+      return {'@resource': nodeId(term)};
+  }
+}
+
+/**
+ * Convert a list of rdf triples into the json form of the ontology
+ * @param triples: list of rdf/js quads, the graph of the quads is ignored
+ * @returns {{Description: Array}}: the ontology in json form
+ */
+function triplesToJson(triples) {
+  let descriptions = {};
+  triples.forEach(triple => {
+    let subject = nodeId(triple.subject);
+    if (!descriptions.hasOwnProperty(subject)) {
+      descriptions[subject] = {'@about': subject};
+    }
+    let description = descriptions[subject];
+    let property = localName(triple.predicate.value);
+    let value = termToJson(triple.object);
+    if (!description.hasOwnProperty(property)) {
+      description[property] = value;
+    } else if (Array.isArray(description[property])) {
+      description[property].push(value);
+    } else {
+      description[property] = [description[property], value];
+    }
+  });
+  return {'Description': Object.keys(descriptions).map(subject => descriptions[subject])};
+}
+
+module.exports = {triplesToJson, localName};
@@ -0,0 +1,21 @@
+/**
+ * Loader for ontologies in Turtle format (and its subsets N-Triples)
+ * It uses n3 library for parsing the triples
+ */
+let N3 = require('n3');
+let {triplesToJson} = require('./triples');
+
+module.exports = {
+  name: 'turtle',
+  extensions: ['.ttl', '.n3', '.nt'],
+  /**
+   * Parse the content of the ontology file
+   * @param content: the content of the file
+   * @param options: loading options, `baseIRI` is used for resolving relative uris
+   * @returns {Promise<{Description: Array}>}: the ontology in json form
+   */
+  parse: async function (content, options) {
+    let parser = new N3.Parser({baseIRI: options.baseIRI});
+    return triplesToJson(parser.parse(content));
+  }
+};
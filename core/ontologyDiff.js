@@ -0,0 +1,186 @@
+let TreeBuilder = require('./TreeBuilder');
+
+/**
+ * Class function for comparing two versions of an ontology, as two processed datasets
+ * The terms of the versions are matched by their ids, and each term is found to be:
+ *  - added: only in the new version
+ *  - removed: only in the old version
+ *  - moved: its parents changed
+ *  - renamed: its name changed
+ *  - changed: its other labels, definitions, synonyms or topics changed
+ * A term may be moved, renamed and changed at the same time.
+ *
+ * @param before: {TreeBuilder}: the tree holding the terms of the old version
+ * @param after: {TreeBuilder}: the tree holding the terms of the new version
+ * @returns {*} new instance of the class
+ */
+function OntologyDiff(before, after) {
+  //the fields of the terms data compared for finding changed terms
+  const FIELDS = ['labels', 'definitions', 'alternative_names', 'topics'];
+  //`this` object
+  let diff = {};
+  //id->{status, changes} of all the terms of both versions, computed on the first use
+  let statuses;
+
+  /**
+   * Get the values of a field of a term as comparable texts
+   * Labels are compared as `text@lang`, leaving out the ones holding the name of the term, which are compared as renames
+   * @param node: the node of the term
+   * @param field: the name of the field
+   * @returns {string[]}
+   */
+  function values(node, field) {
+    let list = node.data[field] || [];
+    if (field === 'labels') {
+      return list.filter(label => label.text !== node.name).map(label => label.text + (label.lang ? '@' + label.lang : ''));
+    }
+    return list;
+  }
+
+  /**
+   * Compare two lists of values, ignoring their order
+   * @param old: the values in the old version
+   * @param current: the values in the new version
+   * @returns {{added: string[], removed: string[]}|undefined}: the difference, or undefined if there is none
+   */
+  function compareValues(old, current) {
+    let added = current.filter(value => old.indexOf(value) === -1);
+    let removed = old.filter(value => current.indexOf(value) === -1);
+    return added.length || removed.length ? {added, removed} : undefined;
+  }
+
+  /**
+   * Find the changes of a term existing in both versions
+   * @param old: the node of the term in the old version
+   * @param current: the node of the term in the new version
+   * @returns {{moved: boolean, renamed: boolean, fields: *}}: where fields is field->difference of the changed fields
+   */
+  function compareTerm(old, current) {
+    let fields = {};
+    FIELDS.forEach(field => {
+      let difference = compareValues(values(old, field), values(current, field));
+      if (difference) {
+        fields[field] = difference;
+      }
+    });
+    return {
+      moved: compareValues(old.parents, current.parents) !== undefined,
+      renamed: old.name !== current.name,
+      fields
+    };
+  }
+
+  /**
+   * Find the status of every term of both versions
+   */
+  function compareAll() {
+    statuses = {};
+    before.getNodesIds().forEach(id => {
+      let old = before.getNode(id);
+      let current = after.getNode(id);
+      if (!current) {
+        statuses[id] = {status: 'removed', changes: ['removed']};
+        return;
+      }
+      let result = compareTerm(old, current);
+      let changes = [];
+      if (result.moved) {
+        changes.push('moved');
+      }
+      if (result.renamed) {
+        changes.push('renamed');
+      }
+      if (Object.keys(result.fields).length) {
+        changes.push('changed');
+      }
+      statuses[id] = {status: changes.length ? changes[0] : 'unchanged', changes, fields: result.fields};
+    });
+    after.getNodesIds().filter(id => !before.getNode(id)).forEach(id => {
+      statuses[id] = {status: 'added', changes: ['added']};
+    });
+  }
+
+  /**
+   * Get the ids of the terms with a given change
+   * @param change: the change, one of the statuses except `unchanged`
+   * @returns {string[]}
+   */
+  function withChange(change) {
+    if (!statuses) {
+      compareAll();
+    }
+    return Object.keys(statuses).filter(id => statuses[id].changes.indexOf(change) !== -1);
+  }
+
+  /**
+   * Compile the differences between the versions
+   * The format of the differences is:
+   *  {
+   *    summary: the number of the terms of each version, and the number of the terms with each change
+   *    added: the added terms, as {id, name, parents}
+   *    removed: the removed terms, as {id, name, parents} where parents are the ones in the old version
+   *    moved: the terms whose parents changed, as {id, name, from, to} where from and to are the old and new parents
+   *    renamed: the terms whose names changed, as {id, from, to} where from and to are the old and new names
+   *    changed: the terms whose other fields changed, as {id, name, fields} where fields is field->{added, removed}
+   *      for each changed field out of labels (other than the name), definitions, alternative_names and topics
+   *  }
+   * @returns {*}: the differences
+   */
+  diff.compile = function () {
+    let result = {
+      added: withChange('added').map(id => after.getNode(id))
+        .map(node => ({id: node.id, name: node.name, parents: node.parents})),
+      removed: withChange('removed').map(id => before.getNode(id))
+        .map(node => ({id: node.id, name: node.name, parents: node.parents})),
+      moved: withChange('moved').map(id => ({
+        id,
+        name: after.getNode(id).name,
+        from: before.getNode(id).parents,
+        to: after.getNode(id).parents
+      })),
+      renamed: withChange('renamed').map(id => ({id, from: before.getNode(id).name, to: after.getNode(id).name})),
+      changed: withChange('changed').map(id => ({id, name: after.getNode(id).name, fields: statuses[id].fields}))
+    };
+    let summary = {termsBefore: before.size(), termsAfter: after.size()};
+    Object.keys(result).forEach(key => {
+      summary[key] = result[key].length;
+    });
+    return Object.assign({summary}, result);
+  };
+
+  /**
+   * Compile the tree holding the terms of both versions, to be shown with d3Tree
+   * The terms are placed under their parents in the new version, and the removed ones under their parents
+   *  in the old version. The data of each node is {id, uri, name, status, changes, previousName, previousParents},
+   *  where previousName and previousParents are only given for renamed and moved terms.
+   * @returns {*}: the tree, in the same format as `compile` of TreeBuilder
+   */
+  diff.compileTree = function () {
+    if (!statuses) {
+      compareAll();
+    }
+    let tree = TreeBuilder(d => d.id);
+    Object.keys(statuses).forEach(id => {
+      let node = after.getNode(id) || before.getNode(id);
+      let data = {id, uri: node.data.uri, name: node.name, status: statuses[id].status, changes: statuses[id].changes};
+      if (statuses[id].changes.indexOf('renamed') !== -1) {
+        data.previousName = before.getNode(id).name;
+      }
+      if (statuses[id].changes.indexOf('moved') !== -1) {
+        data.previousParents = before.getNode(id).parents;
+      }
+      tree.createNode(data);
+    });
+    Object.keys(statuses).forEach(id => {
+      let node = after.getNode(id) || before.getNode(id);
+      node.parents.forEach(parentId => tree.addChild(tree.getNode(parentId).data, tree.getNode(id).data));
+    });
+    return tree.compile();
+  };
+
+  return diff;
+}
+
+//the statuses of the terms in the tree of the differences
+OntologyDiff.STATUSES = ['added', 'removed', 'moved', 'renamed', 'changed', 'unchanged'];
+module.exports = OntologyDiff;
@@ -0,0 +1,328 @@
+/**
+ * This module is for editing the terms of a dataset: adding, renaming, moving and removing them
+ * Each change is applied to the TreeBuilder and the DistanceMatrix of the dataset, and to its source ontology
+ *  (see OntologySource class) so it can be saved, and it's kept in the history so it can be undone
+ */
+let DefinitionsMapping = require('./definitionsMapping');
+
+/**
+ * Error raised when a change can't be made, status is the http status describing the problem
+ */
+class EditError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'EditError';
+    this.status = status || 400;
+  }
+}
+
+/**
+ * Class function for editing the terms of a dataset
+ * Changes that would make a cycle in the hierarchy are refused, and the hierarchy is checked after each change
+ * @param options: the data to be edited:
+ *  {
+ *    treeBuilder: {TreeBuilder}: the tree holding the terms
+ *    distanceMatrix: {DistanceMatrix}: the graph for computing the distances between the terms
+ *    source: {OntologySource}: the source ontology
+ *    schemes: the concept schemes of the ontology
+ *  }
+ * @returns {*} new instance of the class
+ */
+function OntologyEditor(options) {
+  //the maximum number of changes kept in the history
+  const HISTORY_SIZE = 100;
+  //`this` object
+  let editor = {};
+  let tree = options.treeBuilder;
+  let distanceMatrix = options.distanceMatrix;
+  let source = options.source;
+  let schemes = options.schemes || [];
+  //list of {action, id, description, at, reverts} of the changes, latest last,
+  // where reverts are the functions reverting the steps of the change in order
+  let history = [];
+
+  /**
+   * Get a term, failing if it doesn't exist
+   * @param id: the id of the term
+   * @returns {*}: the node of the term
+   */
+  function getNode(id) {
+    let node = tree.getNode(id);
+    if (!node) {
+      throw new EditError('Unknown term id: ' + id, 404);
+    }
+    return node;
+  }
+
+  /**
+   * Check the name of a term
+   * @param name: the name
+   * @returns {string}: the name without the surrounding spaces
+   */
+  function checkName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new EditError('The name of the term should be a non empty text');
+    }
+    return name.trim();
+  }
+
+  /**
+   * Make the uri of a new term, in the same namespace as its parent (or any other term if it has no parent)
+   * @param id: the id of the new term
+   * @param parentId: the id of the parent of the new term, if any
+   * @returns {string}: the uri of the new term
+   */
+  function conceptUri(id, parentId) {
+    let reference = tree.getNode(parentId !== undefined ? parentId : tree.getNodesIds()[0]);
+    if (reference && reference.data.uri.endsWith(reference.id)) {
+      return reference.data.uri.slice(0, reference.data.uri.length - reference.id.length) + id;
+    }
+    if (schemes.length) {
+      return schemes[0].uri.replace(/[\/#]$/, '') + '/' + id;
+    }
+    return 'urn:concept:' + id;
+  }
+
+  /**
+   * Make a change, and keep it in the history
+   * If the change fails or makes a cycle in the hierarchy, the steps already made are reverted
+   * @param action: the name of the change
+   * @param id: the id of the changed term
+   * @param description: the description of the change
+   * @param change: fn(reverts): the function making the change, which adds a function reverting each of its steps
+   *                to reverts
+   * @returns {{action: string, id: string, description: string, at: Date}}: the change
+   */
+  function apply(action, id, description, change) {
+    let reverts = [];
+    try {
+      change(reverts);
+      if (tree.size() && tree.compile() === undefined) {
+        throw new EditError('The change would make a cycle in the hierarchy', 409);
+      }
+    } catch (error) {
+      revert(reverts);
+      throw error;
+    }
+    let entry = {action, id, description, at: new Date(), reverts};
+    history.push(entry);
+    if (history.length > HISTORY_SIZE) {
+      history.shift();
+    }
+    return summary(entry);
+  }
+
+  /**
+   * Revert the steps of a change, the latest first
+   * @param reverts: the functions reverting the steps of the change, in the order of the steps
+   */
+  function revert(reverts) {
+    for (let i = reverts.length - 1; i >= 0; --i) {
+      reverts[i]();
+    }
+  }
+
+  /**
+   * Get the description of a change without its reverting functions
+   * @param entry: the change, as kept in the history
+   * @returns {{action: string, id: string, description: string, at: Date}}
+   */
+  function summary(entry) {
+    return {action: entry.action, id: entry.id, description: entry.description, at: entry.at};
+  }
+
+  /**
+   * Move a term from one of its parents to another parent, as a step of a change
+   * @param reverts: the reverting functions of the change
+   * @param id: the id of the term
+   * @param fromId: the id of the current parent, if not given the new parent is added to the parents of the term
+   * @param toId: the id of the new parent, if not given the term is only removed from its current parent
+   */
+  function move(reverts, id, fromId, toId) {
+    let node = getNode(id);
+    if (fromId !== undefined && node.parents.indexOf(fromId) === -1) {
+      throw new EditError('`' + fromId + '` is not a parent of `' + id + '`');
+    }
+    if (toId !== undefined) {
+      getNode(toId);
+      if (node.parents.indexOf(toId) !== -1) {
+        throw new EditError('`' + toId + '` is already a parent of `' + id + '`', 409);
+      }
+      if (!tree.canAddChild(toId, id)) {
+        throw new EditError('`' + toId + '` can not be a parent of `' + id + '`, it would make a cycle in the hierarchy', 409);
+      }
+    }
+    tree.moveNode(id, fromId, toId);
+    reverts.push(() => tree.moveNode(id, toId, fromId));
+    if (fromId !== undefined) {
+      distanceMatrix.removeEdge(fromId, id);
+      reverts.push(() => distanceMatrix.addEdge(fromId, id));
+    }
+    if (toId !== undefined) {
+      distanceMatrix.addEdge(toId, id);
+      reverts.push(() => distanceMatrix.removeEdge(toId, id));
+    }
+    let broader = node.data.broader;
+    let fromUri = fromId !== undefined ? getNode(fromId).data.uri : undefined;
+    let toUri = toId !== undefined ? getNode(toId).data.uri : undefined;
+    node.data.broader = broader.filter(uri => uri !== fromUri).concat(toUri !== undefined ? [toUri] : []);
+    reverts.push(() => {
+      node.data.broader = broader;
+    });
+    if (fromUri !== undefined) {
+      reverts.push(source.removeBroader(node.data.uri, fromUri));
+    }
+    if (toUri !== undefined) {
+      reverts.push(source.addBroader(node.data.uri, toUri));
+    }
+  }
+
+  /**
+   * Add a new term
+   * @param concept: the term to be added:
+   *  {
+   *    name: the name of the term
+   *    id: the id of the term, made from its name if not given (the same way the terms of the definitions file are)
+   *    parent: the id of the parent of the term, the term is added at the top level if not given
+   *  }
+   * @returns {{action: string, id: string, description: string, at: Date}}: the change
+   */
+  editor.addConcept = function (concept) {
+    concept = concept || {};
+    let name = checkName(concept.name);
+    let id = concept.id !== undefined ? String(concept.id).trim() : DefinitionsMapping().normalize(name);
+    if (!/^[^\s\/#?]+$/.test(id)) {
+      throw new EditError('The id of the term should be a non empty text with no spaces, `/`, `#` or `?`');
+    }
+    if (tree.getNode(id)) {
+      throw new EditError('There is an existing term with the id: ' + id, 409);
+    }
+    let parent = concept.parent !== undefined && concept.parent !== null ? getNode(concept.parent) : undefined;
+    let uri = conceptUri(id, parent && parent.id);
+    if (source.hasResource(uri)) {
+      throw new EditError('There is an existing resource with the uri: ' + uri, 409);
+    }
+    let lang = parent && parent.data.labels.length ? parent.data.labels[0].lang : undefined;
+    let data = {
+      id,
+      uri,
+      name,
+      labels: [{text: name, lang}],
+      alternative_names: [],
+      alternative_labels: [],
+      definitions: [],
+      topics: [],
+      broader: [],
+      inScheme: parent ? parent.data.inScheme.slice() : schemes.length === 1 ? [schemes[0].uri] : [],
+      topConceptOf: [],
+      relations: [],
+      definition_details: []
+    };
+    return apply('add', id, 'Added `' + name + '`' + (parent ? ' under `' + parent.name + '`' : ''), reverts => {
+      tree.createNode(data);
+      distanceMatrix.createNode(id);
+      reverts.push(() => {
+        tree.removeNode(id);
+        distanceMatrix.removeNode(id);
+      });
+      reverts.push(source.addConcept({uri, name, lang, broader: [], inScheme: data.inScheme}));
+      if (parent) {
+        move(reverts, id, undefined, parent.id);
+      }
+    });
+  };
+
+  /**
+   * Rename a term, by changing its preferred label
+   * @param id: the id of the term
+   * @param name: the new name of the term
+   * @returns {{action: string, id: string, description: string, at: Date}}: the change
+   */
+  editor.renameConcept = function (id, name) {
+    let node = getNode(id);
+    name = checkName(name);
+    let oldName = node.name;
+    let labels = node.data.labels;
+    let lang = labels.length ? labels[0].lang : undefined;
+    return apply('rename', id, 'Renamed `' + oldName + '` to `' + name + '`', reverts => {
+      tree.renameNode(id, name);
+      node.data.labels = [{text: name, lang}].concat(labels.slice(1));
+      reverts.push(() => {
+        tree.renameNode(id, oldName);
+        node.data.labels = labels;
+      });
+      reverts.push(source.setLabel(node.data.uri, name, lang));
+    });
+  };
+
+  /**
+   * Move a term from one of its parents to another parent
+   * @param id: the id of the term
+   * @param fromId: the id of the current parent, if not given the new parent is added to the parents of the term
+   * @param toId: the id of the new parent, if not given the term is only removed from its current parent,
+   *              and becomes a top level term if it has no other parent
+   * @returns {{action: string, id: string, description: string, at: Date}}: the change
+   */
+  editor.moveConcept = function (id, fromId, toId) {
+    let node = getNode(id);
+    if (fromId === undefined && toId === undefined) {
+      throw new EditError('Either the current parent or the new parent of the term should be given');
+    }
+    let nameOf = parentId => parentId === undefined ? 'the top level' : '`' + getNode(parentId).name + '`';
+    return apply('move', id, 'Moved `' + node.name + '` from ' + nameOf(fromId) + ' to ' + nameOf(toId),
+      reverts => move(reverts, id, fromId, toId));
+  };
+
+  /**
+   * Remove a term
+   * Its children are moved to its parents, or to the top level if it has no parents
+   * @param id: the id of the term
+   * @returns {{action: string, id: string, description: string, at: Date}}: the change
+   */
+  editor.removeConcept = function (id) {
+    let node = getNode(id);
+    return apply('remove', id, 'Removed `' + node.name + '`', reverts => {
+      node.children.slice().forEach(child => {
+        let targets = node.parents.filter(parentId => child.parents.indexOf(parentId) === -1);
+        move(reverts, child.id, id, targets[0]);
+        targets.slice(1).forEach(parentId => move(reverts, child.id, undefined, parentId));
+      });
+      node.parents.slice().forEach(parentId => move(reverts, id, parentId, undefined));
+      let relations = distanceMatrix.relationsOf(id);
+      tree.removeNode(id);
+      distanceMatrix.removeNode(id);
+      reverts.push(() => {
+        tree.createNode(node.data);
+        distanceMatrix.createNode(id);
+        relations.forEach(relation => distanceMatrix.addRelation(relation.type, id, relation.id));
+      });
+      reverts.push(source.removeConcept(node.data.uri));
+    });
+  };
+
+  /**
+   * Undo the latest change
+   * @returns {{action: string, id: string, description: string, at: Date}}: the undone change
+   */
+  editor.undo = function () {
+    if (!history.length) {
+      throw new EditError('There are no changes to undo', 409);
+    }
+    let entry = history.pop();
+    revert(entry.reverts);
+    return summary(entry);
+  };
+
+  /**
+   * Get the changes that can be undone
+   * @returns {{action: string, id: string, description: string, at: Date}[]}: the changes, latest first
+   */
+  editor.history = function () {
+    return history.map(summary).reverse();
+  };
+
+  return editor;
+}
+
+OntologyEditor.EditError = EditError;
+module.exports = OntologyEditor;
@@ -0,0 +1,300 @@
+/**
+ * Class function for editing the json form of an ontology (see loaders module), so the changes made to its terms
+ *  can be written back to the source file
+ * Every editing method returns a function that reverts the change, which is used for undoing it.
+ * The reverting functions should be called in the reverse order of the changes.
+ * @param ontology: the ontology in json form, which is changed in place
+ * @returns {*} new instance of the class
+ */
+function OntologySource(ontology) {
+  const SKOS = 'http://www.w3.org/2004/02/skos/core#';
+  const LABEL_PROPERTIES = ['prefLabel', 'altLabel', 'hiddenLabel'];
+  //`this` object
+  let source = {};
+  //uri->list of {description, owner} of the descriptions of the resource, where the description is found
+  // under the `Description` property of the owner, either directly or within a list
+  let index;
+
+  /**
+   * Wrap a property value in a list, as the rdf->json conversion only produces lists for repeated properties
+   * @param value: the value of the property
+   * @returns {Array}: list of all the values of the property
+   */
+  function asArray(value) {
+    if (value === undefined || value === null) {
+      return [];
+    }
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Set the values of a property the way the rdf->json conversion does:
+   *  no property for no values, the value itself for a single value, and a list otherwise
+   * @param description: the rdf description
+   * @param property: the name of the property
+   * @param values: the values of the property
+   */
+  function setValues(description, property, values) {
+    if (!values.length) {
+      delete description[property];
+    } else {
+      description[property] = values.length === 1 ? values[0] : values;
+    }
+  }
+
+  /**
+   * Index the descriptions of the ontology by the uris of their resources, including the nested ones
+   */
+  function buildIndex() {
+    index = {};
+
+    function visit(description, owner) {
+      let uri = description['@about'];
+      if (uri !== undefined) {
+        if (!index.hasOwnProperty(uri)) {
+          index[uri] = [];
+        }
+        index[uri].push({description, owner});
+      }
+      asArray(description.Description).forEach(nested => visit(nested, description));
+    }
+
+    ontology.Description = asArray(ontology.Description);
+    ontology.Description.forEach(description => visit(description, ontology));
+  }
+
+  /**
+   * Get the index entries of the descriptions of a resource
+   * @param uri: the uri of the resource
+   * @returns {{description: *, owner: *}[]}
+   */
+  function entriesOf(uri) {
+    if (!index) {
+      buildIndex();
+    }
+    return index.hasOwnProperty(uri) ? index[uri] : [];
+  }
+
+  /**
+   * Keep a copy of the properties of some descriptions, except their nested descriptions
+   * @param descriptions: the descriptions to be copied
+   * @returns {function()}: fn() that restores the properties of the descriptions from the copy, in their order
+   */
+  function snapshot(descriptions) {
+    let copies = descriptions.map(description => {
+      let copy = Object.assign({}, description);
+      delete copy.Description;
+      return {keys: Object.keys(description), json: JSON.stringify(copy)};
+    });
+    return function () {
+      descriptions.forEach((description, idx) => {
+        let copy = JSON.parse(copies[idx].json);
+        let nested = description.Description;
+        Object.keys(description).forEach(key => {
+          delete description[key];
+        });
+        copies[idx].keys.forEach(key => {
+          if (key !== 'Description') {
+            description[key] = copy[key];
+          } else if (nested !== undefined) {
+            description.Description = nested;
+          }
+        });
+      });
+    };
+  }
+
+  /**
+   * Remove the values of a property that reference a resource
+   * @param description: the rdf description
+   * @param property: the name of the property
+   * @param uri: the uri of the referenced resource
+   * @returns {boolean}: whether any value was removed
+   */
+  function removeReference(description, property, uri) {
+    let values = asArray(description[property]);
+    let kept = values.filter(value => value['@resource'] !== uri);
+    if (kept.length !== values.length) {
+      setValues(description, property, kept);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check whether the ontology has descriptions of a resource
+   * @param uri: the uri of the resource
+   * @returns {boolean}
+   */
+  source.hasResource = function (uri) {
+    return entriesOf(uri).length > 0;
+  };
+
+  /**
+   * Add a broader link to a concept
+   * @param uri: the uri of the concept
+   * @param broader: the uri of the broader concept
+   * @returns {function()}: fn() that reverts the change
+   */
+  source.addBroader = function (uri, broader) {
+    let description = entriesOf(uri)[0].description;
+    let revert = snapshot([description]);
+    setValues(description, 'broader', asArray(description.broader).concat([{'@resource': broader}]));
+    return revert;
+  };
+
+  /**
+   * Remove the link between a concept and a broader concept, from both sides (`broader` and `narrower`)
+   * @param uri: the uri of the concept
+   * @param broader: the uri of the broader concept
+   * @returns {function()}: fn() that reverts the change
+   */
+  source.removeBroader = function (uri, broader) {
+    let descriptions = entriesOf(uri).map(entry => entry.description)
+      .filter(description => asArray(description.broader).some(value => value['@resource'] === broader))
+      .concat(entriesOf(broader).map(entry => entry.description)
+        .filter(description => asArray(description.narrower).some(value => value['@resource'] === uri)));
+    let revert = snapshot(descriptions);
+    descriptions.forEach(description => {
+      removeReference(description, 'broader', broader);
+      removeReference(description, 'narrower', uri);
+    });
+    return revert;
+  };
+
+  /**
+   * Change the text of the preferred label of a concept, which is the one used as its name
+   * It's the first preferred label of the concept, resolved through skos-xl labels,
+   *  and a new preferred label is added if the concept has none
+   * @param uri: the uri of the concept
+   * @param text: the new text of the label
+   * @param lang: the language of the label, only used when a new label is added
+   * @returns {function()}: fn() that reverts the change
+   */
+  source.setLabel = function (uri, text, lang) {
+    let descriptions = entriesOf(uri).map(entry => entry.description);
+    let owner = descriptions.find(description => description.prefLabel !== undefined);
+    if (!owner) {
+      let revert = snapshot([descriptions[0]]);
+      descriptions[0].prefLabel = lang ? {'@lang': lang, '#text': text} : text;
+      return revert;
+    }
+    let values = asArray(owner.prefLabel);
+    let label = values[0];
+    if (label['@resource'] === undefined) {
+      let revert = snapshot([owner]);
+      values[0] = typeof label === 'string' ? text : Object.assign({}, label, {'#text': text});
+      setValues(owner, 'prefLabel', values);
+      return revert;
+    }
+    let form = entriesOf(label['@resource']).map(entry => entry.description)
+      .find(description => description.literalForm !== undefined);
+    if (!form) {
+      let revert = snapshot([owner]);
+      values[0] = lang ? {'@lang': lang, '#text': text} : text;
+      setValues(owner, 'prefLabel', values);
+      return revert;
+    }
+    let revert = snapshot([form]);
+    let forms = asArray(form.literalForm);
+    forms[0] = typeof forms[0] === 'string' ? text : Object.assign({}, forms[0], {'#text': text});
+    setValues(form, 'literalForm', forms);
+    return revert;
+  };
+
+  /**
+   * Add a new concept to the ontology
+   * @param concept: the concept to be added:
+   *  {
+   *    uri: the uri of the concept
+   *    name: the preferred label of the concept
+   *    lang: the language of the label
+   *    broader: the uris of the broader concepts
+   *    inScheme: the uris of the schemes of the concept
+   *  }
+   * @returns {function()}: fn() that reverts the change
+   */
+  source.addConcept = function (concept) {
+    let description = {
+      '@about': concept.uri,
+      type: {'@resource': SKOS + 'Concept'}
+    };
+    setValues(description, 'inScheme', (concept.inScheme || []).map(uri => ({'@resource': uri})));
+    description.prefLabel = concept.lang ? {'@lang': concept.lang, '#text': concept.name} : concept.name;
+    setValues(description, 'broader', (concept.broader || []).map(uri => ({'@resource': uri})));
+    ontology.Description = asArray(ontology.Description);
+    ontology.Description.push(description);
+    index = undefined;
+    return function () {
+      ontology.Description.splice(ontology.Description.indexOf(description), 1);
+      index = undefined;
+    };
+  };
+
+  /**
+   * Remove a concept from the ontology, along with its skos-xl labels and every reference to it
+   * @param uri: the uri of the concept
+   * @returns {function()}: fn() that reverts the change
+   */
+  source.removeConcept = function (uri) {
+    let entries = entriesOf(uri);
+    let labels = [];
+    entries.forEach(entry => LABEL_PROPERTIES.forEach(property => {
+      asArray(entry.description[property]).filter(value => value['@resource'] !== undefined)
+        .filter(value => labels.indexOf(value['@resource']) === -1)
+        .forEach(value => labels.push(value['@resource']));
+    }));
+    let removed = labels.reduce((cur, label) => cur.concat(entriesOf(label)), entries.slice());
+    let kept = [];
+    Object.keys(index).forEach(cur => index[cur].forEach(entry => {
+      if (removed.indexOf(entry) === -1) {
+        kept.push(entry.description);
+      }
+    }));
+    let referencing = kept.filter(description => Object.keys(description).some(property =>
+      asArray(description[property]).some(value => value && value['@resource'] === uri)));
+    let revertReferences = snapshot(referencing);
+    referencing.forEach(description => Object.keys(description).forEach(property => {
+      if (property !== 'Description') {
+        removeReference(description, property, uri);
+      }
+    }));
+    //the position of each removed description within the `Description` property of its owner,
+    // or -1 if it was the only value of the property
+    let positions = removed.map(entry => {
+      let values = entry.owner.Description;
+      if (!Array.isArray(values)) {
+        delete entry.owner.Description;
+        return -1;
+      }
+      let position = values.indexOf(entry.description);
+      values.splice(position, 1);
+      return position;
+    });
+    index = undefined;
+    return function () {
+      for (let i = removed.length - 1; i >= 0; --i) {
+        let entry = removed[i];
+        if (positions[i] === -1) {
+          entry.owner.Description = entry.description;
+        } else {
+          entry.owner.Description.splice(positions[i], 0, entry.description);
+        }
+      }
+      revertReferences();
+      index = undefined;
+    };
+  };
+
+  /**
+   * Get the ontology in json form, with all the changes applied
+   * @returns {{Description: Array}}
+   */
+  source.toJson = function () {
+    return ontology;
+  };
+
+  return source;
+}
+
+module.exports = OntologySource;
@@ -0,0 +1,145 @@
+let {comparable, editDistance} = require('./textMatching');
+
+/**
+ * Class function for collecting the data quality problems found while processing a dataset
+ * The problems are recorded by the dataPreprocessing module while reading the ontology and the definitions,
+ *  and the ones that depend on the whole tree are found when the report is compiled
+ * @returns {*} new instance of the class
+ */
+function QualityReport() {
+  //`this` object
+  let report = {};
+  //concepts whose ids are taken by other concepts, as {id, uri, existing}
+  let duplicateIds = [];
+  //broader links to resources that aren't concepts of the ontology, as {id, broader}
+  let unknownBroader = [];
+  //rows of the definitions file that match no term, as {row, term}
+  let unmatchedRows = [];
+  //synonym->ids of the terms having it
+  let synonyms = {};
+  let definitionRows = 0;
+
+  /**
+   * Find the terms whose names are the nearest to a term of the definitions file
+   * @param term: the term of the definitions file
+   * @param names: list of {id, name, key} of the ontology terms, where key is the comparable form of the name
+   * @returns {{id: string, name: string, distance: number}[]}: at most three of the nearest terms
+   */
+  function suggest(term, names) {
+    let key = comparable(term);
+    let max = Math.max(2, Math.floor(key.length / 3));
+    return names.map(cur => ({id: cur.id, name: cur.name, distance: editDistance(key, cur.key, max)}))
+      .filter(cur => cur.distance <= max)
+      .sort((first, second) => first.distance - second.distance || first.name.localeCompare(second.name))
+      .slice(0, 3);
+  }
+
+  /**
+   * Record a concept that was merged into another concept with the same id
+   * @param id: the id of the concepts
+   * @param uri: the uri of the merged concept
+   * @param existing: the uri of the concept that has the id
+   */
+  report.duplicateId = function (id, uri, existing) {
+    duplicateIds.push({id, uri, existing});
+  };
+
+  /**
+   * Record a broader link to a resource that isn't a concept of the ontology, which was dropped
+   * @param id: the id of the concept
+   * @param broader: the uri of the broader resource
+   */
+  report.unknownBroader = function (id, broader) {
+    unknownBroader.push({id, broader});
+  };
+
+  /**
+   * Record the number of rows of the definitions file
+   * @param count: the number of rows
+   */
+  report.definitionRows = function (count) {
+    definitionRows = count;
+  };
+
+  /**
+   * Record a row of the definitions file that matches no term
+   * @param row: the number of the row in the file, where the header is the first row
+   * @param term: the term of the row
+   */
+  report.unmatchedRow = function (row, term) {
+    unmatchedRows.push({row, term});
+  };
+
+  /**
+   * Record a synonym given to a term by the definitions file
+   * @param synonym: the synonym
+   * @param id: the id of the term
+   */
+  report.synonym = function (synonym, id) {
+    if (!synonyms.hasOwnProperty(synonym)) {
+      synonyms[synonym] = [];
+    }
+    if (synonyms[synonym].indexOf(id) === -1) {
+      synonyms[synonym].push(id);
+    }
+  };
+
+  /**
+   * Get the synonyms given to more than one term
+   * @returns {{synonym: string, terms: string[]}[]}
+   */
+  report.sharedSynonyms = function () {
+    return Object.keys(synonyms).filter(synonym => synonyms[synonym].length > 1)
+      .map(synonym => ({synonym, terms: synonyms[synonym]}));
+  };
+
+  /**
+   * Compile the report of the dataset
+   * The format of the report is:
+   *  {
+   *    summary: the number of the problems of each kind, along with the number of terms and definition rows
+   *    unmatchedRows: the rows of the definitions file that match no term, with the nearest terms as suggestions
+   *    orphans: the concepts with no broader concept that aren't top concepts of any scheme,
+   *      only listed when the ontology declares its top concepts
+   *    unknownBroader: the broader links to resources that aren't concepts of the ontology, which were dropped
+   *    duplicateIds: the concepts merged into other concepts with the same id
+   *    sharedSynonyms: the synonyms given to more than one term, which are only kept with the first of them
+   *    cycles: the cycles of the hierarchy, as the ids of the terms on them
+   *    missingDefinitions: the terms with no definitions
+   *  }
+   * @param tree: {TreeBuilder}: the tree holding the ontology terms
+   * @param schemes: the concept schemes of the ontology
+   * @returns {*}: the report
+   */
+  report.compile = function (tree, schemes) {
+    let ids = tree.getNodesIds();
+    let names = ids.map(id => ({id, name: tree.getNode(id).name, key: comparable(tree.getNode(id).name)}));
+    //uri->1 mapping of the top concepts of all the schemes
+    let topConcepts = {};
+    schemes.forEach(scheme => scheme.topConcepts.forEach(uri => {
+      topConcepts[uri] = 1;
+    }));
+    let declaresTopConcepts = Object.keys(topConcepts).length > 0;
+    let result = {
+      unmatchedRows: unmatchedRows.map(cur => Object.assign({}, cur, {suggestions: suggest(cur.term, names)})),
+      orphans: !declaresTopConcepts ? [] : ids.map(id => tree.getNode(id))
+        .filter(node => !node.parents.length && !topConcepts.hasOwnProperty(node.data.uri))
+        .map(node => ({id: node.id, name: node.name, uri: node.data.uri})),
+      unknownBroader,
+      duplicateIds,
+      sharedSynonyms: report.sharedSynonyms(),
+      cycles: tree.findCycles(),
+      missingDefinitions: ids.map(id => tree.getNode(id)).filter(node => !node.data.definitions.length)
+        .map(node => ({id: node.id, name: node.name}))
+    };
+    let summary = {terms: ids.length, definitionRows};
+    Object.keys(result).forEach(key => {
+      summary[key] = result[key].length;
+    });
+    return Object.assign({summary}, result);
+  };
+
+  return report;
+}
+
+module.exports = QualityReport;
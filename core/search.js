@@ -0,0 +1,134 @@
+let {comparable, editDistance} = require('./textMatching');
+
+/**
+ * Class function for searching the terms of the ontology by their names, alternative names and definitions
+ *
+ * The texts are normalized (lower case, no accents, no punctuation, see `comparable` of textMatching module)
+ *  before matching, and each match is scored:
+ *  - exact match: 100
+ *  - the text starts with the query: 80
+ *  - a word of the text starts with the query: 60
+ *  - the text contains the query: 50
+ *  - fuzzy match, where the query is within a small edit distance of the text or of some of its words: 40 - 5 * distance
+ * Definitions are only matched by their words, not fuzzily.
+ * The score of the match is then weighted by the field it was found in, and a term gets the score of its best match.
+ *
+ * @param tree: {TreeBuilder}: the tree holding the terms
+ * @returns {*} new instance of the class
+ */
+function Search(tree) {
+  const WEIGHTS = {name: 1, label: 0.95, alternative_name: 0.9, definition: 0.5};
+  //`this` object
+  let search = {};
+  //list of {id, field, text, normalized, words} entries to be matched
+  let entries;
+
+  /**
+   * Build the list of entries to be matched from the terms of the tree
+   */
+  function buildIndex() {
+    entries = [];
+    tree.getNodesIds().forEach(id => {
+      let data = tree.getNode(id).data;
+      let add = (field, text) => {
+        let normalized = comparable(text);
+        if (normalized !== '') {
+          entries.push({id, field, text, normalized, words: normalized.split(' ')});
+        }
+      };
+      add('name', data.name || id);
+      //the preferred labels in the other languages
+      (data.labels || []).filter(label => label.text !== data.name).forEach(label => add('label', label.text));
+      (data.alternative_names || []).forEach(text => add('alternative_name', text));
+      (data.definitions || []).forEach(text => add('definition', text));
+    });
+  }
+
+  /**
+   * Score how well an entry matches the query
+   * @param entry: the entry to be matched
+   * @param query: the normalized query
+   * @param queryWords: the words of the normalized query
+   * @returns {number}: the score of the match, 0 if it doesn't match
+   */
+  function score(entry, query, queryWords) {
+    let text = entry.normalized;
+    if (text === query) {
+      return 100;
+    }
+    if (text.startsWith(query)) {
+      return 80;
+    }
+    if ((' ' + text).indexOf(' ' + query) !== -1) {
+      return 60;
+    }
+    if (text.indexOf(query) !== -1) {
+      return 50;
+    }
+    if (entry.field === 'definition' || query.length < 3) {
+      return 0;
+    }
+    //compare the query with the whole text, and with every run of words of the same length as the query
+    let max = Math.max(1, Math.floor(query.length / 4));
+    let distance = editDistance(query, text, max);
+    for (let i = 0; i + queryWords.length <= entry.words.length && distance > 0; ++i) {
+      let words = entry.words.slice(i, i + queryWords.length).join(' ');
+      distance = Math.min(distance, editDistance(query, words, max));
+      //the last word may still be being typed
+      let prefix = words.slice(0, query.length);
+      distance = Math.min(distance, editDistance(query, prefix, max) + 1);
+    }
+    return distance > max ? 0 : 40 - 5 * distance;
+  }
+
+  /**
+   * Search the terms for a query
+   * @param query: the text to be searched for
+   * @param limit: the maximum number of results, 10 by default
+   * @returns {Array}: list of the matched terms, ordered by their score:
+   *  {
+   *    id: the id of the term
+   *    name: the name of the term
+   *    field: where the best match was found: name, label (a preferred label in another language),
+   *           alternative_name or definition
+   *    text: the text of the best match
+   *    score: the score of the match
+   *    path: the ids of the terms from the root down to the matched term
+   *  }
+   */
+  search.search = function (query, limit) {
+    limit = limit || 10;
+    let normalized = comparable(query || '');
+    if (normalized === '') {
+      return [];
+    }
+    if (!entries) {
+      buildIndex();
+    }
+    let queryWords = normalized.split(' ');
+    let best = {};
+    entries.forEach(entry => {
+      let value = score(entry, normalized, queryWords) * WEIGHTS[entry.field];
+      if (value > 0 && (!best.hasOwnProperty(entry.id) || best[entry.id].score < value)) {
+        best[entry.id] = {id: entry.id, field: entry.field, text: entry.text, score: value};
+      }
+    });
+    return Object.keys(best).map(id => best[id])
+      .map(result => Object.assign(result, {name: tree.getNode(result.id).name}))
+      .sort((first, second) => second.score - first.score || first.name.length - second.name.length ||
+        first.name.localeCompare(second.name))
+      .slice(0, limit)
+      .map(result => Object.assign(result, {path: tree.getPath(result.id)}));
+  };
+
+  /**
+   * Clear the index, it should be called whenever the terms change
+   */
+  search.clear = function () {
+    entries = undefined;
+  };
+
+  return search;
+}
+
+module.exports = Search;
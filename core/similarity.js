@@ -0,0 +1,283 @@
+/**
+ * Class function for computing the semantic similarity between the terms of the ontology hierarchy
+ *
+ * The hierarchy may have several roots and terms with several parents, so a virtual root is assumed above
+ *  all the roots, making any two terms have at least one common ancestor.
+ * The depth of a term is the number of edges on the shortest path from the virtual root to it,
+ *  so roots have a depth of 1.
+ * The information content (IC) of a term is intrinsic, computed from the size of its subtree:
+ *    IC(c) = 1 - log(descendants(c) + 1) / log(N + 1)
+ *  where N is the number of terms, so leaves have an IC of 1 and the virtual root has an IC of 0.
+ *
+ * The available measures are:
+ *  wu-palmer: 2 * depth(lcs) / (depth(a) + depth(b))
+ *  leacock-chodorow: -log((path(a, b) + 1) / (2 * D)), where D is the maximum depth of the hierarchy
+ *  resnik: IC(lcs)
+ *  lin: 2 * IC(lcs) / (IC(a) + IC(b))
+ *  jiang-conrath: 1 / (1 + IC(a) + IC(b) - 2 * IC(lcs)), the bounded form of the inverse of the distance
+ * where lcs is the least common subsumer of a and b, which is the deepest common ancestor for depth based measures,
+ *  and the common ancestor with the highest IC for information content based measures.
+ *
+ * @param tree: {TreeBuilder}: the tree holding the terms, where each node has `parents` and `children`
+ * @returns {*} new instance of the class
+ */
+function Similarity(tree) {
+  const ROOT = undefined;
+  //`this` object
+  let similarity = {};
+  //term id->(ancestor id->number of edges) mapping
+  let ancestorsCache = {};
+  //term id->number of descendants mapping
+  let descendantsCache = {};
+  let maxDepth;
+  //number of terms in the tree
+  let size;
+
+  /**
+   * Get the number of terms in the tree
+   * @returns {number}
+   */
+  function treeSize() {
+    if (size === undefined) {
+      size = tree.size();
+    }
+    return size;
+  }
+
+  /**
+   * Get the ancestors of a term with their distances from it, going up the parents links
+   * The virtual root is not included
+   * @param id: the id of the term
+   * @returns {*}: ancestor id->number of edges mapping, which includes the term itself with 0 edges
+   */
+  function ancestors(id) {
+    if (!ancestorsCache.hasOwnProperty(id)) {
+      let distances = {};
+      distances[id] = 0;
+      let queue = [id];
+      for (let head = 0; head < queue.length; ++head) {
+        let cur = queue[head];
+        tree.getNode(cur).parents.forEach(parent => {
+          if (!distances.hasOwnProperty(parent)) {
+            distances[parent] = distances[cur] + 1;
+            queue.push(parent);
+          }
+        });
+      }
+      ancestorsCache[id] = distances;
+    }
+    return ancestorsCache[id];
+  }
+
+  /**
+   * Get the number of edges from a term up to the virtual root
+   * @param up: the ancestors of the term, as returned by `ancestors`
+   * @returns {number}: the number of edges to the virtual root
+   */
+  function edgesToRoot(up) {
+    let edges = Infinity;
+    Object.keys(up).forEach(ancestor => {
+      if (!tree.getNode(ancestor).parents.length) {
+        edges = Math.min(edges, up[ancestor] + 1);
+      }
+    });
+    //the ancestors make a cycle with no root above them
+    return edges === Infinity ? Object.keys(up).length : edges;
+  }
+
+  /**
+   * Get the common ancestors of two terms, including the virtual root
+   * @param first: the id of the first term
+   * @param second: the id of the second term
+   * @returns {Array}: list of {id, path} of the common ancestors, where path is the number of edges
+   *          from the first term up to the ancestor and down to the second term
+   */
+  function commonAncestors(first, second) {
+    let firstUp = ancestors(first), secondUp = ancestors(second);
+    let common = Object.keys(firstUp).filter(id => secondUp.hasOwnProperty(id)).map(id => ({
+      id,
+      path: firstUp[id] + secondUp[id]
+    }));
+    common.push({id: ROOT, path: edgesToRoot(firstUp) + edgesToRoot(secondUp)});
+    return common;
+  }
+
+  /**
+   * Find the common ancestor of two terms that maximizes a score
+   * @param first: the id of the first term
+   * @param second: the id of the second term
+   * @param score: fn(id)->number: the score of the ancestor, where the virtual root has an undefined id
+   * @returns {string|undefined}: the id of the best ancestor, or undefined for the virtual root
+   */
+  function bestCommonAncestor(first, second, score) {
+    let best = {id: ROOT, score: score(ROOT)};
+    commonAncestors(first, second).forEach(ancestor => {
+      let value = score(ancestor.id);
+      if (value > best.score) {
+        best = {id: ancestor.id, score: value};
+      }
+    });
+    return best.id;
+  }
+
+  /**
+   * Get the depth of a term, where the roots have a depth of 1
+   * @param id: the id of the term, or undefined for the virtual root
+   * @returns {number}: the depth of the term
+   */
+  similarity.depth = function (id) {
+    return id === ROOT ? 0 : edgesToRoot(ancestors(id));
+  };
+
+  /**
+   * Get the maximum depth of the hierarchy
+   * @returns {number}: the depth of the deepest term
+   */
+  similarity.maxDepth = function () {
+    if (maxDepth === undefined) {
+      maxDepth = 1;
+      tree.getNodesIds().forEach(id => {
+        maxDepth = Math.max(maxDepth, similarity.depth(id));
+      });
+    }
+    return maxDepth;
+  };
+
+  /**
+   * Get the number of distinct descendants of a term
+   * @param id: the id of the term, or undefined for the virtual root
+   * @returns {number}: the number of the descendants of the term, not counting the term itself
+   */
+  similarity.descendants = function (id) {
+    if (id === ROOT) {
+      return treeSize();
+    }
+    if (!descendantsCache.hasOwnProperty(id)) {
+      let visited = {};
+      visited[id] = 1;
+      let queue = [tree.getNode(id)];
+      for (let head = 0; head < queue.length; ++head) {
+        queue[head].children.forEach(child => {
+          if (!visited.hasOwnProperty(child.id)) {
+            visited[child.id] = 1;
+            queue.push(child);
+          }
+        });
+      }
+      descendantsCache[id] = queue.length - 1;
+    }
+    return descendantsCache[id];
+  };
+
+  /**
+   * Get the intrinsic information content of a term
+   * @param id: the id of the term, or undefined for the virtual root
+   * @returns {number}: the information content, between 0 (the virtual root) and 1 (leaves)
+   */
+  similarity.informationContent = function (id) {
+    let total = treeSize();
+    if (total === 0) {
+      return 0;
+    }
+    return 1 - Math.log(similarity.descendants(id) + 1) / Math.log(total + 1);
+  };
+
+  /**
+   * Get the least common subsumer of two terms
+   * @param first: the id of the first term
+   * @param second: the id of the second term
+   * @param by: string: 'depth' for the deepest common ancestor, 'ic' for the one with the highest information content
+   * @returns {string|undefined}: the id of the least common subsumer, or undefined for the virtual root
+   */
+  similarity.leastCommonSubsumer = function (first, second, by) {
+    return bestCommonAncestor(first, second, by === 'ic' ? similarity.informationContent : similarity.depth);
+  };
+
+  /**
+   * Get the number of edges on the shortest path between two terms going through a common ancestor
+   * @param first: the id of the first term
+   * @param second: the id of the second term
+   * @returns {number}: the length of the path
+   */
+  similarity.pathLength = function (first, second) {
+    return Math.min.apply(null, commonAncestors(first, second).map(ancestor => ancestor.path));
+  };
+
+  let measures = {
+    'wu-palmer': function (first, second) {
+      let lcs = similarity.leastCommonSubsumer(first, second, 'depth');
+      return 2 * similarity.depth(lcs) / (similarity.depth(first) + similarity.depth(second));
+    },
+    'leacock-chodorow': function (first, second) {
+      return -Math.log((similarity.pathLength(first, second) + 1) / (2 * similarity.maxDepth()));
+    },
+    'resnik': function (first, second) {
+      return similarity.informationContent(similarity.leastCommonSubsumer(first, second, 'ic'));
+    },
+    'lin': function (first, second) {
+      let total = similarity.informationContent(first) + similarity.informationContent(second);
+      if (total === 0) {
+        return first === second ? 1 : 0;
+      }
+      return 2 * similarity.informationContent(similarity.leastCommonSubsumer(first, second, 'ic')) / total;
+    },
+    'jiang-conrath': function (first, second) {
+      let lcs = similarity.leastCommonSubsumer(first, second, 'ic');
+      let distance = similarity.informationContent(first) + similarity.informationContent(second) -
+        2 * similarity.informationContent(lcs);
+      return 1 / (1 + distance);
+    }
+  };
+
+  /**
+   * Get the names of the available measures
+   * @returns {string[]}: list of the names of the measures
+   */
+  similarity.measures = function () {
+    return Object.keys(measures);
+  };
+
+  /**
+   * Get the similarity between two terms
+   * @param measure: the name of the measure
+   * @param first: the id of the first term
+   * @param second: the id of the second term
+   * @returns {number|undefined}: the similarity between the terms, or undefined if any of them doesn't exist
+   */
+  similarity.similarity = function (measure, first, second) {
+    if (!measures.hasOwnProperty(measure)) {
+      throw 'Unknown similarity measure: ' + measure + ', the available measures are ' + similarity.measures().join(', ');
+    }
+    if (!tree.getNode(first) || !tree.getNode(second)) {
+      return undefined;
+    }
+    return measures[measure](first, second);
+  };
+
+  /**
+   * Compute the similarities between all the pairs of terms
+   * It needs memory quadratic in the number of terms, so it should only be used for small ontologies
+   * @param measure: the name of the measure
+   * @returns {{nodes: string[], similarityMatrix: number[][]}}: the ids of the terms, and the similarity matrix
+   *          where similarityMatrix[i][j] is the similarity between nodes[i] and nodes[j]
+   */
+  similarity.compile = function (measure) {
+    let ids = tree.getNodesIds();
+    let similarityMatrix = ids.map(first => ids.map(second => similarity.similarity(measure, first, second)));
+    return {nodes: ids, similarityMatrix};
+  };
+
+  /**
+   * Clear the cached ancestors and subtree sizes, it should be called whenever the tree changes
+   */
+  similarity.clear = function () {
+    ancestorsCache = {};
+    descendantsCache = {};
+    maxDepth = undefined;
+    size = undefined;
+  };
+
+  return similarity;
+}
+
+module.exports = Similarity;
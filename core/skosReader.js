@@ -0,0 +1,319 @@
+/**
+ * Module for reading SKOS / SKOS-XL vocabularies that were converted from rdf to json
+ *
+ * The json form is expected to be a list of rdf descriptions, each having an `@about` field with the uri of
+ * the resource and a field for every property, where:
+ *  - references to other resources are objects with `@resource` field
+ *  - literals are either strings or objects with `#text` and optionally `@lang` fields
+ *  - repeated properties are arrays of the above
+ *
+ * Descriptions with the same `@about` are merged, as rdf statements about the same subject add up.
+ */
+const SKOS = 'http://www.w3.org/2004/02/skos/core#';
+//the non hierarchical relations between concepts, each with its inverse relation
+const RELATIONS = {
+  related: 'related',
+  exactMatch: 'exactMatch',
+  closeMatch: 'closeMatch',
+  relatedMatch: 'relatedMatch',
+  broadMatch: 'narrowMatch',
+  narrowMatch: 'broadMatch'
+};
+
+/**
+ * Class function for reading the concepts, concept schemes and labels of a SKOS vocabulary
+ * @returns {*} new instance of the class
+ */
+function SkosReader() {
+  //object contain uri->merged description mapping
+  let resources = {};
+  //`this` object
+  let reader = {};
+
+  /**
+   * Wrap a property value in a list, as the rdf->json conversion only produces lists for repeated properties
+   * @param value: the value of the property
+   * @returns {Array}: list of all the values of the property
+   */
+  function asArray(value) {
+    if (value === undefined || value === null) {
+      return [];
+    }
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Get the uris referenced by a property
+   * @param value: the value of the property
+   * @returns {string[]}: list of the referenced uris
+   */
+  function resourcesOf(value) {
+    return asArray(value).map(cur => cur['@resource'] || cur['@about']).filter(cur => cur !== undefined);
+  }
+
+  /**
+   * Convert a literal value to {text, lang} object
+   * Trailing `/n` markers left from the conversion of the source file are removed
+   * @param literal: the literal, either a string or an object with `#text` and `@lang` fields
+   * @returns {{text: string, lang: string}|undefined}: the literal, or undefined if it has no text
+   */
+  function toLiteral(literal) {
+    if (literal === undefined || literal === null) {
+      return undefined;
+    }
+    let text = typeof literal === 'string' ? literal : literal['#text'];
+    if (text === undefined) {
+      return undefined;
+    }
+    text = String(text).replace(/\s*\/n\s*$/, '').trim();
+    return {text, lang: literal['@lang']};
+  }
+
+  /**
+   * Check whether a resource has a given rdf type
+   * @param resource: the merged description of the resource
+   * @param type: the full uri of the type
+   * @returns {boolean}
+   */
+  function hasType(resource, type) {
+    return resourcesOf(resource.type).indexOf(type) !== -1;
+  }
+
+  /**
+   * Resolve a label property into literals
+   * The value may be a plain skos literal, or a reference to a skos-xl Label whose `literalForm` holds the text
+   * @param value: the value of the label property
+   * @returns {{text: string, lang: string}[]}: list of the resolved labels
+   */
+  function resolveLabels(value) {
+    let labels = [];
+    asArray(value).forEach(cur => {
+      let uri = cur['@resource'];
+      if (uri === undefined) {
+        let literal = toLiteral(cur);
+        if (literal) {
+          labels.push(literal);
+        }
+        return;
+      }
+      let label = resources[uri];
+      if (!label) {
+        return;
+      }
+      asArray(label.literalForm).forEach(form => {
+        let literal = toLiteral(form);
+        if (literal) {
+          labels.push(literal);
+        }
+      });
+    });
+    return labels;
+  }
+
+  /**
+   * Resolve the definitions of a concept
+   * A definition may be a literal, a resource described inline under `Description`,
+   * or a reference to a resource described elsewhere; the last two hold the text in `value`
+   * @param resource: the merged description of the concept
+   * @returns {{text: string, lang: string, uri: string}[]}: list of the definitions of the concept
+   */
+  function resolveDefinitions(resource) {
+    let definitions = [];
+    let seen = {};
+
+    function add(literal, uri) {
+      if (!literal || seen.hasOwnProperty(literal.text)) {
+        return;
+      }
+      seen[literal.text] = 1;
+      definitions.push({text: literal.text, lang: literal.lang, uri});
+    }
+
+    asArray(resource.definition).forEach(cur => {
+      let uri = cur['@resource'];
+      if (uri === undefined) {
+        add(toLiteral(cur));
+      } else if (resources[uri]) {
+        asArray(resources[uri].value).forEach(value => add(toLiteral(value), uri));
+      }
+    });
+    return definitions;
+  }
+
+  /**
+   * Get the local name of a uri, which is used as the id of the concept
+   * It's whatever comes after the namespace of the scheme if the uri is within it,
+   * or after the last `/` or `#` otherwise
+   * @param uri: the uri of the resource
+   * @param namespaces: the uris of the schemes the resource belongs to
+   * @returns {string}: the local name of the uri
+   */
+  function localName(uri, namespaces) {
+    for (let i = 0; i < namespaces.length; ++i) {
+      let namespace = namespaces[i].replace(/[\/#]$/, '');
+      if (uri.startsWith(namespace + '/') || uri.startsWith(namespace + '#')) {
+        return uri.slice(namespace.length + 1);
+      }
+    }
+    return uri.slice(Math.max(uri.lastIndexOf('/'), uri.lastIndexOf('#')) + 1);
+  }
+
+  /**
+   * Index the rdf descriptions of the vocabulary
+   * Descriptions nested under `Description` properties are indexed as well
+   * @param descriptions: list of rdf descriptions
+   * @returns {*}: `this` object
+   */
+  reader.read = function (descriptions) {
+    function index(description) {
+      let uri = description['@about'];
+      if (uri === undefined) {
+        return;
+      }
+      if (!resources.hasOwnProperty(uri)) {
+        resources[uri] = {'@about': uri};
+      }
+      let resource = resources[uri];
+      Object.keys(description).forEach(property => {
+        if (property === '@about') {
+          return;
+        }
+        if (property === 'Description') {
+          asArray(description[property]).forEach(index);
+          return;
+        }
+        if (!resource.hasOwnProperty(property)) {
+          resource[property] = description[property];
+        } else {
+          resource[property] = asArray(resource[property]).concat(asArray(description[property]));
+        }
+      });
+    }
+
+    asArray(descriptions).forEach(index);
+    return reader;
+  };
+
+  /**
+   * Get the merged description of a resource
+   * @param uri: the uri of the resource
+   * @returns $ObjMap|undefined: the description of the resource, or undefined if none exists
+   */
+  reader.getResource = function (uri) {
+    return resources[uri];
+  };
+
+  /**
+   * Get the concept schemes of the vocabulary
+   * The format of each scheme is:
+   *  {
+   *    uri: the uri of the scheme
+   *    name: the preferred label of the scheme, or its uri if it has none
+   *    labels: all the preferred labels of the scheme
+   *    topConcepts: the uris of the top concepts of the scheme, from both `hasTopConcept` and `topConceptOf`
+   *  }
+   * @returns {Array}: list of the concept schemes
+   */
+  reader.getSchemes = function () {
+    let schemes = {};
+    Object.keys(resources).forEach(uri => {
+      if (hasType(resources[uri], SKOS + 'ConceptScheme')) {
+        let labels = resolveLabels(resources[uri].prefLabel);
+        schemes[uri] = {
+          uri,
+          name: labels.length ? labels[0].text : uri,
+          labels,
+          topConcepts: resourcesOf(resources[uri].hasTopConcept)
+        };
+      }
+    });
+    Object.keys(resources).forEach(uri => {
+      resourcesOf(resources[uri].topConceptOf).forEach(scheme => {
+        if (schemes[scheme] && schemes[scheme].topConcepts.indexOf(uri) === -1) {
+          schemes[scheme].topConcepts.push(uri);
+        }
+      });
+    });
+    return Object.keys(schemes).map(uri => schemes[uri]);
+  };
+
+  /**
+   * Get the concepts of the vocabulary
+   * The format of each concept is:
+   *  {
+   *    id: the local name of the concept uri
+   *    uri: the uri of the concept
+   *    name: the preferred label of the concept, or its id if it has none
+   *    labels: all the preferred labels of the concept
+   *    altLabels: the alternative labels of the concept
+   *    definitions: the definitions of the concept
+   *    topics: the texts of the subjects of the concept (`dcterms:subject`), as written by the exporters
+   *    broader: the uris of the broader concepts, including the ones stated with `narrower` on the other side
+   *    inScheme: the uris of the schemes of the concept
+   *    topConceptOf: the uris of the schemes the concept is a top concept of
+   *    relations: the non hierarchical relations of the concept (`related` and the mapping relations as `exactMatch`),
+   *      as {type, uri}, including the ones stated with the inverse relation on the other side
+   *  }
+   * Self references in `broader` and in the relations are dropped, as they would make a cycle in the hierarchy
+   * @returns {Array}: list of the concepts
+   */
+  reader.getConcepts = function () {
+    let namespaces = reader.getSchemes().map(scheme => scheme.uri);
+    let concepts = {};
+    Object.keys(resources).forEach(uri => {
+      let resource = resources[uri];
+      if (!hasType(resource, SKOS + 'Concept')) {
+        return;
+      }
+      let labels = resolveLabels(resource.prefLabel);
+      let id = localName(uri, namespaces);
+      concepts[uri] = {
+        id,
+        uri,
+        name: labels.length ? labels[0].text : id,
+        labels,
+        altLabels: resolveLabels(resource.altLabel),
+        definitions: resolveDefinitions(resource),
+        topics: resolveLabels(resource.subject).map(label => label.text),
+        broader: resourcesOf(resource.broader).filter(cur => cur !== uri),
+        inScheme: resourcesOf(resource.inScheme),
+        topConceptOf: resourcesOf(resource.topConceptOf),
+        relations: []
+      };
+    });
+    let relate = function (concept, type, target) {
+      if (concept.uri !== target && !concept.relations.some(cur => cur.type === type && cur.uri === target)) {
+        concept.relations.push({type, uri: target});
+      }
+    };
+    Object.keys(concepts).forEach(uri => {
+      Object.keys(RELATIONS).forEach(type => resourcesOf(resources[uri][type]).forEach(target => {
+        relate(concepts[uri], type, target);
+        if (concepts[target]) {
+          relate(concepts[target], RELATIONS[type], uri);
+        }
+      }));
+    });
+    Object.keys(resources).forEach(uri => {
+      resourcesOf(resources[uri].narrower).forEach(narrower => {
+        if (concepts[narrower] && narrower !== uri && concepts[narrower].broader.indexOf(uri) === -1) {
+          concepts[narrower].broader.push(uri);
+        }
+      });
+    });
+    return Object.keys(concepts).map(uri => concepts[uri]);
+  };
+
+  /**
+   * Clear the reader from all of the indexed resources
+   */
+  reader.clear = function () {
+    resources = {};
+  };
+
+  return reader;
+}
+
+SkosReader.SKOS = SKOS;
+SkosReader.RELATIONS = Object.keys(RELATIONS);
+module.exports = SkosReader;
@@ -0,0 +1,71 @@
+let fs = require('fs');
+let path = require('path');
+
+/**
+ * Class function for watching the files of a dataset, calling a function once they stop changing
+ * The directories of the files are watched rather than the files themselves, as editors often replace a file
+ *  instead of writing to it, and the changes made within `delay` of each other are reported once.
+ * The watching doesn't keep the process running.
+ * @param files: the paths of the files
+ * @param onChange: fn()->void: the function called after the files change
+ * @param delay: the time in milliseconds with no changes before calling the function
+ * @returns {*} new instance of the class
+ */
+function SourceWatcher(files, onChange, delay) {
+  //`this` object
+  let watcher = {};
+  //the fs watchers of the directories
+  let watchers = [];
+  let timer = null;
+
+  /**
+   * Handle a change in a watched directory, the function is called if no other change happens within the delay
+   * @param names: the names of the watched files in the directory
+   * @param name: the name of the changed file, which isn't given on some platforms
+   */
+  function changed(names, name) {
+    if (name && names.indexOf(String(name)) === -1) {
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(function () {
+      timer = null;
+      onChange();
+    }, delay);
+  }
+
+  /**
+   * Start watching the files
+   * @returns `this`
+   */
+  watcher.start = function () {
+    let directories = {};
+    files.map(file => path.resolve(file)).forEach(file => {
+      let directory = path.dirname(file);
+      directories[directory] = (directories[directory] || []).concat([path.basename(file)]);
+    });
+    Object.keys(directories).forEach(directory => {
+      try {
+        let fsWatcher = fs.watch(directory, {persistent: false}, (event, name) => changed(directories[directory], name));
+        fsWatcher.on('error', error => console.error('Stopped watching', directory, error.message));
+        watchers.push(fsWatcher);
+      } catch (error) {
+        console.error('Failed to watch', directory, error.message);
+      }
+    });
+    return watcher;
+  };
+
+  /**
+   * Stop watching the files, a pending change isn't reported
+   */
+  watcher.close = function () {
+    clearTimeout(timer);
+    watchers.forEach(fsWatcher => fsWatcher.close());
+    watchers = [];
+  };
+
+  return watcher;
+}
+
+module.exports = SourceWatcher;
@@ -0,0 +1,57 @@
+/**
+ * This module holds the helpers for matching texts loosely, as the names of the terms with the texts given by users:
+ *  comparing them without their accents, case and punctuation, and measuring how far apart they are
+ */
+
+/**
+ * Remove the accents of a text, by splitting the accented letters into their letters and accents
+ * @param text: the text
+ * @returns {string}: the text without its accents
+ */
+function removeAccents(text) {
+  return String(text).normalize('NFD').replace(/[̀-ͯ]/g, '');
+}
+
+/**
+ * Get the comparable form of a text, by lowering its case, removing its accents and replacing its punctuation
+ *  with spaces
+ * The letters, digits and marks of every script are kept, so the labels in Cyrillic, Greek or CJK can be compared
+ * @param text: the text
+ * @returns {string}: the comparable text
+ */
+function comparable(text) {
+  return removeAccents(text).toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Compute the edit distance between two strings, giving up once it exceeds a maximum
+ * @param first: the first string
+ * @param second: the second string
+ * @param max: the maximum distance of interest
+ * @returns {number}: the edit distance, or max + 1 if it's larger than max
+ */
+function editDistance(first, second, max) {
+  if (Math.abs(first.length - second.length) > max) {
+    return max + 1;
+  }
+  let previous = [];
+  for (let j = 0; j <= second.length; ++j) {
+    previous.push(j);
+  }
+  for (let i = 1; i <= first.length; ++i) {
+    let current = [i];
+    let best = i;
+    for (let j = 1; j <= second.length; ++j) {
+      let cost = first[i - 1] === second[j - 1] ? 0 : 1;
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+      best = Math.min(best, current[j]);
+    }
+    if (best > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[second.length];
+}
+
+module.exports = {removeAccents, comparable, editDistance};
@@ -0,0 +1,113 @@
+/**
+ * Class function for indexing the terms of the ontology by their topics (see `parseDefintions` of dataPreprocessing),
+ *  and for filtering the tree down to the terms of some topics
+ * @param tree: {TreeBuilder}: the tree holding the terms
+ * @returns {*} new instance of the class
+ */
+function TopicIndex(tree) {
+  //`this` object
+  let index = {};
+  //topic->ids of the terms with the topic, built on the first use
+  let terms;
+
+  /**
+   * Index the terms of the tree by their topics
+   */
+  function buildIndex() {
+    terms = {};
+    tree.getNodesIds().forEach(id => {
+      (tree.getNode(id).data.topics || []).forEach(topic => {
+        if (!terms.hasOwnProperty(topic)) {
+          terms[topic] = [];
+        }
+        if (terms[topic].indexOf(id) === -1) {
+          terms[topic].push(id);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the topics of the terms
+   * @returns {{topic: string, terms: number}[]}: the topics with the number of their terms, the most common first
+   */
+  index.topics = function () {
+    if (!terms) {
+      buildIndex();
+    }
+    return Object.keys(terms).map(topic => ({topic, terms: terms[topic].length}))
+      .sort((a, b) => b.terms - a.terms || a.topic.localeCompare(b.topic));
+  };
+
+  /**
+   * Check whether a topic is given to any term
+   * @param topic: the topic
+   * @returns {boolean}
+   */
+  index.hasTopic = function (topic) {
+    if (!terms) {
+      buildIndex();
+    }
+    return terms.hasOwnProperty(topic);
+  };
+
+  /**
+   * Get the ids of the terms with any of some topics
+   * @param topics: the topics
+   * @returns {string[]}
+   */
+  index.termsOf = function (topics) {
+    if (!terms) {
+      buildIndex();
+    }
+    let ids = [];
+    topics.filter(topic => terms.hasOwnProperty(topic)).forEach(topic => terms[topic]
+      .filter(id => ids.indexOf(id) === -1).forEach(id => ids.push(id)));
+    return ids;
+  };
+
+  /**
+   * Filter a compiled tree down to the terms with any of some topics, along with their ancestors
+   * A term is kept if it has one of the topics or if any of its descendants has one, so the kept terms
+   *  are shown under the same ancestors as in the whole tree. Each kept node has `matched`, telling whether
+   *  the term itself has one of the topics.
+   * @param root: the root of the compiled tree (see `compile` of TreeBuilder)
+   * @param topics: the topics
+   * @returns {*}: the root of the filtered tree, holding no children if no term has the topics
+   */
+  index.filterTree = function (root, topics) {
+    let matched = {};
+    index.termsOf(topics).forEach(id => {
+      matched[id] = true;
+    });
+
+    function filter(node) {
+      let children = node.children.map(filter).filter(child => child);
+      if (!matched[node.id] && !children.length) {
+        return undefined;
+      }
+      return {
+        id: node.id,
+        name: node.name,
+        parent: node.parent,
+        parents: node.parents,
+        data: node.data,
+        matched: matched[node.id] === true,
+        children
+      };
+    }
+
+    return Object.assign({}, root, {children: root.children.map(filter).filter(child => child)});
+  };
+
+  /**
+   * Clear the index, it should be called whenever the terms change
+   */
+  index.clear = function () {
+    terms = undefined;
+  };
+
+  return index;
+}
+
+module.exports = TopicIndex;
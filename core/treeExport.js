@@ -0,0 +1,241 @@
+let {escapeXml} = require('./exporters/xml');
+
+/**
+ * Class function for drawing a tree, fully expanded, as a standalone SVG or PDF document
+ * The drawing follows the one of d3Tree: the levels go from left to right, the labels of the nodes having children are
+ *  on their left and the other ones on their right, and the nodes with several parents have a dashed orange circle.
+ * The size of the drawing depends only on the tree, so it can be used for exporting trees of any size
+ * @param root: the root of the tree, as compiled by TreeBuilder
+ * @param options: the drawing options:
+ *  {
+ *    depth: the number of levels under the root to be drawn, all of them if not given.
+ *           The nodes with children that aren't drawn are filled, as the collapsed nodes of d3Tree
+ *    nodeSize: [breadth, depth] the size of each node in pixels, [25, 180] by default
+ *  }
+ * @returns {*} new instance of the class
+ */
+function TreeExport(root, options) {
+  options = options || {};
+  //the drawing styles, taken from the tree styles of the page
+  const STYLE = {
+    radius: 10,
+    fontSize: 12,
+    labelOffset: 13,
+    margin: 20,
+    nodeStroke: '#008000',
+    multiParentStroke: '#ff8c00',
+    nodeStrokeWidth: 3,
+    nodeFill: '#ffffff',
+    collapsedFill: '#b0c4de',
+    linkStroke: '#cccccc',
+    linkStrokeWidth: 2
+  };
+  //the widths of the Helvetica characters, in thousandths of the font size, the other characters take DEFAULT_WIDTH
+  const WIDTHS = {
+    ' ': 278, '!': 278, '"': 355, '\'': 191, '(': 333, ')': 333, ',': 278, '-': 333, '.': 278, '/': 278, ':': 278,
+    ';': 278, 'f': 278, 'i': 222, 'j': 222, 'l': 222, 'r': 333, 't': 278, 'c': 500, 'k': 500, 's': 500, 'v': 500,
+    'x': 500, 'y': 500, 'z': 500, 'm': 833, 'w': 722, 'I': 278, 'J': 500, 'F': 611, 'T': 611, 'Z': 611, 'L': 556,
+    'C': 722, 'D': 722, 'H': 722, 'N': 722, 'R': 722, 'U': 722, 'G': 778, 'O': 778, 'Q': 778, 'M': 833, 'W': 944
+  };
+  const DEFAULT_WIDTH = 556;
+  //the largest page size allowed in PDF documents, larger drawings are scaled down to it
+  const MAX_PAGE_SIZE = 14400;
+  //`this` object
+  let exporter = {};
+  let nodeSize = options.nodeSize || [25, 180];
+  let depth = options.depth;
+  //the laid out tree, as {nodes, links, bounds}, computed on the first use
+  let drawing;
+
+  /**
+   * Estimate the width of a label
+   * @param text: the text of the label
+   * @returns {number}: the width in pixels
+   */
+  function textWidth(text) {
+    let width = 0;
+    for (let i = 0; i < text.length; ++i) {
+      width += WIDTHS.hasOwnProperty(text[i]) ? WIDTHS[text[i]] : DEFAULT_WIDTH;
+    }
+    return width * STYLE.fontSize / 1000;
+  }
+
+  /**
+   * Lay out the tree: each leaf takes the next slot of the breadth, and each parent is centered on its children
+   * The positions are given as d3Tree does, x for the breadth and y for the depth
+   */
+  function layout() {
+    let nodes = [], links = [];
+    let slot = 0;
+
+    function visit(node, level) {
+      let children = node.children || [];
+      let shown = depth === undefined || level < depth ? children : [];
+      let item = {
+        name: node.name === undefined ? '' : String(node.name),
+        y: level * nodeSize[1],
+        multiParent: Boolean(node.parents && node.parents.length > 1),
+        collapsed: shown.length < children.length,
+        hasChildren: children.length > 0
+      };
+      if (shown.length) {
+        let drawn = shown.map(child => visit(child, level + 1));
+        item.x = (drawn[0].x + drawn[drawn.length - 1].x) / 2;
+        drawn.forEach(child => links.push({source: item, target: child}));
+      } else {
+        item.x = slot++ * nodeSize[0];
+      }
+      nodes.push(item);
+      return item;
+    }
+
+    visit(root, 0);
+    let bounds = {minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity};
+    nodes.forEach(node => {
+      let width = textWidth(node.name) + STYLE.labelOffset;
+      bounds.minX = Math.min(bounds.minX, node.x - STYLE.radius);
+      bounds.maxX = Math.max(bounds.maxX, node.x + STYLE.radius);
+      bounds.minY = Math.min(bounds.minY, node.y - (node.hasChildren ? width : STYLE.radius));
+      bounds.maxY = Math.max(bounds.maxY, node.y + (node.hasChildren ? STYLE.radius : width));
+    });
+    Object.keys(bounds).forEach(key => {
+      bounds[key] += key.startsWith('min') ? -STYLE.margin : STYLE.margin;
+    });
+    bounds.width = bounds.maxY - bounds.minY;
+    bounds.height = bounds.maxX - bounds.minX;
+    //the nodes are drawn after the links, from the top of the tree down
+    drawing = {nodes: nodes.reverse(), links, bounds};
+  }
+
+  /**
+   * Get the laid out tree
+   * @returns {{nodes: Array, links: Array, bounds: *}}
+   */
+  function getDrawing() {
+    if (!drawing) {
+      layout();
+    }
+    return drawing;
+  }
+
+  /**
+   * Format a number for the documents, with at most two decimals
+   * @param value: the number
+   * @returns {string}
+   */
+  function num(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Make a text string of a PDF document, the characters that can't be shown with the standard fonts are replaced by `?`
+   * @param text: the text
+   * @returns {string}
+   */
+  function pdfString(text) {
+    return '(' + text.replace(/[^\x20-\x7e\xa0-\xff]/g, '?').replace(/([\\()])/g, '\\$1') + ')';
+  }
+
+  /**
+   * Convert a colour of the form #rrggbb to the PDF colour operands
+   * @param color: the colour
+   * @returns {string}: the red, green and blue components between 0 and 1
+   */
+  function pdfColor(color) {
+    return [1, 3, 5].map(idx => num(parseInt(color.substr(idx, 2), 16) / 255)).join(' ');
+  }
+
+  /**
+   * Draw the tree as a standalone SVG document
+   * @returns {string}: the SVG document
+   */
+  exporter.toSvg = function () {
+    let {nodes, links, bounds} = getDrawing();
+    let lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<svg xmlns="http://www.w3.org/2000/svg" width="' + num(bounds.width) + '" height="' + num(bounds.height) +
+      '" viewBox="' + [bounds.minY, bounds.minX, bounds.width, bounds.height].map(num).join(' ') + '">',
+      '<g fill="none" stroke="' + STYLE.linkStroke + '" stroke-width="' + STYLE.linkStrokeWidth + '">'
+    ];
+    links.forEach(link => {
+      let s = link.source, d = link.target, middle = num((s.y + d.y) / 2);
+      lines.push('<path d="M ' + num(s.y) + ' ' + num(s.x) + ' C ' + middle + ' ' + num(s.x) + ', ' + middle + ' ' +
+        num(d.x) + ', ' + num(d.y) + ' ' + num(d.x) + '"/>');
+    });
+    lines.push('</g>');
+    lines.push('<g font-family="Helvetica, Arial, sans-serif" font-size="' + STYLE.fontSize + '" stroke-width="' +
+      STYLE.nodeStrokeWidth + '">');
+    nodes.forEach(node => {
+      lines.push('<g transform="translate(' + num(node.y) + ',' + num(node.x) + ')">' +
+        '<circle r="' + STYLE.radius + '" fill="' + (node.collapsed ? STYLE.collapsedFill : STYLE.nodeFill) +
+        '" stroke="' + (node.multiParent ? STYLE.multiParentStroke : STYLE.nodeStroke) + '"' +
+        (node.multiParent ? ' stroke-dasharray="4,2"' : '') + '/>' +
+        '<text dy=".35em" x="' + (node.hasChildren ? -STYLE.labelOffset : STYLE.labelOffset) + '" text-anchor="' +
+        (node.hasChildren ? 'end' : 'start') + '">' + escapeXml(node.name) + '</text></g>');
+    });
+    lines.push('</g>', '</svg>', '');
+    return lines.join('\n');
+  };
+
+  /**
+   * Draw the tree as a single page PDF document
+   * The page has the size of the drawing, one point per pixel, unless it's larger than the largest page size
+   * @returns {Buffer}: the PDF document
+   */
+  exporter.toPdf = function () {
+    let {nodes, links, bounds} = getDrawing();
+    let scale = Math.min(1, MAX_PAGE_SIZE / Math.max(bounds.width, bounds.height));
+    let width = bounds.width * scale, height = bounds.height * scale;
+    //the content is drawn in the coordinates of the svg, flipped and moved to the page
+    let content = [[scale, 0, 0, -scale, -scale * bounds.minY, height + scale * bounds.minX].map(num).join(' ') + ' cm'];
+    content.push(pdfColor(STYLE.linkStroke) + ' RG', STYLE.linkStrokeWidth + ' w');
+    links.forEach(link => {
+      let s = link.source, d = link.target, middle = num((s.y + d.y) / 2);
+      content.push(num(s.y) + ' ' + num(s.x) + ' m ' + middle + ' ' + num(s.x) + ' ' + middle + ' ' + num(d.x) + ' ' +
+        num(d.y) + ' ' + num(d.x) + ' c S');
+    });
+    content.push(STYLE.nodeStrokeWidth + ' w');
+    //the circles are drawn with four bezier curves
+    let r = STYLE.radius, k = r * 0.5523;
+    nodes.forEach(node => {
+      let x = node.y, y = node.x;
+      content.push(pdfColor(node.collapsed ? STYLE.collapsedFill : STYLE.nodeFill) + ' rg ' +
+        pdfColor(node.multiParent ? STYLE.multiParentStroke : STYLE.nodeStroke) + ' RG ' +
+        (node.multiParent ? '[4 2] 0 d' : '[] 0 d'));
+      content.push([x + r, y, 'm', x + r, y + k, x + k, y + r, x, y + r, 'c', x - k, y + r, x - r, y + k, x - r, y, 'c',
+        x - r, y - k, x - k, y - r, x, y - r, 'c', x + k, y - r, x + r, y - k, x + r, y, 'c']
+        .map(cur => typeof cur === 'number' ? num(cur) : cur).join(' ') + ' b');
+      let textX = node.hasChildren ? x - STYLE.labelOffset - textWidth(node.name) : x + STYLE.labelOffset;
+      content.push('0 g BT /F1 ' + STYLE.fontSize + ' Tf 1 0 0 -1 ' + num(textX) + ' ' + num(y + 0.35 * STYLE.fontSize) +
+        ' Tm ' + pdfString(node.name) + ' Tj ET');
+    });
+    let stream = content.join('\n');
+    let objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + num(width) + ' ' + num(height) + ']' +
+      ' /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Length ' + Buffer.byteLength(stream, 'latin1') + ' >>\nstream\n' + stream + '\nendstream',
+      '<< /Title ' + pdfString(root.name === undefined ? 'Ontology tree' : String(root.name)) +
+      ' /Producer (Ontology Tree Visualizer) >>'
+    ];
+    let pdf = '%PDF-1.4\n';
+    let offsets = objects.map((object, idx) => {
+      let offset = Buffer.byteLength(pdf, 'latin1');
+      pdf += (idx + 1) + ' 0 obj\n' + object + '\nendobj\n';
+      return offset;
+    });
+    let xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += 'xref\n0 ' + (objects.length + 1) + '\n0000000000 65535 f \n' +
+      offsets.map(offset => String(offset).padStart(10, '0') + ' 00000 n \n').join('') +
+      'trailer\n<< /Size ' + (objects.length + 1) + ' /Root 1 0 R /Info 6 0 R >>\nstartxref\n' + xref + '\n%%EOF\n';
+    return Buffer.from(pdf, 'latin1');
+  };
+
+  return exporter;
+}
+
+//the content types of the export formats
+TreeExport.FORMATS = {svg: 'image/svg+xml', pdf: 'application/pdf'};
+module.exports = TreeExport;
@@ -5,13 +5,18 @@
  * Example usage of this visualization:
  * <code>
  let d3tree = d3Tree()
- .height(2000)
+ .height(800)
  .width(1500)
+ .nodeSize([25, 180])
  .data(data)
  .on('nodeOver', nodeOver)
  .on('nodeOut', mouseout);
  d3.select('#svg-div').call(d3tree);
  * </code>
+ * For large trees, the data can hold only the top levels, and the children of the other nodes are loaded
+ *  when they are expanded, using the function given to `childLoader`
+ * The tree can be drawn with several layouts (see `layout`), which can be switched between while it's shown
+ * The tree has the WAI-ARIA tree semantics, and can be browsed with the keyboard (see `keydown`)
  * @returns {function(*): void}: new instance of the tree
  */
 function d3Tree() {
@@ -29,9 +34,40 @@ function d3Tree() {
   //data parameters
   let events = {};
 
+  //layout parameters: the spacing between the levels of the tree, and the size of each node when the layout
+  // is based on node sizes (the tree then grows as nodes expand instead of being squeezed into the svg)
+  let depthSpacing = 180, nodeSize;
+  //the layout of the tree, one of LAYOUTS, and the width of the rings of the radial layouts, set when they are laid out
+  let layout = 'tree', ringWidth;
+  //the indentation of each level in the outline layout
+  const OUTLINE_INDENT = 30;
+
+  //zoom parameters
+  let svg, zoomLayer, zoom, zoomable = true, scaleExtent = [0.1, 4];
+
+  //function for loading the children of the nodes that don't have them in the data
+  let childLoader;
+
+  //functions for the stroke colour of the node circles and for the extra classes of the nodes
+  let nodeStroke = defaultNodeStroke, nodeClass;
+  //function for the text of the node labels
+  let nodeLabel = defaultNodeLabel;
+  //function for the non hierarchical relations of the nodes, drawn as links between the visible nodes
+  let crossLinks;
+  //function for marking some of the nodes, as the terms found in a text
+  let nodeMark;
+
   // for tracking click vs dbl click events.
   let clicks = 0, timer = null, duration = 750;
 
+  //the accessible name of the tree, read by screen readers
+  let ariaLabel = 'Tree';
+  //the node reached with the tab key, which is the root until another node is focused
+  let focused;
+  //the characters typed for finding a node by its label, which are forgotten after TYPE_AHEAD_DELAY milliseconds
+  let typed = '', typedTimer = null;
+  const TYPE_AHEAD_DELAY = 500;
+
   // nodeId counter
   let i = 0;
 
@@ -57,20 +93,41 @@ function d3Tree() {
    */
   function chart(selection) {
     // append the svg object to the selection
-    // appends a 'group' element to 'svg'
-    binding.o = selection.append("svg")
+    // appends a 'group' element for zooming and panning, and another one for the tree inside it
+    svg = selection.append("svg")
       .attr('height', dimensions.height)
       .attr('width', dimensions.width)
-      .append("g");
+      .attr('role', 'tree')
+      .attr('aria-label', ariaLabel);
+    zoomLayer = svg.append("g")
+      .attr('class', 'zoom-layer');
+    binding.o = zoomLayer.append("g");
+    if (zoomable) {
+      zoom = d3.zoom()
+        .scaleExtent(scaleExtent)
+        .on('zoom', function () {
+          zoomLayer.attr('transform', d3.event.transform);
+          viewChange();
+        });
+      // double clicks are used for expanding/collapsing all the children of a node
+      svg.call(zoom).on('dblclick.zoom', null);
+    }
 
     treeMap = d3.tree();
     // Assigns parent, children, height, depth
     root = d3.hierarchy(binding.d, function (d) {
       return d.children;
     });
-    root.x0 = dimensions.height / 2;
+    if (nodeSize) {
+      // the root is laid out at 0, so it's moved to the middle of the svg
+      treeMap = treeMap.nodeSize(nodeSize);
+      root.x0 = 0;
+    } else {
+      treeMap = treeMap.size([dimensions.width, dimensions.height]);
+      root.x0 = dimensions.height / 2;
+    }
     root.y0 = 0;
-    treeMap = treeMap.size([dimensions.width, dimensions.height]);
+    applyTransform(LAYOUTS[layout].origin(viewport()), 0);
     initMargins();
     // Collapse after the second level
     root.children.forEach(collapse);
@@ -78,6 +135,36 @@ function d3Tree() {
     return chart.update(root);
   }
 
+  /**
+   * Method for applying a zoom transform on the tree
+   * If zooming is enabled, the transform goes through the zoom behaviour so that later zooming/panning continues from it
+   * @param transform: d3.zoomTransform: the transform to be applied
+   * @param transitionDuration: the duration of the transition to the transform
+   */
+  function applyTransform(transform, transitionDuration) {
+    if (zoom) {
+      svg.transition().duration(transitionDuration).call(zoom.transform, transform);
+    } else {
+      zoomLayer.transition().duration(transitionDuration).attr('transform', transform.toString());
+    }
+  }
+
+  /**
+   * Get the size of the svg, which is the visible area of the tree
+   * @returns {{width: number, height: number}}
+   */
+  function viewport() {
+    return {width: +svg.attr('width'), height: +svg.attr('height')};
+  }
+
+  /**
+   * Get the current zoom transform of the tree
+   * @returns d3.zoomTransform: the current transform
+   */
+  function currentTransform() {
+    return zoom ? d3.zoomTransform(svg.node()) : d3.zoomIdentity;
+  }
+
   /**
    * Method for handling the nodeOut event.
    * It calls the attached nodeOut event from the user
@@ -100,6 +187,488 @@ function d3Tree() {
     }
   }
 
+  /**
+   * Method for handling the contextmenu event.
+   * It calls the attached nodeContextMenu event from the user instead of showing the menu of the browser
+   * @param d: the svg element representing the node where the contextmenu event happened
+   */
+  function nodeContextMenu(d) {
+    if (events.nodeContextMenu) {
+      d3.event.preventDefault();
+      events.nodeContextMenu(d, d3.event);
+    }
+  }
+
+  /**
+   * Method for handling the changes of the view: the expanding/collapsing of the nodes, and the zooming/panning
+   * It calls the attached viewChange event from the user
+   */
+  function viewChange() {
+    if (events.viewChange) {
+      events.viewChange();
+    }
+  }
+
+  /**
+   * Check whether a node appears under more than one parent in the tree
+   * The parents are given in the `parents` attribute of the node data
+   * @param d: the node to be checked
+   * @returns {boolean}
+   */
+  function hasMultipleParents(d) {
+    return Boolean(d.data.parents && d.data.parents.length > 1);
+  }
+
+  /**
+   * Get the default stroke colour of the node circle, nodes with several parents are highlighted
+   * @param d: the node to be coloured
+   * @returns {string}: the stroke colour
+   */
+  function defaultNodeStroke(d) {
+    return hasMultipleParents(d) ? "darkorange" : "green";
+  }
+
+  /**
+   * Get the default text of the node label, which is the name of the node
+   * @param d: the node to be labelled
+   * @returns {string}: the text of the label
+   */
+  function defaultNodeLabel(d) {
+    return d.data.name;
+  }
+
+  /**
+   * Get the tooltip of the nodes with several parents, listing the parents
+   * @param d: the node
+   * @returns {string}: the text of the tooltip
+   */
+  function multiParentTitle(d) {
+    return nodeLabel(d) + ' appears under ' + d.data.parents.length + ' parents: ' + d.data.parents.join(', ');
+  }
+
+  /**
+   * Get the fill colour of the node circle, nodes with hidden children are filled
+   * @param d: the node to be coloured
+   * @returns {string}: the fill colour
+   */
+  function nodeFill(d) {
+    return hasHiddenChildren(d) ? "lightsteelblue" : "#fff";
+  }
+
+  /**
+   * Method for colouring the shapes of the nodes: the circles get the stroke colour of the nodes,
+   *  and the areas are filled with it, more opaque for the nodes with hidden children
+   * @param nodes: d3.selection of the groups of the nodes
+   */
+  function colourShapes(nodes) {
+    nodes.select('circle.node')
+      .style('fill', nodeFill)
+      .style('stroke', nodeStroke);
+    nodes.select('path.node-area')
+      .style('fill', nodeStroke)
+      .style('fill-opacity', d => hasHiddenChildren(d) ? 0.7 : 0.35);
+  }
+
+  /**
+   * Method for marking the nodes given by `nodeMark`: the marked nodes get the `marked` class along with
+   *  `marked-<kind>` for the kind of their mark, and the marks of the other nodes are removed
+   * @param nodes: d3.selection of the groups of the nodes
+   */
+  function markNodes(nodes) {
+    nodes.each(function (d) {
+      let mark = nodeMark ? nodeMark(d) : undefined;
+      let element = d3.select(this);
+      (this.getAttribute('class') || '').split(' ').filter(name => name.startsWith('marked-'))
+        .forEach(name => element.classed(name, false));
+      element.classed('marked', Boolean(mark));
+      if (mark) {
+        element.classed('marked-' + mark, true);
+      }
+    });
+  }
+
+  /**
+   * Get the position of the node label, the labels of the nodes with children are on their left
+   * @param d: the node of the label
+   * @returns {number}: the position relative to the node
+   */
+  function labelX(d) {
+    return d.children || hasHiddenChildren(d) ? -13 : 13;
+  }
+
+  /**
+   * Get the anchor of the node label, the labels of the nodes with children end at the node
+   * @param d: the node of the label
+   * @returns {string}: the text anchor
+   */
+  function labelAnchor(d) {
+    return d.children || hasHiddenChildren(d) ? "end" : "start";
+  }
+
+  /**
+   * Creates a curved (diagonal) path from parent to the child nodes
+   * @param s: the position of the child node
+   * @param d: the position of the parent node
+   * @returns {string}: the path
+   */
+  function diagonal(s, d) {
+    return `M ${s.y} ${s.x}
+            C ${(s.y + d.y) / 2} ${s.x},
+              ${(s.y + d.y) / 2} ${d.x},
+              ${d.y} ${d.x}`;
+  }
+
+  /**
+   * Creates a path bending to the side from a node to a related node, so it doesn't run along the links of the tree
+   * @param s: the position of the node
+   * @param d: the position of the related node
+   * @returns {string}: the path
+   */
+  function crossLinkPath(s, d) {
+    let bend = 0.3;
+    return `M ${s.y} ${s.x}
+            Q ${(s.y + d.y) / 2 + (d.x - s.x) * bend} ${(s.x + d.x) / 2 - (d.y - s.y) * bend},
+              ${d.y} ${d.x}`;
+  }
+
+  /**
+   * Method for drawing the non hierarchical relations between the visible nodes, as given by `crossLinks`
+   * The relations are drawn over the links of the tree and under the nodes, once the nodes are in place,
+   *  and each relation is drawn once, even if both of its nodes give it
+   */
+  function drawCrossLinks() {
+    let nodes = root.descendants();
+    let byId = new Map();
+    nodes.filter(d => d.data.id !== undefined).forEach(d => byId.set(d.data.id, (byId.get(d.data.id) || []).concat([d])));
+    let positions = new Map(nodes.map((d, idx) => [d, idx]));
+    let links = [], drawn = new Set();
+    nodes.forEach(function (source, sourceIdx) {
+      (crossLinks ? crossLinks(source) || [] : []).forEach(function (relation) {
+        (byId.get(relation.id) || []).filter(target => target !== source).forEach(function (target) {
+          let targetIdx = positions.get(target);
+          let key = Math.min(sourceIdx, targetIdx) + ' ' + Math.max(sourceIdx, targetIdx);
+          if (!drawn.has(key)) {
+            drawn.add(key);
+            links.push({source, target, type: relation.type});
+          }
+        });
+      });
+    });
+    let group = binding.o.select('g.cross-links');
+    if (group.empty()) {
+      group = binding.o.insert('g', 'g.node').attr('class', 'cross-links');
+    }
+    group.selectAll('path').remove();
+    group.selectAll('path')
+      .data(links).enter().append('path')
+      .attr('class', d => 'cross-link cross-link-' + d.type)
+      .attr('d', d => crossLinkPath(d.source, d.target))
+      .style('opacity', 1e-6)
+      .transition()
+      .delay(duration / 2)
+      .duration(duration / 2)
+      .style('opacity', 1);
+  }
+
+  /**
+   * Get the breadth of each node in the layouts based on node sizes, the one given by `nodeSize` or 25 pixels
+   * @returns {number}
+   */
+  function nodeBreadth() {
+    return nodeSize ? nodeSize[0] : 25;
+  }
+
+  /**
+   * Get the width of the rings of the radial layouts, so that the outer ring has room for all the visible leaves
+   * @param nodes: the visible nodes
+   * @param minimum: the minimum width
+   * @returns {number}: the width
+   */
+  function ringSpacing(nodes, minimum) {
+    let rings = Math.max(1, d3.max(nodes, d => d.depth));
+    return Math.max(minimum, root.leaves().length * nodeBreadth() / (2 * Math.PI * rings));
+  }
+
+  /**
+   * Place a node at an angle and a distance from the centre of the radial layouts,
+   *  where the angle is clockwise from the top of the centre
+   * @param d: the node
+   * @param angle: the angle in radians
+   * @param radius: the distance from the centre
+   */
+  function placeRadially(d, angle, radius) {
+    d.angle = angle;
+    d.x = -radius * Math.cos(angle);
+    d.y = radius * Math.sin(angle);
+  }
+
+  /**
+   * Lay out the visible nodes as nested areas, where the breadth of each node is proportional to the number
+   *  of its visible leaves
+   * Each node gets its `extent` as [start, end] fractions of the breadth of the root
+   * @returns {Array}: the visible nodes, parents first
+   */
+  function partition() {
+    root.count();
+    let nodes = root.descendants();
+    root.extent = [0, 1];
+    nodes.forEach(d => {
+      let start = d.extent[0];
+      (d.children || []).forEach(child => {
+        let end = start + (d.extent[1] - d.extent[0]) * child.value / d.value;
+        child.extent = [start, end];
+        start = end;
+      });
+    });
+    return nodes;
+  }
+
+  /**
+   * Get the transform moving the centre of the radial layouts to the middle of the svg
+   * @param view: the size of the svg
+   * @returns d3.zoomTransform
+   */
+  function centreOrigin(view) {
+    return d3.zoomIdentity.translate(view.width / 2 - margin.left, view.height / 2 - margin.top);
+  }
+
+  //the available layouts, each giving:
+  // position: fn()->nodes: the method laying out the visible nodes, setting their `x` (vertical) and `y` (horizontal)
+  //   positions, which are the ones of the centres of their areas in the layouts drawing the nodes as areas
+  // link: fn(s, d)->string: the path of the link from the position s of a child to the position d of its parent
+  // area: fn(node)->string: the path of the area of a node, in the layouts drawing the nodes as areas instead of
+  //   circles and links, where the area is positioned in the tree rather than around the node
+  // labelX, labelAnchor, labelTransform and labelVisible: fn(node): the position, the anchor, the transform and
+  //   the visibility of the label of a node, where the last two are optional
+  // origin: fn(view)->d3.zoomTransform: the initial transform of the tree in a svg of the given size
+  const LAYOUTS = {
+    //horizontal tree, from the left to the right
+    tree: {
+      position: function () {
+        let nodes = treeMap(root).descendants();
+        // Normalize for fixed-depth.
+        nodes.forEach(function (d) {
+          d.y = d.depth * depthSpacing;
+        });
+        return nodes;
+      },
+      link: diagonal,
+      labelX,
+      labelAnchor,
+      origin: view => nodeSize ? d3.zoomIdentity.translate(0, view.height / 2) : d3.zoomIdentity
+    },
+    //tree growing from the centre outwards, with the levels on circles
+    radial: {
+      position: function () {
+        let nodes = d3.tree()
+          .size([2 * Math.PI, 1])
+          .separation((a, b) => (a.parent === b.parent ? 1 : 2) / a.depth)(root)
+          .descendants();
+        ringWidth = ringSpacing(nodes, depthSpacing);
+        nodes.forEach(d => placeRadially(d, d.x, d.depth * ringWidth));
+        return nodes;
+      },
+      link: (s, d) => `M ${s.y} ${s.x} L ${d.y} ${d.x}`,
+      labelX: d => d.y < 0 ? -13 : 13,
+      labelAnchor: d => d.y < 0 ? 'end' : 'start',
+      origin: centreOrigin
+    },
+    //indented list, as the folders of a file explorer
+    outline: {
+      position: function () {
+        let nodes = [];
+        root.eachBefore(d => {
+          d.x = nodes.length * nodeBreadth();
+          d.y = d.depth * OUTLINE_INDENT;
+          nodes.push(d);
+        });
+        return nodes;
+      },
+      link: (s, d) => `M ${d.y} ${d.x} V ${s.x} H ${s.y}`,
+      labelX: () => 13,
+      labelAnchor: () => 'start',
+      origin: () => d3.zoomIdentity
+    },
+    //nested rings, from the root in the centre outwards
+    sunburst: {
+      position: function () {
+        let nodes = partition();
+        ringWidth = ringSpacing(nodes, depthSpacing / 2);
+        nodes.forEach(d => placeRadially(d, (d.extent[0] + d.extent[1]) * Math.PI, d.depth ? (d.depth + 0.5) * ringWidth : 0));
+        return nodes;
+      },
+      area: d => d3.arc()({
+        innerRadius: d.depth * ringWidth,
+        outerRadius: (d.depth + 1) * ringWidth,
+        startAngle: d.extent[0] * 2 * Math.PI,
+        endAngle: d.extent[1] * 2 * Math.PI
+      }),
+      labelX: () => 0,
+      labelAnchor: () => 'middle',
+      // the labels go along the radius, upside up
+      labelTransform: d => d.depth ? 'rotate(' + (d.angle * 180 / Math.PI - 90 + (d.angle > Math.PI ? 180 : 0)) + ')' : null,
+      labelVisible: d => !d.depth || (d.extent[1] - d.extent[0]) * 2 * Math.PI * (d.depth + 0.5) * ringWidth >= 12,
+      origin: centreOrigin
+    },
+    //nested bars, from the root on the left to the right
+    icicle: {
+      position: function () {
+        let nodes = partition();
+        let breadth = root.value * nodeBreadth();
+        nodes.forEach(d => {
+          d.x = (d.extent[0] + d.extent[1]) / 2 * breadth;
+          d.y = (d.depth + 0.5) * depthSpacing;
+        });
+        return nodes;
+      },
+      area: function (d) {
+        let breadth = root.value * nodeBreadth();
+        return `M ${d.depth * depthSpacing} ${d.extent[0] * breadth} H ${(d.depth + 1) * depthSpacing}
+                V ${d.extent[1] * breadth} H ${d.depth * depthSpacing} Z`;
+      },
+      labelX: () => 6 - depthSpacing / 2,
+      labelAnchor: () => 'start',
+      labelVisible: d => (d.extent[1] - d.extent[0]) * root.value * nodeBreadth() >= 12,
+      origin: () => d3.zoomIdentity
+    }
+  };
+
+  /**
+   * Method for placing and showing the labels of the nodes as the layout gives
+   * @param labels: d3.selection of the labels
+   */
+  function placeLabels(labels) {
+    let current = LAYOUTS[layout];
+    labels.attr("x", current.labelX)
+      .attr("text-anchor", current.labelAnchor)
+      .attr('transform', current.labelTransform || null)
+      .attr('display', current.labelVisible ? d => current.labelVisible(d) ? null : 'none' : null);
+  }
+
+  /**
+   * Get the text of the style rules of the page that apply to the elements of an svg, for making it standalone
+   * The rules of the stylesheets that can't be read (as the ones from other origins) are left out
+   * @param svgNode: the svg element
+   * @returns {string}: the text of the rules
+   */
+  function svgStyles(svgNode) {
+    let rules = [];
+    Array.prototype.forEach.call(document.styleSheets, function (sheet) {
+      let sheetRules;
+      try {
+        sheetRules = sheet.cssRules;
+      } catch (error) {
+        return;
+      }
+      Array.prototype.forEach.call(sheetRules || [], function (rule) {
+        try {
+          if (rule.selectorText && svgNode.querySelector(rule.selectorText)) {
+            rules.push(rule.cssText);
+          }
+        } catch (error) {
+          //selectors that can't be queried, as the ones with pseudo elements
+        }
+      });
+    });
+    return rules.join('\n');
+  }
+
+  /**
+   * Check whether a node has children that aren't loaded yet
+   * When a child loader is set, such nodes have a `childCount` attribute in their data
+   * @param d: the node to be checked
+   * @returns {boolean}
+   */
+  function isUnloaded(d) {
+    return Boolean(childLoader && !d.children && !d._children && d.data.childCount > 0);
+  }
+
+  /**
+   * Check whether a node has children that aren't shown, either collapsed or not loaded yet
+   * @param d: the node to be checked
+   * @returns {boolean}
+   */
+  function hasHiddenChildren(d) {
+    return Boolean(d._children) || isUnloaded(d);
+  }
+
+  /**
+   * Method for describing the nodes to screen readers, as the items of a tree, and for making the focused node
+   *  the one reached with the tab key
+   * @param nodes: d3.selection of the groups of the nodes
+   */
+  function describeNodes(nodes) {
+    nodes.attr('role', 'treeitem')
+      .attr('aria-label', nodeLabel)
+      .attr('aria-level', d => d.depth + 1)
+      .attr('aria-setsize', d => d.parent ? d.parent.children.length : 1)
+      .attr('aria-posinset', d => d.parent ? d.parent.children.indexOf(d) + 1 : 1)
+      .attr('aria-expanded', d => d.children ? 'true' : hasHiddenChildren(d) ? 'false' : null)
+      .attr('tabindex', d => d === focused ? 0 : -1);
+  }
+
+  /**
+   * Method for marking the nodes whose children are being loaded
+   */
+  function showLoading() {
+    binding.o.selectAll('g.node')
+      .classed('loading', d => Boolean(d.loading))
+      .attr('aria-busy', d => d.loading ? 'true' : null);
+  }
+
+  /**
+   * Method for loading the children of a node, they are added collapsed
+   * The loaded children are kept in the node data, so they are loaded once, and the nodes sharing the same data
+   *  (as a term appearing under several parents) don't load them again
+   * @param d: the node whose children are to be loaded
+   * @returns {Promise}: resolved with the node once its children are loaded, or right away if they already are
+   */
+  function loadChildren(d) {
+    if (!isUnloaded(d)) {
+      return Promise.resolve(d);
+    }
+    if (!d.loading) {
+      let children = d.data.children ? Promise.resolve(d.data.children) : Promise.resolve(childLoader(d.data));
+      d.loading = children.then(function (data) {
+        d.data.children = data;
+        d._children = data.length ? data.map(function (childData) {
+          let child = d3.hierarchy(childData, function (cur) {
+            return cur.children;
+          });
+          child.each(function (cur) {
+            cur.depth += d.depth + 1;
+          });
+          child.parent = d;
+          collapse(child);
+          return child;
+        }) : null;
+        d.loading = undefined;
+        showLoading();
+        return d;
+      }, function (error) {
+        d.loading = undefined;
+        showLoading();
+        if (events.nodeLoadError) {
+          events.nodeLoadError(d, error);
+        }
+        throw error;
+      });
+      showLoading();
+    }
+    return d.loading;
+  }
+
+  /**
+   * Method for loading all the descendants of a node that aren't loaded yet
+   * @param d: the node whose descendants are to be loaded
+   * @returns {Promise}: resolved once all the descendants are loaded
+   */
+  function loadDescendants(d) {
+    return loadChildren(d).then(function () {
+      return Promise.all((d.children || d._children || []).map(loadDescendants));
+    });
+  }
+
   /**
    * Method for collapsing a node and all of its children
    * @param d: the root node to be collapsed
@@ -112,9 +681,111 @@ function d3Tree() {
     }
   }
 
+  /**
+   * Method for expanding a node and all of its children
+   * @param d: the root node to be expanded
+   */
+  function expand(d) {
+    if (d._children) {
+      d.children = d._children;
+      d._children = null;
+    }
+    if (d.children) {
+      d.children.forEach(expand);
+    }
+  }
+
+  /**
+   * Method for expanding/collapsing the immediate children of a node, loading them first if they aren't loaded yet
+   * @param d: the node to be expanded/collapsed
+   */
+  function toggle(d) {
+    if (d.children) {
+      d._children = d.children;
+      d.children = null;
+    } else if (isUnloaded(d)) {
+      return loadChildren(d).then(function () {
+        d.children = d._children;
+        d._children = null;
+        chart.update(d);
+      }, function () {
+        //the failure is reported with the nodeLoadError event
+      });
+    } else {
+      d.children = d._children;
+      d._children = null;
+    }
+    chart.update(d);
+  }
+
+  /**
+   * Method for expanding/collapsing all the descending children of a node,
+   *  loading them first if they aren't loaded yet
+   * @param d: the node to be expanded/collapsed
+   */
+  function toggleAll(d) {
+    if (d.children) {// turn off all
+      dblclick(d, false);
+    } else if (childLoader) {
+      // turn on all, once all of them are loaded
+      return loadDescendants(d).then(function () {
+        dblclick(d, true);
+        chart.update(d);
+      }, function () {
+        //the failure is reported with the nodeLoadError event
+      });
+    } else {
+      dblclick(d, true); // turn on all
+    }
+    chart.update(d);
+  }
+
+  /**
+   * Method for expanding a node and its siblings, loading their children first if they aren't loaded yet
+   * @param d: one of the nodes to be expanded
+   */
+  function expandSiblings(d) {
+    let siblings = d.parent ? d.parent.children : [d];
+    Promise.all(siblings.map(function (sibling) {
+      return loadChildren(sibling).then(undefined, function () {
+        //the failure is reported with the nodeLoadError event
+      });
+    })).then(function () {
+      siblings.filter(sibling => sibling._children).forEach(function (sibling) {
+        sibling.children = sibling._children;
+        sibling._children = null;
+      });
+      chart.update(d.parent || d);
+    });
+  }
+
+  /**
+   * Method for expanding a node and the nodes on a path under it, loading their children first if they aren't loaded yet
+   * @param d: the node where the path starts
+   * @param path: string[]: the ids of the nodes on the path, see `reveal`
+   * @returns {Promise}: resolved with the node at the end of the path, or with undefined if the path doesn't exist
+   */
+  function openPath(d, path) {
+    return loadChildren(d).then(function () {
+      if (d._children) {
+        d.children = d._children;
+        d._children = null;
+      }
+      if (!path.length) {
+        return d;
+      }
+      let next = (d.children || []).find(child => child.data.id === path[0]);
+      return next ? openPath(next, path.slice(1)) : undefined;
+    }, function () {
+      //the failure is reported with the nodeLoadError event
+      return undefined;
+    });
+  }
+
   /**
    * Method for handling the click event.
-   * It expand/collapse the immediate children of the clicked node
+   * It expand/collapse the immediate children of the clicked node,
+   *  or all of its descending children when it's clicked twice within 400 milliseconds
    * It calls the attached handling event from the user
    * @param d: the svg element representing the node where the click event happened
    */
@@ -122,34 +793,171 @@ function d3Tree() {
     clicks++;  //count clicks
     if (clicks === 1) {
       timer = setTimeout(function () {
-        //  alert("Single Click");  //perform single-click action
         clicks = 0;             //after action performed, reset counter
-        if (d.children) {
-          d._children = d.children;
-          d.children = null;
-        } else {
-          d.children = d._children;
-          d._children = null;
-        }
-        chart.update(d);
+        toggle(d);
       }, 400);
     } else {
       clearTimeout(timer);    //prevent single-click action
-      //  alert("Double Click");  //perform double-click action
       clicks = 0;
-      //after action performed, reset counter
-      if (d.children) {// turn off all
-        dblclick(d, false);
-      } else {
-        dblclick(d, true); // turn on all
-      }
-      chart.update(d);
+      toggleAll(d);
     }
     if (events.nodeClick) {
       events.nodeClick(d);
     }
   }
 
+  /**
+   * Get the visible nodes in the order they are read, which is the order of the nodes from the top of the tree
+   *  to its bottom in the horizontal tree
+   * @returns {Array}: the visible nodes, each node followed by its descendants
+   */
+  function visibleNodes() {
+    let nodes = [];
+    root.eachBefore(d => nodes.push(d));
+    return nodes;
+  }
+
+  /**
+   * Method for handling the focus event of a node, it becomes the node reached with the tab key
+   * It calls the attached nodeFocus event from the user
+   * @param d: the svg element representing the node which got the focus
+   */
+  function nodeFocus(d) {
+    focused = d;
+    binding.o.selectAll('g.node').attr('tabindex', cur => cur === d ? 0 : -1);
+    if (events.nodeFocus) {
+      events.nodeFocus(d);
+    }
+  }
+
+  /**
+   * Method for moving the focus of the page to a node
+   * When the tree is zoomable, the view is moved to the node if it's out of it
+   * @param d: the node to be focused, which should be visible
+   */
+  function focusNode(d) {
+    let element = binding.o.selectAll('g.node').filter(cur => cur === d).node();
+    if (!element) {
+      return;
+    }
+    element.focus({preventScroll: Boolean(zoom)});
+    if (zoom) {
+      let transform = currentTransform(), view = viewport();
+      let x = transform.applyX(d.y + margin.left), y = transform.applyY(d.x + margin.top);
+      if (x < 0 || x > view.width || y < 0 || y > view.height) {
+        chart.center(d);
+      }
+    }
+  }
+
+  /**
+   * Find the next visible node whose label starts with the typed characters, after a node and back from the top
+   * Typing the same character again goes to the next node starting with it
+   * @param d: the node where the search starts
+   * @param character: the typed character
+   * @returns the found node, or undefined if no label starts with the typed characters
+   */
+  function typeAhead(d, character) {
+    clearTimeout(typedTimer);
+    typedTimer = setTimeout(function () {
+      typed = '';
+    }, TYPE_AHEAD_DELAY);
+    typed += character.toLowerCase();
+    let repeated = typed.split('').every(cur => cur === typed[0]);
+    let prefix = repeated ? typed[0] : typed;
+    let nodes = visibleNodes();
+    // a single character moves on from the node, while more characters can still match it
+    let start = nodes.indexOf(d) + (prefix.length === 1 ? 1 : 0);
+    for (let idx = 0; idx < nodes.length; ++idx) {
+      let node = nodes[(start + idx) % nodes.length];
+      if (String(nodeLabel(node)).toLowerCase().startsWith(prefix)) {
+        return node;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Method for handling the keydown event of a node, which has the focus:
+   *  Up/Down arrows: move to the previous/next visible node
+   *  Right arrow: expand the node, or move to its first child if it's expanded
+   *  Left arrow: collapse the node, or move to its parent if it's collapsed
+   *  Home/End: move to the first/last visible node
+   *  Enter: same as clicking the node
+   *  *: expand the node and all its siblings
+   *  Shift+F10 or the context menu key: same as right clicking the node
+   *  other characters: move to the next node whose label starts with the typed characters
+   * @param d: the svg element representing the node where the keydown event happened
+   */
+  function keydown(d) {
+    let event = d3.event;
+    if (event.altKey || event.ctrlKey || event.metaKey) {
+      return;
+    }
+    let nodes = visibleNodes(), idx = nodes.indexOf(d), target;
+    switch (event.key) {
+      case 'ArrowDown':
+        target = nodes[idx + 1];
+        break;
+      case 'ArrowUp':
+        target = nodes[idx - 1];
+        break;
+      case 'ArrowRight':
+        if (d.children) {
+          target = d.children[0];
+        } else if (hasHiddenChildren(d)) {
+          toggle(d);
+        }
+        break;
+      case 'ArrowLeft':
+        if (d.children) {
+          toggle(d);
+        } else {
+          target = d.parent;
+        }
+        break;
+      case 'Home':
+        target = nodes[0];
+        break;
+      case 'End':
+        target = nodes[nodes.length - 1];
+        break;
+      case 'Enter':
+        toggle(d);
+        if (events.nodeClick) {
+          events.nodeClick(d);
+        }
+        break;
+      case '*':
+        expandSiblings(d);
+        break;
+      case 'F10':
+      case 'ContextMenu':
+        if (event.key === 'F10' && !event.shiftKey) {
+          return;
+        }
+        if (events.nodeContextMenu) {
+          // the menu is placed under the node
+          let box = this.getBoundingClientRect();
+          events.nodeContextMenu(d, {
+            pageX: box.left + box.width / 2 + window.pageXOffset,
+            pageY: box.bottom + window.pageYOffset
+          });
+        }
+        break;
+      default:
+        // spaces are only part of the typed characters after other characters
+        if (event.key.length !== 1 || (event.key === ' ' && !typed)) {
+          return;
+        }
+        target = typeAhead(d, event.key);
+    }
+    event.preventDefault();
+    if (target) {
+      focusNode(target);
+    }
+  }
+
   /**
    * Method for handling the click event.
    * It expand/collapse all the descending children of the clicked node
@@ -187,17 +995,10 @@ function d3Tree() {
    * @param source: the node where the action happen, in case of initialization, it should be called with `root`
    */
   chart.update = function (source) {
+    let current = LAYOUTS[layout];
     // Assigns the x and y position for the nodes
-    var treeData = treeMap(root);
-
-    // Compute the new tree layout.
-    var nodes = treeData.descendants(),
-      links = treeData.descendants().slice(1);
-
-    // Normalize for fixed-depth.
-    nodes.forEach(function (d) {
-      d.y = d.depth * 180
-    });
+    var nodes = current.position(),
+      links = current.area ? [] : nodes.slice(1);
 
     // ****************** Nodes section ***************************
 
@@ -211,6 +1012,15 @@ function d3Tree() {
     let node = binding.o.selectAll("g.node")
       .data(nodes, binding.f);
 
+    // the focus goes to the nearest visible ancestor of the focused node when it's hidden
+    let focusLost = false;
+    while (focused && nodes.indexOf(focused) === -1) {
+      focusLost = true;
+      focused = focused.parent;
+    }
+    focused = focused || root;
+    focusLost = focusLost && node.exit().nodes().indexOf(document.activeElement) !== -1;
+
     // Enter any new modes at the parent's previous position.
     var nodeEnter = node.enter().append('g')
       .attr('class', 'node')
@@ -219,33 +1029,48 @@ function d3Tree() {
       })
       .on('click', click)
       .on('mouseover', nodeOver)
-      .on('mouseout', nodeOut);
+      .on('mouseout', nodeOut)
+      .on('contextmenu', nodeContextMenu)
+      .on('focus', nodeFocus)
+      .on('keydown', keydown);
 
-    // Add Circle for the nodes
-    nodeEnter.append('circle')
-      .attr('class', 'node')
-      .attr('r', 1e-6)
-      .style("fill", function (d) {
-        return d._children ? "lightsteelblue" : "#fff";
-      })
-      .style('stroke', function (d) {
-        return "green";
+    if (nodeClass) {
+      nodeEnter.attr('class', function (d) {
+        let classes = nodeClass(d);
+        return 'node' + (classes ? ' ' + classes : '');
       });
+    }
+
+    // Add Circle for the nodes, or their areas in the layouts drawing them as areas, which fade in where they end up
+    if (current.area) {
+      nodeEnter.append('path')
+        .attr('class', 'node-area')
+        .attr('transform', "translate(" + -source.y0 + "," + -source.x0 + ")")
+        .attr('d', current.area)
+        .style('opacity', 1e-6);
+    } else {
+      nodeEnter.append('circle')
+        .attr('class', 'node')
+        .attr('r', 1e-6);
+    }
+
+    // Nodes with several parents appear under each of them, list the parents when hovering them
+    nodeEnter.filter(hasMultipleParents)
+      .classed('multi-parent', true)
+      .append('title')
+      .text(multiParentTitle);
 
     // Add labels for the nodes
     nodeEnter.append('text')
       .attr("dy", ".35em")
-      .attr("x", function (d) {
-        return d.children || d._children ? -13 : 13;
-      })
-      .attr("text-anchor", function (d) {
-        return d.children || d._children ? "end" : "start";
-      })
-      .text(function (d) {
-        return d.data.name;
-      });
+      .text(nodeLabel);
     // UPDATE
     var nodeUpdate = nodeEnter.merge(node);
+    placeLabels(nodeUpdate.select('text'));
+    describeNodes(nodeUpdate);
+    if (focusLost) {
+      focusNode(focused);
+    }
 
     // Transition to the proper position for the node
     nodeUpdate.transition()
@@ -257,13 +1082,19 @@ function d3Tree() {
     // Update the node attributes and style
     nodeUpdate.select('circle.node')
       .attr('r', 10)
-      .style("fill", function (d) {
-        return d._children ? "lightsteelblue" : "#fff";
-      })
+      .attr('cursor', 'pointer');
+    // the areas move along with their nodes, as they are positioned in the tree
+    nodeUpdate.select('path.node-area')
       .attr('cursor', 'pointer')
-      .style('stroke', function (d) {
-        return "green";
-      });
+      .transition()
+      .duration(duration)
+      .attr('transform', function (d) {
+        return "translate(" + -d.y + "," + -d.x + ")";
+      })
+      .attr('d', current.area)
+      .style('opacity', 1);
+    colourShapes(nodeUpdate);
+    markNodes(nodeUpdate);
 
 
     // Remove any exiting nodes
@@ -274,9 +1105,11 @@ function d3Tree() {
       })
       .remove();
 
-    // On exit reduce the node circles size to 0
+    // On exit reduce the node circles size to 0, and fade the areas out
     nodeExit.select('circle')
       .attr('r', 1e-6);
+    nodeExit.select('path.node-area')
+      .style('opacity', 1e-6);
 
     // On exit reduce the opacity of text labels
     nodeExit.select('text')
@@ -295,7 +1128,7 @@ function d3Tree() {
       .attr("class", "link")
       .attr('d', function (d) {
         var o = {x: source.x0, y: source.y0};
-        return diagonal(o, o)
+        return current.link(o, o)
       });
 
     // UPDATE
@@ -305,7 +1138,7 @@ function d3Tree() {
     linkUpdate.transition()
       .duration(duration)
       .attr('d', function (d) {
-        return diagonal(d, d.parent)
+        return current.link(d, d.parent)
       });
 
     // Remove any exiting links
@@ -313,7 +1146,7 @@ function d3Tree() {
       .duration(duration)
       .attr('d', function (d) {
         var o = {x: source.x, y: source.y};
-        return diagonal(o, o)
+        return current.link(o, o)
       })
       .remove();
 
@@ -322,14 +1155,265 @@ function d3Tree() {
       d.x0 = d.x;
       d.y0 = d.y;
     });
+    drawCrossLinks();
+    viewChange();
+  };
+  /**
+   * Method for drawing the expanded nodes of the tree as a standalone svg document
+   * The nodes are drawn at their final positions, whatever the zoom and the size of the svg are,
+   *  with the classes they have in the tree and the style rules of the page that apply to them
+   * @param margin: the space around the drawing in pixels, 20 by default
+   * @returns {string}: the svg document
+   */
+  chart.toSvg = function (margin) {
+    margin = margin === undefined ? 20 : margin;
+    let classes = new Map();
+    binding.o.selectAll('g.node').each(function (d) {
+      classes.set(d, this.getAttribute('class'));
+    });
+    let current = LAYOUTS[layout];
+    let nodes = root.descendants();
+    let drawing = d3.select(document.body).append('svg')
+      .attr('xmlns', d3.namespaces.svg)
+      .style('position', 'absolute')
+      .style('visibility', 'hidden');
+    let group = drawing.append('g');
+    group.selectAll('path.link')
+      .data(current.area ? [] : nodes.slice(1)).enter().append('path')
+      .attr('class', 'link')
+      .attr('d', function (d) {
+        return current.link(d, d.parent);
+      });
+    let nodeGroups = group.selectAll('g.node')
+      .data(nodes).enter().append('g')
+      .attr('class', function (d) {
+        return classes.get(d) || 'node';
+      })
+      .attr('transform', function (d) {
+        return "translate(" + d.y + "," + d.x + ")";
+      });
+    if (current.area) {
+      nodeGroups.append('path')
+        .attr('class', 'node-area')
+        .attr('transform', function (d) {
+          return "translate(" + -d.y + "," + -d.x + ")";
+        })
+        .attr('d', current.area);
+    } else {
+      nodeGroups.append('circle')
+        .attr('class', 'node')
+        .attr('r', 10);
+    }
+    colourShapes(nodeGroups);
+    placeLabels(nodeGroups.append('text')
+      .attr("dy", ".35em")
+      .text(nodeLabel));
+    // the size of the drawing is measured while it's in the page, along with the styles that apply to it
+    let box = group.node().getBBox();
+    let styles = svgStyles(drawing.node());
+    drawing.remove()
+      .attr('style', null)
+      .attr('width', box.width + 2 * margin)
+      .attr('height', box.height + 2 * margin)
+      .attr('viewBox', [box.x - margin, box.y - margin, box.width + 2 * margin, box.height + 2 * margin].join(' '));
+    drawing.insert('style', ':first-child').text(styles);
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(drawing.node());
+  };
+  /**
+   * Method for revealing a node by expanding all of its ancestors
+   * The node is given by the path of ids from the top of the tree down to it, where the id of each node
+   *  is the `id` attribute of its data; the root of the data itself is not part of the path
+   * After revealing the node, it's highlighted and scrolled into view
+   * The children of the nodes on the path are loaded first if they aren't loaded yet, so the node may be revealed later
+   * @param path: string[]: the ids of the nodes from the top of the tree down to the node to be revealed
+   * @param callback: fn(node)->void: optional function called with the revealed node once it's revealed,
+   *                  or with undefined if the path doesn't exist in the tree
+   * @returns the revealed node, or undefined if the path doesn't exist in the tree or the node isn't revealed yet
+   */
+  chart.reveal = function (path, callback) {
+    let node = root;
+    let idx = 0;
 
-    // Creates a curved (diagonal) path from parent to the child nodes
-    function diagonal(s, d) {
-      return `M ${s.y} ${s.x}
-            C ${(s.y + d.y) / 2} ${s.x},
-              ${(s.y + d.y) / 2} ${d.x},
-              ${d.y} ${d.x}`;
+    function done(result) {
+      if (callback) {
+        callback(result);
+      }
+      return result;
+    }
+
+    function step() {
+      for (; idx < path.length; ++idx) {
+        if (isUnloaded(node)) {
+          loadChildren(node).then(step, function () {
+            done(undefined);
+          });
+          return undefined;
+        }
+        let children = node.children || node._children || [];
+        let next = children.find(child => child.data.id === path[idx]);
+        if (!next) {
+          return done(undefined);
+        }
+        if (node._children) {
+          node.children = node._children;
+          node._children = null;
+        }
+        node = next;
+      }
+      chart.update(node.parent || root);
+      chart.highlight(node);
+      return done(node);
     }
+
+    return step();
+  };
+  /**
+   * Get the paths of the expanded nodes, as the nodes shown with their children, for expanding them again later
+   *  with `expandPaths`
+   * Only the deepest expanded nodes are given, as expanding them expands their ancestors as well
+   * @returns string[][]: the ids of the nodes from the top of the tree down to each expanded node, see `reveal`
+   */
+  chart.expandedPaths = function () {
+    let paths = [];
+    root.each(function (d) {
+      if (d !== root && d.children && !d.children.some(child => child.children)) {
+        paths.push(d.ancestors().reverse().slice(1).map(cur => cur.data.id));
+      }
+    });
+    return paths;
+  };
+  /**
+   * Method for expanding the nodes at some paths, along with their ancestors
+   * The children of the nodes on the paths are loaded first if they aren't loaded yet, so the nodes may be
+   *  expanded later. The paths that don't exist in the tree are skipped.
+   * @param paths: string[][]: the ids of the nodes from the top of the tree down to each node to be expanded,
+   *               see `reveal`
+   * @param callback: fn(nodes)->void: optional function called once the nodes are expanded,
+   *                  with the expanded nodes of the paths that exist in the tree
+   * @returns `this`
+   */
+  chart.expandPaths = function (paths, callback) {
+    Promise.all(paths.map(path => openPath(root, path))).then(function (nodes) {
+      chart.update(root);
+      if (callback) {
+        callback(nodes.filter(node => node));
+      }
+    });
+    return chart;
+  };
+  /**
+   * Method for expanding all the nodes of the tree whose children are in the data
+   * The nodes whose children aren't loaded yet stay collapsed
+   * @returns `this`
+   */
+  chart.expandAll = function () {
+    expand(root);
+    chart.update(root);
+    return chart;
+  };
+  /**
+   * Method for moving the focus of the page to a node, so the tree can be browsed with the keyboard from it
+   * The view is moved to the node if it's out of it
+   * @param node: the node to be focused, which should be visible, or undefined for the last focused node
+   * @returns `this`
+   */
+  chart.focus = function (node) {
+    focusNode(node || focused || root);
+    return chart;
+  };
+  /**
+   * Method for highlighting a node, any previously highlighted node is no longer highlighted
+   * The node is scrolled into view after the transitions of the tree are over
+   * @param node: the node to be highlighted, or undefined for removing the highlighting
+   * @returns `this`
+   */
+  chart.highlight = function (node) {
+    let nodes = binding.o.selectAll('g.node').classed('highlighted', d => d === node);
+    if (node && zoom) {
+      chart.center(node);
+    } else if (node) {
+      setTimeout(function () {
+        let element = nodes.filter(d => d === node).node();
+        if (element) {
+          element.scrollIntoView({behavior: 'smooth', block: 'center', inline: 'center'});
+        }
+      }, duration);
+    }
+    return chart;
+  };
+  /**
+   * Method for moving the view so that a node is in the middle of the svg, keeping the current scale
+   * @param node: the node to be centered, which should be visible (all of its ancestors are expanded)
+   * @returns `this`
+   */
+  chart.center = function (node) {
+    let scale = currentTransform().k, view = viewport();
+    let transform = d3.zoomIdentity
+      .translate(view.width / 2 - scale * (node.y + margin.left), view.height / 2 - scale * (node.x + margin.top))
+      .scale(scale);
+    applyTransform(transform, duration);
+    return chart;
+  };
+  /**
+   * Method for scaling and moving the view so that all the visible nodes fit in the svg
+   * The scale doesn't go beyond the scale extent of the zoom
+   * @returns `this`
+   */
+  chart.fit = function () {
+    let nodes = root.descendants().filter(d => d.x !== undefined);
+    let minX = d3.min(nodes, d => d.x), maxX = d3.max(nodes, d => d.x);
+    let minY = d3.min(nodes, d => d.y), maxY = d3.max(nodes, d => d.y);
+    // leave room for the labels and the margins
+    let width = maxY - minY + margin.left + margin.right;
+    let height = maxX - minX + margin.top + margin.bottom;
+    let view = viewport();
+    let scale = Math.max(scaleExtent[0], Math.min(scaleExtent[1], view.width / width, view.height / height));
+    let transform = d3.zoomIdentity
+      .translate(view.width / 2 - scale * ((minY + maxY) / 2 + margin.left), view.height / 2 - scale * ((minX + maxX) / 2 + margin.top))
+      .scale(scale);
+    applyTransform(transform, duration);
+    return chart;
+  };
+  /**
+   * Method for zooming in or out around the middle of the svg
+   * @param factor: the factor to multiply the current scale by, where values above 1 zoom in
+   * @returns `this`
+   */
+  chart.zoomBy = function (factor) {
+    if (zoom) {
+      svg.transition().duration(duration / 2).call(zoom.scaleBy, factor);
+    }
+    return chart;
+  };
+  /**
+   * Method for setting the zoom and the panning of the view, as for restoring a view got from it before
+   * @param value: d3.zoomTransform: the transform of the view, applied right away
+   * @returns If the value is undefined, the current transform is returned.
+   *          Otherwise, `this` is returned
+   */
+  chart.zoomTransform = function (value) {
+    if (!arguments.length) {
+      return currentTransform();
+    }
+    if (svg) {
+      applyTransform(value, 0);
+    }
+    return chart;
+  };
+  /**
+   * Check whether the view was zoomed or moved from its initial state, as set by `resetZoom`
+   * @returns {boolean}
+   */
+  chart.isZoomed = function () {
+    return Boolean(svg) && String(currentTransform()) !== String(LAYOUTS[layout].origin(viewport()));
+  };
+  /**
+   * Method for resetting the zoom and the panning of the view to the initial state
+   * @returns `this`
+   */
+  chart.resetZoom = function () {
+    applyTransform(LAYOUTS[layout].origin(viewport()), duration);
+    return chart;
   };
   /**
    * Method for setting the width of the svg in which the tree resides
@@ -341,6 +1425,208 @@ function d3Tree() {
   chart.width = function (value) {
     return arguments.length ? (dimensions.width = value, chart) : dimensions.width;
   };
+  /**
+   * Method for setting the size of each node in the layout, as [breadth, depth] in pixels
+   * When set, the layout is based on node sizes: the tree grows as nodes expand instead of being fit into
+   *  the svg, and zooming/panning are used to navigate it. The depth is then used as the spacing between levels.
+   * If the tree has already a node size value, the value is overwritten
+   * @param value: the size of the nodes, or null for fitting the tree into the svg
+   * @returns If the value is undefined, the current node size is returned.
+   *          Otherwise, `this` is returned
+   */
+  chart.nodeSize = function (value) {
+    if (!arguments.length) {
+      return nodeSize;
+    }
+    nodeSize = value;
+    if (value) {
+      depthSpacing = value[1];
+    }
+    return chart;
+  };
+  /**
+   * Method for setting the layout of the tree, out of:
+   *  tree: the horizontal tree, from the left to the right (the default one)
+   *  radial: the tree growing from the centre outwards, with the levels on circles
+   *  outline: the indented list of the nodes, as the folders of a file explorer
+   *  sunburst: nested rings, where the nodes are drawn as arcs as wide as the number of their visible leaves
+   *  icicle: nested bars from the left to the right, where the nodes are drawn as bars as tall as the number
+   *    of their visible leaves
+   * All the layouts show the same nodes, expanded and collapsed the same way, with the same events.
+   * When the tree is already drawn, it's drawn again with the layout, and the zoom is reset
+   * @param value: string: the name of the layout
+   * @returns If the value is undefined, the current layout is returned.
+   *          Otherwise, `this` is returned
+   */
+  chart.layout = function (value) {
+    if (!arguments.length) {
+      return layout;
+    }
+    if (!LAYOUTS.hasOwnProperty(value)) {
+      throw 'Unknown layout: ' + value;
+    }
+    layout = value;
+    if (svg) {
+      // the nodes are drawn from scratch, as the layouts draw them with different shapes,
+      // and their classes (as the highlighting) and the focus are kept
+      let hadFocus = binding.o.node().contains(document.activeElement);
+      let classes = new Map();
+      binding.o.selectAll('g.node').each(function (d) {
+        classes.set(d, this.getAttribute('class'));
+      });
+      binding.o.selectAll('*').remove();
+      applyTransform(LAYOUTS[layout].origin(viewport()), 0);
+      chart.update(root);
+      binding.o.selectAll('g.node').filter(d => classes.has(d)).attr('class', d => classes.get(d));
+      if (hadFocus) {
+        focusNode(focused);
+      }
+    }
+    return chart;
+  };
+  /**
+   * Method for setting the accessible name of the tree, which is read by screen readers, 'Tree' by default
+   * @param value: string: the name of the tree
+   * @returns If the value is undefined, the current name is returned.
+   *          Otherwise, `this` is returned
+   */
+  chart.ariaLabel = function (value) {
+    if (!arguments.length) {
+      return ariaLabel;
+    }
+    ariaLabel = value;
+    if (svg) {
+      svg.attr('aria-label', ariaLabel);
+    }
+    return chart;
+  };
+  /**
+   * Method for setting the horizontal spacing between the levels of the tree, 180 by default
+   * If the tree has already a spacing value, the value is overwritten
+   * @param value: the spacing in pixels
+   * @returns If the value is undefined, the current spacing is returned.
+   *          Otherwise, `this` is returned
+   */
+  chart.depthSpacing = function (value) {
+    return arguments.length ? (depthSpacing = value, chart) : depthSpacing;
+  };
+  /**
+   * Method for enabling/disabling zooming and panning of the tree with the mouse, enabled by default
+   * @param value: boolean: whether zooming is enabled
+   * @returns If the value is undefined, the current state is returned.
+   *          Otherwise, `this` is returned
+   */
+  chart.zoomable = function (value) {
+    return arguments.length ? (zoomable = value, chart) : zoomable;
+  };
+  /**
+   * Method for setting the minimum and the maximum scales of the zoom, [0.1, 4] by default
+   * @param value: [min, max]: the scale extent
+   * @returns If the value is undefined, the current scale extent is returned.
+   *          Otherwise, `this` is returned
+   */
+  chart.scaleExtent = function (value) {
+    return arguments.length ? (scaleExtent = value, chart) : scaleExtent;
+  };
+  /**
+   * Method for setting the function for loading the children of the nodes, when they aren't in the data
+   * Nodes whose children are to be loaded should have a `childCount` attribute and no `children` in their data.
+   * The function is called with the data of the node when it's expanded, and should return the data of its children,
+   *  or a promise of them. A node is marked with `loading` class while its children are being loaded.
+   * @param value: fn(data)->Array|Promise<Array>: the loader function, or undefined if the data holds the whole tree
+   * @returns If the value is undefined, the current loader is returned.
+   *          Otherwise, `this` is returned
+   */
+  chart.childLoader = function (value) {
+    return arguments.length ? (childLoader = value, chart) : childLoader;
+  };
+  /**
+   * Method for setting the function giving the stroke colour of the node circles, which fills the node areas
+   *  in the layouts drawing the nodes as areas
+   * By default, the nodes with several parents are orange and the other ones are green
+   * The drawn nodes are coloured again right away, so setting the function again recolours the tree
+   * @param value: fn(node)->string: the function giving the colour of a node, or undefined for the default one
+   * @returns If the value is undefined, the current function is returned.
+   *          Otherwise, `this` is returned
+   */
+  chart.nodeStroke = function (value) {
+    if (!arguments.length) {
+      return nodeStroke;
+    }
+    nodeStroke = value || defaultNodeStroke;
+    if (binding.o) {
+      colourShapes(binding.o.selectAll('g.node'));
+    }
+    return chart;
+  };
+  /**
+   * Method for setting the function giving extra classes of the nodes, for styling some of them
+   * @param value: fn(node)->string: the function giving the space separated classes of a node, or undefined for none
+   * @returns If the value is undefined, the current function is returned.
+   *          Otherwise, `this` is returned
+   */
+  chart.nodeClass = function (value) {
+    return arguments.length ? (nodeClass = value, chart) : nodeClass;
+  };
+  /**
+   * Method for setting the function giving the text of the node labels, by default the name of the node
+   * The labels of the drawn nodes are updated right away, so setting the function again relabels the tree
+   * @param value: fn(node)->string: the function giving the label of a node, or undefined for the default one
+   * @returns If the value is undefined, the current function is returned.
+   *          Otherwise, `this` is returned
+   */
+  chart.nodeLabel = function (value) {
+    if (!arguments.length) {
+      return nodeLabel;
+    }
+    nodeLabel = value || defaultNodeLabel;
+    if (binding.o) {
+      binding.o.selectAll('g.node > text').text(nodeLabel);
+      binding.o.selectAll('g.node > title').text(multiParentTitle);
+      binding.o.selectAll('g.node').attr('aria-label', nodeLabel);
+    }
+    return chart;
+  };
+  /**
+   * Method for setting the function giving the non hierarchical relations of the nodes (as `related` terms),
+   *  which are drawn as dashed links between the visible nodes, over the tree
+   * The related nodes are matched by the `id` attribute of their data, and a node appearing under several
+   *  parents is linked at each of its places. Each link has the `cross-link` class along with `cross-link-<type>`.
+   * The relations of the drawn tree are drawn again right away, so setting the function again toggles them
+   * @param value: fn(node)->{id, type}[]: the function giving the ids of the nodes related to a node with the types
+   *               of the relations, or undefined for drawing no relations
+   * @returns If the value is undefined, the current function is returned.
+   *          Otherwise, `this` is returned
+   */
+  chart.crossLinks = function (value) {
+    if (!arguments.length) {
+      return crossLinks;
+    }
+    crossLinks = value;
+    if (binding.o) {
+      drawCrossLinks();
+    }
+    return chart;
+  };
+  /**
+   * Method for setting the function marking some of the nodes, as the terms found in a text, to make them stand out
+   * The marked nodes get the `marked` class along with `marked-<kind>`, for styling the kinds of marks differently
+   * The drawn nodes are marked again right away, so setting the function again updates the marks
+   * @param value: fn(node)->string: the function giving the kind of the mark of a node, or undefined for an unmarked
+   *               node; undefined for marking no nodes
+   * @returns If the value is undefined, the current function is returned.
+   *          Otherwise, `this` is returned
+   */
+  chart.nodeMark = function (value) {
+    if (!arguments.length) {
+      return nodeMark;
+    }
+    nodeMark = value;
+    if (binding.o) {
+      markNodes(binding.o.selectAll('g.node'));
+    }
+    return chart;
+  };
   /**
    * Method for setting the margin of the svg in which the tree resides
    * If the tree has already a margin value, the value is overwritten
@@ -381,6 +1667,7 @@ function d3Tree() {
    *        ...
    *      ]
    *    }
+   * Nodes that appear under several parents can have a `parents` attribute listing them, to be highlighted.
    * @param data: the tree data structure of the data
    * @param bindingFunction: a method that is called with each item of the data to get the id of the data.
    *           The id is used to match data with svg items.
@@ -406,6 +1693,13 @@ function d3Tree() {
    *  nodeDbClick: representing a double click event on a node
    *  nodeOver: represent a mouse over a node event
    *  nodeOut: represent a mouse out of a node event
+   *  nodeLoadError: represent a failure of loading the children of a node, called with the node and the error
+   *  nodeContextMenu: represent a right click on a node, called with the node and the mouse event,
+   *    the menu of the browser isn't shown when it's set. When the menu is opened with the keyboard
+   *    (Shift+F10 or the context menu key), it's called with the position under the node as {pageX, pageY}
+   *  nodeFocus: represent a node getting the focus, by clicking it or by moving to it with the keyboard
+   *  viewChange: represent a change of the view, as expanding/collapsing nodes, switching the layout or
+   *    zooming/panning, called with no node
    * In all events, the  function is called with the svg element representing the node.
    * The data of the node can be accessed through `data` attribute of the node
    *
@@ -426,6 +1720,14 @@ function d3Tree() {
         return arguments.length > 1 ? (events.nodeOver = callback, chart) : events.nodeOver;
       case "nodeOut":
         return arguments.length > 1 ? (events.nodeOut = callback, chart) : events.nodeOut;
+      case "nodeLoadError":
+        return arguments.length > 1 ? (events.nodeLoadError = callback, chart) : events.nodeLoadError;
+      case "nodeContextMenu":
+        return arguments.length > 1 ? (events.nodeContextMenu = callback, chart) : events.nodeContextMenu;
+      case "nodeFocus":
+        return arguments.length > 1 ? (events.nodeFocus = callback, chart) : events.nodeFocus;
+      case "viewChange":
+        return arguments.length > 1 ? (events.viewChange = callback, chart) : events.viewChange;
     }
     return chart;
   };
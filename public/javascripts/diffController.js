@@ -0,0 +1,241 @@
+/**
+ * This module displays the differences between two versions of an ontology, loaded as two datasets
+ * The versions are given by the `from` (old version) and `to` (new version) parameters of the page url,
+ *  or selected in the page, and the default dataset has the id `default`
+ * The terms of both versions are shown in a tree coloured by their status, along with the tables of the changes
+ */
+
+/**
+ * The colours of the statuses of the terms, each as [status, title, colour]
+ */
+const STATUSES = [
+  ['added', 'Added', '#28a745'],
+  ['removed', 'Removed', '#dc3545'],
+  ['moved', 'Moved', '#007bff'],
+  ['renamed', 'Renamed', '#6f42c1'],
+  ['changed', 'Changed', '#fd7e14'],
+  ['unchanged', 'Unchanged', '#adb5bd']
+];
+
+/**
+ * The sections of the differences, each with its title and table columns
+ * Each column is [header, fn(item)->text]
+ */
+const SECTIONS = [
+  {
+    key: 'added',
+    title: 'Added terms',
+    columns: [['Id', d => d.id], ['Name', d => d.name], ['Parents', d => d.parents.join(', ')]]
+  },
+  {
+    key: 'removed',
+    title: 'Removed terms',
+    columns: [['Id', d => d.id], ['Name', d => d.name], ['Parents', d => d.parents.join(', ')]]
+  },
+  {
+    key: 'moved',
+    title: 'Moved terms',
+    columns: [['Id', d => d.id], ['Name', d => d.name], ['Old parents', d => d.from.join(', ')],
+      ['New parents', d => d.to.join(', ')]]
+  },
+  {
+    key: 'renamed',
+    title: 'Renamed terms',
+    columns: [['Id', d => d.id], ['Old name', d => d.from], ['New name', d => d.to]]
+  },
+  {
+    key: 'changed',
+    title: 'Changed terms',
+    columns: [['Id', d => d.id], ['Name', d => d.name], ['Changes', d => Object.keys(d.fields).map(field =>
+      field + ': ' + d.fields[field].added.map(cur => '+' + cur).concat(d.fields[field].removed.map(cur => '-' + cur))
+        .join(', ')).join(' | ')]]
+  }
+];
+
+/**
+ * Get the colour of the status of a term in the tree
+ *
+ * @param d: the node of the term
+ * @returns {string}: the colour
+ */
+function statusColor(d) {
+  let status = d.data.data ? d.data.data.status : 'unchanged';
+  return STATUSES.find(cur => cur[0] === status)[2];
+}
+
+/**
+ * Method for listing the available datasets in the version selectors
+ */
+function listDatasets() {
+  d3.json('/datasets', function (datasets) {
+    ['#diff-from', '#diff-to'].forEach(selector => {
+      d3.select(selector).selectAll('option')
+        .data(datasets || []).enter().append('option')
+        .attr('value', d => d.id)
+        .text(d => d.name + ' (' + d.terms + ' terms)');
+    });
+    d3.select('#diff-from').property('value', from || 'default');
+    d3.select('#diff-to').property('value', to || 'default');
+    if (from && to) {
+      compareVersions();
+    }
+  });
+}
+
+/**
+ * Method for comparing the selected versions and displaying the differences
+ */
+function compareVersions() {
+  if (d3.event) {
+    d3.event.preventDefault();
+  }
+  from = d3.select('#diff-from').property('value');
+  to = d3.select('#diff-to').property('value');
+  let query = '?from=' + encodeURIComponent(from) + '&to=' + encodeURIComponent(to);
+  window.history.replaceState(null, '', 'diff.html' + query);
+  d3.json('/diff' + query, function (data) {
+    if (!data || !data.summary) {
+      return d3.select('#diff-summary').text(data && data.error ? data.error : 'The versions could not be compared');
+    }
+    diff = data;
+    showDiff(diff);
+    d3.json('/diff-tree' + query, function (tree) {
+      if (tree) {
+        drawTree(tree);
+      }
+    });
+  });
+}
+
+/**
+ * Method for displaying the summary and the tables of the differences
+ *
+ * @param data: the differences, as returned from the server
+ */
+function showDiff(data) {
+  let summary = d3.select('#diff-summary');
+  summary.selectAll('*').remove();
+  summary.append('table').attr('class', 'table table-sm diff-summary')
+    .append('tbody').selectAll('tr')
+    .data([['Terms in the old version', data.summary.termsBefore], ['Terms in the new version', data.summary.termsAfter]]
+      .concat(SECTIONS.map(section => [section.title, data.summary[section.key]])))
+    .enter().append('tr')
+    .each(function (d) {
+      d3.select(this).append('th').text(d[0]);
+      d3.select(this).append('td').text(d[1]);
+    });
+  let lists = d3.select('#diff-lists');
+  lists.selectAll('*').remove();
+  SECTIONS.forEach(section => {
+    let items = data[section.key];
+    lists.append('h4').text(section.title + ' (' + items.length + ')');
+    if (!items.length) {
+      return;
+    }
+    let table = lists.append('table').attr('class', 'table table-sm table-striped table-hover');
+    table.append('thead').append('tr').selectAll('th')
+      .data(section.columns).enter().append('th').text(column => column[0]);
+    table.append('tbody').selectAll('tr')
+      .data(items).enter().append('tr')
+      .on('click', item => revealTerm(item.id))
+      .each(function (item) {
+        d3.select(this).selectAll('td')
+          .data(section.columns).enter().append('td').text(column => column[1](item));
+      });
+  });
+}
+
+/**
+ * Method for drawing the tree of the terms of both versions, coloured by their statuses
+ *
+ * @param data: the tree, as returned from the server
+ */
+function drawTree(data) {
+  treeData = data;
+  d3.select('#svg-div').selectAll('*').remove();
+  d3tree = d3Tree()
+    .height(600)
+    .width(Math.max(600, window.innerWidth - 80))
+    .nodeSize([25, 180])
+    .data(data)
+    .nodeStroke(statusColor)
+    .nodeClass(d => d.data.data ? 'diff-' + d.data.data.status : '')
+    .on('nodeOver', showTermStatus);
+  d3.select('#svg-div').call(d3tree);
+}
+
+/**
+ * Method for displaying the status of a term, with its old name and parents if they changed
+ *
+ * @param d: the node of the term
+ */
+function showTermStatus(d) {
+  let info = d.data.data;
+  let detail = d3.select('#diff-detail');
+  detail.selectAll('*').remove();
+  if (!info) {
+    return;
+  }
+  detail.append('strong').text(info.name);
+  detail.append('span').text(' ' + (info.changes.join(', ') || 'unchanged'));
+  if (info.previousName !== undefined) {
+    detail.append('div').text('Old name: ' + info.previousName);
+  }
+  if (info.previousParents !== undefined) {
+    detail.append('div').text('Old parents: ' + (info.previousParents.join(', ') || 'none'));
+  }
+}
+
+/**
+ * Method for revealing a term in the tree, through the first place it appears in
+ *
+ * @param id: the id of the term
+ */
+function revealTerm(id) {
+  function find(node, path) {
+    if (node.id === id) {
+      return path;
+    }
+    for (let i = 0; i < (node.children || []).length; ++i) {
+      let found = find(node.children[i], path.concat([node.children[i].id]));
+      if (found) {
+        return found;
+      }
+    }
+    return undefined;
+  }
+
+  let path = treeData && find(treeData, []);
+  if (path) {
+    let node = d3tree.reveal(path);
+    if (node) {
+      showTermStatus(node);
+    }
+  }
+}
+
+/**
+ * Download the differences as json file named `diff.json`
+ */
+function downloadDiffJson() {
+  if (diff) {
+    saveAs(new Blob([JSON.stringify(diff)], {type: "text/plain;charset=utf-8"}), "diff.json");
+  }
+}
+
+
+//Starting point of the program
+
+let d3tree, diff, treeData;
+let params = new URLSearchParams(window.location.search);
+let from = params.get('from'), to = params.get('to');
+d3.select('#diff-legend').selectAll('span')
+  .data(STATUSES).enter().append('span')
+  .attr('class', 'diff-legend-item')
+  .each(function (d) {
+    d3.select(this).append('svg').attr('width', 14).attr('height', 14)
+      .append('circle').attr('cx', 7).attr('cy', 7).attr('r', 5).style('stroke', d[2]);
+    d3.select(this).append('span').text(d[1]);
+  });
+d3.select('#diff-form').on('submit', compareVersions);
+listDatasets();
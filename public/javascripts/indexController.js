@@ -8,45 +8,512 @@
 
 /**
  * Method for handling the mouseout event of a node in the tree
- * it removed the information of the previously selected term
+ * it removed the information of the previously selected term, unless there is a pinned term
  *
  * @param d: the node where the mouseout event occurred
  */
 
 function nodeOut(d) {
+  if (pinnedNode) {
+    return showDetails(pinnedNode);
+  }
   d3.select('#name').text('Definition');
+  d3.select('#detail-info').selectAll('*').remove();
+  d3.select('#definitions-div').selectAll('*').remove();
   d3.select('#topics-div').selectAll('*').remove();
   d3.select('#syn-div').selectAll('*').remove();
+  d3.select('#relations-div').datum(undefined).selectAll('*').remove();
 }
 
 /**
  * Method for handling the mouseover event of a node in the tree
- * it displays:
- *    1- the name of the term
- *    2- a list of its topics
- *    3- a list of its synonyms
+ * it displays the information of the term in the detail panel
  *
  * @param d: the node where the mouseover event occurred
  */
 function nodeOver(d) {
+  showDetails(d);
+}
+
+/**
+ * Method for handling the click event of a node in the tree
+ * it pins the term, so its information stays in the detail panel until another term is clicked or it's unpinned
+ *
+ * @param d: the node where the click event occurred
+ */
+function nodeClick(d) {
+  pinNode(d);
+}
+
+/**
+ * Method for handling the focus of a node in the tree, as when it's browsed with the keyboard
+ * it displays the information of the term in the detail panel, and announces the term with its first definition
+ *  to screen readers
+ *
+ * @param d: the node which got the focus
+ */
+function nodeFocus(d) {
+  if (!d.data.data) {
+    return;
+  }
+  showDetails(d);
+  let definitions = d.data.data.definition_details || [];
+  d3.select('#detail-announcer')
+    .text(termName(d.data) + ': ' + (definitions.length ? definitions[0].text : 'no definition'));
+}
+
+/**
+ * Method for pinning a term in the detail panel
+ *
+ * @param d: the node of the term to be pinned
+ */
+function pinNode(d) {
+  pinnedNode = d;
+  d3.selectAll('#svg-div g.node').classed('pinned', cur => cur === d);
+  d3.select('#detail-actions').style('display', null);
+  showDetails(d);
+  updateLink();
+}
+
+/**
+ * Method for unpinning the pinned term, and clearing the detail panel
+ */
+function unpinNode() {
+  pinnedNode = undefined;
+  d3.selectAll('#svg-div g.node').classed('pinned', false);
+  d3.select('#detail-actions').style('display', 'none');
+  nodeOut();
+  updateLink();
+}
+
+/**
+ * Method for displaying the information of a term in the detail panel
+ * it displays:
+ *    1- the name of the term
+ *    2- the path of its ancestors, where each ancestor can be clicked to be pinned
+ *    3- its uri, depth and number of children
+ *    4- its definitions with their sources
+ *    5- a list of its topics
+ *    6- a list of its synonyms
+ *
+ * @param d: the node of the term
+ */
+function showDetails(d) {
   let info = d.data.data;
-  if (info) {
-    d3.select('#name').text(info.Term);
-    let topicsDiv = d3.select('#topics-div');
-    topicsDiv.selectAll('*').remove();
-    info.topics.forEach(cur=>{
-      topicsDiv.append('li')
-        .text(cur)
+  if (!info) {
+    return;
+  }
+  d3.select('#name').text(termName(d.data));
+  if (language && !findLabel(info.labels, language)) {
+    d3.select('#name').append('small')
+      .attr('class', 'untranslated')
+      .text(' (no label in ' + language + ')');
+  }
+  let infoDiv = d3.select('#detail-info');
+  infoDiv.selectAll('*').remove();
+  let breadcrumb = infoDiv.append('ol').attr('class', 'breadcrumb');
+  d.ancestors().reverse().slice(0, -1).forEach(ancestor => {
+    breadcrumb.append('li')
+      .attr('class', 'breadcrumb-item')
+      .append('a')
+      .attr('href', '#')
+      .text(termName(ancestor.data))
+      .on('click', function () {
+        d3.event.preventDefault();
+        if (ancestor.data.data) {
+          pinNode(ancestor);
+          d3tree.highlight(ancestor);
+        }
+      });
+  });
+  if (info.uri) {
+    infoDiv.append('a')
+      .attr('class', 'detail-uri')
+      .attr('href', info.uri)
+      .attr('target', '_blank')
+      .text(info.uri);
+  }
+  infoDiv.append('p')
+    .attr('class', 'detail-position')
+    .text('Depth: ' + d.depth + ' | Children: ' + ((d.children || d._children || []).length || d.data.childCount || 0));
+
+  let definitionsDiv = d3.select('#definitions-div');
+  definitionsDiv.selectAll('*').remove();
+  (info.definition_details || []).forEach(cur => {
+    let item = definitionsDiv.append('li')
+      .attr('class', 'list-group-item');
+    item.append('span').text(cur.text);
+    if (cur.source) {
+      item.append('small')
+        .attr('class', 'definition-source')
+        .text('Source: ' + cur.source);
+    }
+  });
+  let topicsDiv = d3.select('#topics-div');
+  topicsDiv.selectAll('*').remove();
+  info.topics.forEach(cur=>{
+    let item = topicsDiv.append('li')
+      .attr('class', 'list-group-item');
+    if (colourByTopic) {
+      item.append('span')
+        .attr('class', 'topic-swatch')
+        .style('background-color', topicColors(cur));
+    }
+    item.append('span').text(cur);
+  });
+  let synonymsDiv = d3.select('#syn-div');
+  synonymsDiv.selectAll('*').remove();
+  termSynonyms(info).forEach(cur=>{
+    synonymsDiv.append('li')
+      .text(cur)
+      .attr('class', 'list-group-item');
+  });
+  showRelations(d);
+}
+
+/**
+ * Method for listing the non hierarchical relations of a term in the detail panel, as its related terms and
+ *  the concepts of other vocabularies it's mapped to
+ * The related terms can be clicked to be revealed in the tree, and the other concepts link to their uris
+ *
+ * @param d: the node of the term
+ */
+function showRelations(d) {
+  let relationsDiv = d3.select('#relations-div').datum(d.data.id);
+  relationsDiv.selectAll('*').remove();
+  if (!(d.data.data.relations || []).length) {
+    return;
+  }
+  loadRelations(d.data.id).then(function (relations) {
+    //another term may be shown by the time the relations are loaded
+    if (relationsDiv.datum() !== d.data.id) {
+      return;
+    }
+    relationsDiv.selectAll('*').remove();
+    relations.forEach(relation => {
+      let item = relationsDiv.append('li')
         .attr('class', 'list-group-item');
+      item.append('small')
+        .attr('class', 'relation-type')
+        .text(relation.type + ' ');
+      if (relation.path) {
+        item.append('a')
+          .attr('href', '#')
+          .text(relation.name)
+          .on('click', function () {
+            d3.event.preventDefault();
+            revealTerm(relation.path);
+          });
+      } else {
+        item.append('a')
+          .attr('href', relation.uri)
+          .attr('target', '_blank')
+          .text(relation.uri);
+      }
     });
-    let synonymsDiv = d3.select('#syn-div');
-    synonymsDiv.selectAll('*').remove();
-    info.alternative_names.forEach(cur=>{
-      synonymsDiv.append('li')
-        .text(cur)
-        .attr('class', 'list-group-item');
+  }, function () {
+    relationsDiv.append('li')
+      .attr('class', 'list-group-item')
+      .text('The relations could not be loaded');
+  });
+}
+
+/**
+ * Method for loading the non hierarchical relations of a term from the server, named in the selected language
+ * The relations of each term are requested once for each language
+ *
+ * @param id: the id of the term
+ * @returns {Promise<Array>}: the relations, see `/get-relations`
+ */
+function loadRelations(id) {
+  let key = id + '\n' + language;
+  if (!relationsCache.hasOwnProperty(key)) {
+    relationsCache[key] = new Promise(function (resolve, reject) {
+      let url = '/get-relations?id=' + encodeURIComponent(id) + (language ? '&lang=' + encodeURIComponent(language) : '');
+      d3.json(datasetRoute(url), function (relations) {
+        if (relations) {
+          resolve(relations);
+        } else {
+          delete relationsCache[key];
+          reject(id);
+        }
+      });
     });
   }
+  return relationsCache[key];
+}
+
+/**
+ * Get the terms related to a term that are drawn as links in the tree, by the selected type of relations
+ *
+ * @param d: the node of the term
+ * @returns {{id: string, type: string}[]}: the related terms of the ontology, with the types of the relations
+ */
+function relatedTerms(d) {
+  let relations = d.data.data && d.data.data.relations || [];
+  return relations.filter(relation => relation.id !== undefined &&
+    (relationType === 'all' || relation.type === relationType));
+}
+
+/**
+ * Method for drawing the relations of a type between the terms in the tree, as dashed links
+ *
+ * @param type: the type of the relations, `all` for all of them, or an empty string for none
+ */
+function drawRelations(type) {
+  relationType = type;
+  d3.select('#relation-select').property('value', type);
+  if (d3tree) {
+    d3tree.crossLinks(relationType ? relatedTerms : undefined);
+  }
+  updateLink();
+}
+
+/**
+ * Find the label of a term in a language, or in another variant of it (as `fr` for `fr-CA`)
+ *
+ * @param labels: the labels of the term, as {text, lang}
+ * @param lang: the language
+ * @returns {{text: string, lang: string}|undefined}: the label, or undefined if there is no label in the language
+ */
+function findLabel(labels, lang) {
+  let base = lang.toLowerCase().split('-')[0];
+  let translated = (labels || []).filter(label => label.lang);
+  return translated.find(label => label.lang.toLowerCase() === lang.toLowerCase()) ||
+    translated.find(label => label.lang.toLowerCase().split('-')[0] === base);
+}
+
+/**
+ * Get the name of a term in the selected language, falling back to its default name when it has no label in it
+ * The root of the tree, which is named after the scheme of the ontology, has the labels of the scheme
+ *
+ * @param node: the data of the node of the term in the tree
+ * @returns {string}: the name
+ */
+function termName(node) {
+  let labels = node.data ? node.data.labels : node.labels;
+  let label = language ? findLabel(labels, language) : undefined;
+  return label ? label.text : node.name;
+}
+
+/**
+ * Method for labelling the nodes of the tree with the names of their terms in the selected language
+ *
+ * @param d: the node of the tree
+ * @returns {string}: the label of the node
+ */
+function nodeName(d) {
+  return termName(d.data);
+}
+
+/**
+ * Get the synonyms of a term in the selected language, along with the ones with no language
+ * All of them are given if no language is selected, or if the term has none in the selected language
+ *
+ * @param info: the data of the term
+ * @returns {string[]}: the synonyms
+ */
+function termSynonyms(info) {
+  if (!language || !info.alternative_labels) {
+    return info.alternative_names;
+  }
+  let translated = info.alternative_labels.filter(label => label.lang && findLabel([label], language));
+  if (!translated.length) {
+    return info.alternative_names;
+  }
+  return translated.concat(info.alternative_labels.filter(label => !label.lang)).map(label => label.text);
+}
+
+/**
+ * Method for listing the languages of the labels of the displayed dataset in the language selector
+ * The selected language is kept if the dataset has labels in it
+ */
+function listLanguages() {
+  d3.json(datasetRoute('/get-languages'), function (languages) {
+    languages = [{lang: '', terms: 0}].concat(languages || []);
+    let options = d3.select('#language-select').selectAll('option').data(languages, d => d.lang);
+    options.exit().remove();
+    options.enter().append('option')
+      .merge(options)
+      .attr('value', d => d.lang)
+      .text(d => d.lang ? d.lang + ' (' + d.terms + ' terms)' : 'Default names');
+    if (!languages.some(d => d.lang === language)) {
+      selectLanguage('');
+    }
+    d3.select('#language-select').property('value', language);
+  });
+}
+
+/**
+ * Method for showing the names of the terms in a language, in the tree, the detail panel and the search results
+ *
+ * @param lang: the language, or an empty string for the default names
+ */
+function selectLanguage(lang) {
+  language = lang;
+  if (d3tree) {
+    d3tree.nodeLabel(nodeName);
+  }
+  if (pinnedNode) {
+    showDetails(pinnedNode);
+  }
+  searchTerms();
+  updateLink();
+}
+
+/**
+ * Method for listing the topics of the terms of the displayed dataset in the Topics box
+ * Each topic has a checkbox for filtering the tree by it, and its colour when the terms are coloured by their topics
+ * The selected topics are kept if the dataset has terms with them
+ */
+function listTopics() {
+  d3.json(datasetRoute('/get-topics'), function (list) {
+    topics = list || [];
+    topicColors.domain(topics.map(d => d.topic));
+    let items = d3.select('#topic-list').selectAll('li').data(topics, d => d.topic);
+    items.exit().remove();
+    let itemsEnter = items.enter().append('li')
+      .attr('class', 'list-group-item topic-item');
+    let labelEnter = itemsEnter.append('label');
+    labelEnter.append('input')
+      .attr('type', 'checkbox')
+      .on('change', function () {
+        let selected = [];
+        d3.selectAll('#topic-list input').each(function (d) {
+          if (this.checked) {
+            selected.push(d.topic);
+          }
+        });
+        filterTopics(selected, undefined);
+      });
+    labelEnter.append('span').attr('class', 'topic-swatch');
+    labelEnter.append('span').attr('class', 'topic-name');
+    labelEnter.append('small').attr('class', 'topic-count');
+    let itemsUpdate = itemsEnter.merge(items).order();
+    itemsUpdate.select('.topic-swatch').style('background-color', d => topicColors(d.topic));
+    itemsUpdate.select('.topic-name').text(d => d.topic);
+    itemsUpdate.select('.topic-count').text(d => ' (' + d.terms + ')');
+    let kept = topicFilter.filter(topic => topics.some(d => d.topic === topic));
+    if (kept.length !== topicFilter.length) {
+      filterTopics(kept, undefined);
+    }
+    itemsUpdate.select('input').property('checked', d => topicFilter.indexOf(d.topic) !== -1);
+    d3.select('#topic-empty').style('display', topics.length ? 'none' : null);
+  });
+}
+
+/**
+ * Get the topic a term is coloured by: its first topic out of the selected ones if the tree is filtered,
+ *  or its first topic otherwise
+ *
+ * @param info: the data of the term
+ * @returns {string|undefined}: the topic, or undefined if the term has no topics
+ */
+function termTopic(info) {
+  let termTopics = info && info.topics || [];
+  return termTopics.find(topic => topicFilter.indexOf(topic) !== -1) || termTopics[0];
+}
+
+/**
+ * Method for colouring the nodes of the tree by the topics of their terms
+ *
+ * @param d: the node of the tree
+ * @returns {string}: the stroke colour of the node
+ */
+function topicColor(d) {
+  let topic = termTopic(d.data.data);
+  return topic ? topicColors(topic) : NO_TOPIC_COLOR;
+}
+
+/**
+ * Method for turning the colouring of the terms by their topics on or off, the colours are shown in the Topics box
+ *
+ * @param enabled: whether the terms are coloured by their topics
+ */
+function colourTopics(enabled) {
+  colourByTopic = enabled;
+  d3.select('#topic-list').classed('coloured', enabled);
+  if (d3tree) {
+    d3tree.nodeStroke(enabled ? topicColor : undefined);
+  }
+  if (pinnedNode) {
+    showDetails(pinnedNode);
+  }
+  updateLink();
+}
+
+/**
+ * Method for showing only the terms of some topics in the tree, under their ancestors, which are faded
+ * The whole tree is shown again when no topic is selected
+ *
+ * @param selected: the selected topics
+ * @param path: the path of the term to be revealed and pinned once the tree is drawn, if any
+ */
+function filterTopics(selected, path) {
+  topicFilter = selected;
+  d3.selectAll('#topic-list input').property('checked', d => topicFilter.indexOf(d.topic) !== -1);
+  d3.select('#topic-clear').style('display', topicFilter.length ? null : 'none');
+  drawDatasetTree(path);
+}
+
+/**
+ * Copy the information of the pinned term to the clipboard as plain text, and tell whether it was copied
+ * The clipboard api is only available on secure origins (https or localhost), so the text is copied
+ *  through a hidden text area on the other ones
+ */
+function copyDetails() {
+  if (!pinnedNode) {
+    return;
+  }
+  let info = pinnedNode.data.data;
+  let lines = [termName(pinnedNode.data), info.uri];
+  (info.definition_details || []).forEach(cur => {
+    lines.push(cur.text + (cur.source ? ' (Source: ' + cur.source + ')' : ''));
+  });
+  if (info.topics.length) {
+    lines.push('Topics: ' + info.topics.join(', '));
+  }
+  let synonyms = termSynonyms(info);
+  if (synonyms.length) {
+    lines.push('Synonyms: ' + synonyms.join(', '));
+  }
+  let text = lines.filter(cur => cur).join('\n');
+  let copied = navigator.clipboard ? navigator.clipboard.writeText(text) : new Promise(function (resolve, reject) {
+    let area = d3.select('body').append('textarea')
+      .attr('class', 'copy-area')
+      .property('value', text);
+    area.node().select();
+    let done = false;
+    try {
+      done = document.execCommand('copy');
+    } catch (e) {
+      done = false;
+    }
+    area.remove();
+    if (done) {
+      resolve();
+    } else {
+      reject();
+    }
+  });
+  copied.then(function () {
+    showCopyStatus('copied');
+  }).catch(function () {
+    showCopyStatus('copy failed');
+  });
+}
+
+/**
+ * Method for showing the result of copying the pinned term for a moment next to the copy button
+ *
+ * @param message: the result to be shown
+ */
+function showCopyStatus(message) {
+  clearTimeout(copyTimer);
+  d3.select('#copy-status').text(message);
+  copyTimer = setTimeout(function () {
+    d3.select('#copy-status').text('');
+  }, 2000);
 }
 
 /**
@@ -56,38 +523,860 @@ function nodeOver(d) {
  * @param data: the data to be displayed in d3tree
  */
 function drawTree(data) {
-  let d3tree = d3Tree()
-    .height(2000)
-    .width(1100)
+  let container = d3.select('#svg-div').node().getBoundingClientRect();
+  d3tree = d3Tree()
+    .height(Math.max(500, window.innerHeight - container.top - 50))
+    .width(Math.max(600, window.innerWidth - container.left - 80))
+    .nodeSize([25, 180])
+    .layout(treeLayout)
     .data(data)
+    .nodeLabel(nodeName)
+    .nodeStroke(colourByTopic ? topicColor : undefined)
+    .nodeClass(d => d.data.matched === false ? 'topic-context' : '')
+    .ariaLabel('Ontology tree')
+    .crossLinks(relationType ? relatedTerms : undefined)
+    .nodeMark(annotationMark)
     .on('nodeOver', nodeOver)
-    .on('nodeOut', nodeOut);
+    .on('nodeOut', nodeOut)
+    .on('nodeClick', nodeClick)
+    .on('nodeFocus', nodeFocus)
+    .on('nodeContextMenu', nodeContextMenu)
+    .on('viewChange', updateLink)
+    .childLoader(loadChildren)
+    .on('nodeLoadError', function (d) {
+      console.error('Failed to load the children of ' + d.data.name);
+    });
   d3.select('#svg-div').call(d3tree);
 }
 
+/**
+ * Method for loading the children of a term from the server, when it's expanded in the tree
+ * The children of each term are requested once, and reused for the other appearances of the term
+ *
+ * @param data: the data of the node of the term
+ * @returns {Promise<Array>}: the data of the children nodes
+ */
+function loadChildren(data) {
+  if (!childrenCache.hasOwnProperty(data.id)) {
+    childrenCache[data.id] = new Promise(function (resolve, reject) {
+      d3.json(datasetRoute('/get-children?id=' + encodeURIComponent(data.id)), function (children) {
+        if (children) {
+          resolve(children);
+        } else {
+          //a later expansion can retry
+          delete childrenCache[data.id];
+          reject(data.id);
+        }
+      });
+    });
+  }
+  return childrenCache[data.id];
+}
 
-//Starting point of the program
 
-let tree = {};
-let processedTree = {};
-d3.json('/get-tree', function (ontology) {
-  d3.json('/get-distance-matrix', function (distanceMatrix) {
-    //The downloadable ontology will consists of the tree, along with the nodes list
-    processedTree = {
-      tree: ontology.ontologyTree,
-      terms: distanceMatrix.nodes,
-      distanceMatrix: distanceMatrix.distanceMatrix
-    };
+/**
+ * Get the path of ids from the top of the tree down to a node, as used by the `reveal` method of d3Tree
+ *
+ * @param d: the node of the tree
+ * @returns {string[]}: the ids of the terms on the path, ending with the term of the node
+ */
+function termPath(d) {
+  return d.ancestors().reverse().slice(1).map(cur => cur.data.id);
+}
+
+/**
+ * Method for handling the right click on a node in the tree
+ * It shows the menu for editing the term: adding a child to it, renaming, moving or removing it
+ * The root of the tree only has the item for adding a top level term
+ *
+ * @param d: the node where the right click occurred
+ * @param event: the mouse event, or the position of the node when the menu is opened with the keyboard, for placing the menu
+ */
+function nodeContextMenu(d, event) {
+  let id = d.data.id;
+  let parentId = d.parent ? d.parent.data.id : undefined;
+  let items = [{
+    text: id === undefined ? 'Add a top level term…' : 'Add a child term…',
+    action: function () {
+      let name = window.prompt('The name of the new term');
+      if (name) {
+        editTerms('/add-concept', {name, parent: id}, undefined);
+      }
+    }
+  }];
+  if (id !== undefined) {
+    items.push({
+      text: 'Rename…',
+      action: function () {
+        let name = window.prompt('The new name of ' + d.data.name, d.data.name);
+        if (name && name !== d.data.name) {
+          editTerms('/rename-concept', {id, name}, undefined);
+        }
+      }
+    }, {
+      text: 'Move…',
+      action: function () {
+        movingNode = d;
+        showEditMessage('Right click the new parent of ' + d.data.name + ' to move it there', true);
+      }
+    });
+    if (parentId !== undefined) {
+      items.push({
+        text: 'Move to the top level',
+        action: function () {
+          editTerms('/move-concept', {id, from: parentId}, undefined);
+        }
+      });
+    }
+    items.push({
+      text: 'Delete',
+      action: function () {
+        if (window.confirm('Delete ' + d.data.name + '? Its children will be moved to its parents.')) {
+          editTerms('/remove-concept', {id}, d.parent ? termPath(d.parent) : undefined);
+        }
+      }
+    });
+  }
+  if (movingNode && movingNode.data.id !== id) {
+    let moving = movingNode;
+    items.unshift({
+      text: 'Move ' + moving.data.name + ' here',
+      action: function () {
+        movingNode = undefined;
+        editTerms('/move-concept', {id: moving.data.id, from: moving.parent.data.id, to: id}, undefined);
+      }
+    });
+  }
+  let menu = d3.select('#node-menu');
+  menu.selectAll('*').remove();
+  items.forEach(item => {
+    menu.append('button')
+      .attr('type', 'button')
+      .attr('class', 'dropdown-item')
+      .text(item.text)
+      .on('click', function () {
+        hideNodeMenu();
+        item.action();
+      });
+  });
+  menu.style('left', event.pageX + 'px')
+    .style('top', event.pageY + 'px')
+    .style('display', 'block');
+  //the menu opened with the keyboard gets the focus, so its items can be reached with the tab key
+  if (!(event instanceof MouseEvent)) {
+    menu.select('button').node().focus();
+  }
+}
+
+/**
+ * Method for hiding the editing menu of the terms
+ */
+function hideNodeMenu() {
+  d3.select('#node-menu').style('display', 'none');
+}
+
+/**
+ * Method for sending a change of the terms to the server
+ * Once the change is made, the tree is drawn again and the changed term is revealed
+ *
+ * @param route: the route of the change
+ * @param body: the parameters of the change
+ * @param path: the path of the term to be revealed after the change, the changed term by default
+ */
+function editTerms(route, body, path) {
+  d3.request(datasetRoute(route))
+    .header('Content-Type', 'application/json')
+    .post(JSON.stringify(body), function (error, xhr) {
+      let response;
+      try {
+        response = JSON.parse((error ? error.target : xhr).responseText);
+      } catch (e) {
+        response = {error: 'The change failed'};
+      }
+      if (error) {
+        return showEditMessage(response.error);
+      }
+      let description = (route === '/undo' ? 'Undone: ' : '') + response.change.description;
+      showEditMessage(description + (response.change.saved ? '' : ' (kept until the server restarts)'), true);
+      listHistory();
+      listTopics();
+      listDatasets(d3.select('#dataset-select').property('value'));
+      drawDatasetTree(path || response.path);
+    });
+}
+
+/**
+ * Method for undoing the latest change of the terms
+ */
+function undoEdit() {
+  editTerms('/undo', {}, undefined);
+}
+
+/**
+ * Method for displaying the result of a change of the terms, or its error
+ *
+ * @param message: the message to be displayed
+ * @param success: whether the change succeeded
+ */
+function showEditMessage(message, success) {
+  let list = d3.select('#edit-messages');
+  list.selectAll('*').remove();
+  if (message) {
+    list.append('li')
+      .attr('class', 'list-group-item ' + (success ? 'list-group-item-success' : 'list-group-item-danger'))
+      .text(message);
+  }
+}
+
+/**
+ * Method for listing the latest changes of the terms of the displayed dataset, which can be undone
+ */
+function listHistory() {
+  d3.json(datasetRoute('/get-history'), function (history) {
+    let list = d3.select('#edit-history');
+    list.selectAll('*').remove();
+    (history || []).slice(0, 5).forEach(change => {
+      list.append('li')
+        .attr('class', 'list-group-item')
+        .text(change.description);
+    });
+    d3.select('#undo-button').property('disabled', !(history && history.length));
+  });
+}
+
+/**
+ * Method for searching the terms matching the text of the search box, and listing them as suggestions
+ * The search request is sent once the user stops typing for a moment
+ */
+function searchTerms() {
+  clearTimeout(searchTimer);
+  let query = d3.select('#search-input').property('value');
+  if (query.trim() === '') {
+    return showSearchResults([]);
+  }
+  let url = datasetRoute('/search?q=') + encodeURIComponent(query) + '&lang=' + encodeURIComponent(language);
+  searchTimer = setTimeout(function () {
+    d3.json(url, function (results) {
+      //ignore the results of outdated queries
+      if (results && query === d3.select('#search-input').property('value')) {
+        showSearchResults(results);
+      }
+    });
+  }, 250);
+}
+
+/**
+ * Method for listing the search results under the search box
+ * Each result shows the name of the term, and the text where the query was found if it's not the name
+ *
+ * @param results: the search results, as returned from the server
+ */
+function showSearchResults(results) {
+  searchResults = results;
+  activeResult = -1;
+  let list = d3.select('#search-results');
+  list.selectAll('*').remove();
+  results.forEach(function (result) {
+    let item = list.append('li')
+      .attr('class', 'list-group-item list-group-item-action')
+      .on('mousedown', function () {
+        selectSearchResult(result);
+      });
+    item.append('span').text(result.name);
+    if (result.field !== 'name' && result.text !== result.name) {
+      item.append('span')
+        .attr('class', 'search-match')
+        .text(result.text.length > 60 ? result.text.slice(0, 60) + '…' : result.text);
+    }
+  });
+}
+
+/**
+ * Method for handling the keys of the search box
+ * Up and down arrows move between the results, Enter selects the current (or first) result, and Escape clears them
+ */
+function searchKeyDown() {
+  let key = d3.event.key;
+  if (key === 'ArrowDown' || key === 'ArrowUp') {
+    d3.event.preventDefault();
+    if (searchResults.length) {
+      let step = key === 'ArrowDown' ? 1 : -1;
+      if (activeResult === -1 && step === -1) {
+        activeResult = searchResults.length - 1;
+      } else {
+        activeResult = (activeResult + step + searchResults.length) % searchResults.length;
+      }
+      d3.select('#search-results').selectAll('li').classed('active', (d, idx) => idx === activeResult);
+    }
+  } else if (key === 'Enter') {
+    if (searchResults.length) {
+      selectSearchResult(searchResults[Math.max(activeResult, 0)]);
+    }
+  } else if (key === 'Escape') {
+    showSearchResults([]);
+  }
+}
+
+/**
+ * Method for selecting a search result
+ * It reveals the term in the tree by expanding its ancestors, highlights it and displays its information
+ *
+ * @param result: the selected search result
+ */
+function selectSearchResult(result) {
+  d3.select('#search-input').property('value', result.name);
+  showSearchResults([]);
+  revealTerm(result.path);
+}
+
+/**
+ * Method for revealing a term in the tree by expanding its ancestors, highlighting and pinning it
+ *
+ * @param path: the path of the term, see `termPath`
+ */
+function revealTerm(path) {
+  d3tree.reveal(path, function (node) {
+    if (node) {
+      pinNode(node);
+    } else if (topicFilter.length) {
+      //the term isn't shown by the topic filter, so the whole tree is shown instead
+      filterTopics([], path);
+    }
+  });
+}
+
+/**
+ * Method for finding the terms in the text of the annotation box
+ * The found terms are highlighted in the text and marked in the tree, which is expanded to show them
+ */
+function annotateText() {
+  let text = d3.select('#annotate-input').property('value');
+  if (text.trim() === '') {
+    return clearAnnotation();
+  }
+  let body = {text, ancestors: d3.select('#annotate-ancestors').property('checked'), lang: language};
+  d3.request(datasetRoute('/annotate'))
+    .header('Content-Type', 'application/json')
+    .post(JSON.stringify(body), function (error, xhr) {
+      let response;
+      try {
+        response = JSON.parse((error ? error.target : xhr).responseText);
+      } catch (e) {
+        response = {error: 'The text could not be annotated'};
+      }
+      if (error) {
+        return d3.select('#annotate-summary').text(response.error || 'The text could not be annotated');
+      }
+      showAnnotation(text, response);
+    });
+}
+
+/**
+ * Method for displaying the terms found in a text
+ * The text is shown with the matches highlighted, where clicking a match reveals its term in the tree,
+ *  and the found terms are marked in the tree, along with their ancestors when they are listed
+ *
+ * @param text: the annotated text
+ * @param annotation: the matches and the found terms, as returned from the server
+ */
+function showAnnotation(text, annotation) {
+  let concepts = {};
+  annotatedTerms = {};
+  annotation.concepts.forEach(concept => {
+    concepts[concept.id] = concept;
+    annotatedTerms[concept.id] = concept.ancestor ? 'ancestor' : 'match';
+  });
+  let matched = annotation.concepts.filter(concept => !concept.ancestor).length;
+  d3.select('#annotate-summary').text(matched ? 'Found ' + matched + ' terms in ' + annotation.matches.length +
+    ' places' : 'No terms were found in the text');
+  d3.select('#annotate-clear').style('display', null);
+
+  let textDiv = d3.select('#annotate-text');
+  textDiv.selectAll('*').remove();
+  let offset = 0;
+  annotation.matches.forEach(match => {
+    textDiv.append('span').text(text.slice(offset, match.start));
+    let terms = match.concepts.map(cur => concepts[cur.id]);
+    textDiv.append('mark')
+      .attr('title', terms.map(term => term.name).join(', '))
+      .text(match.text)
+      .on('click', function () {
+        revealTerm(terms[0].path);
+      });
+    offset = match.end;
+  });
+  textDiv.append('span').text(text.slice(offset));
+
+  if (d3tree) {
+    d3tree.nodeMark(annotationMark);
+    //the parents of the found terms are expanded, so the terms are shown without their children
+    let paths = annotation.concepts.filter(concept => !concept.ancestor)
+      .map(concept => concept.path.slice(0, -1)).filter(path => path.length);
+    d3tree.expandPaths(paths);
+  }
+}
+
+/**
+ * Method for clearing the annotated text and the marks of its terms in the tree
+ */
+function clearAnnotation() {
+  annotatedTerms = {};
+  d3.select('#annotate-summary').text('');
+  d3.select('#annotate-text').selectAll('*').remove();
+  d3.select('#annotate-clear').style('display', 'none');
+  if (d3tree) {
+    d3tree.nodeMark(annotationMark);
+  }
+}
+
+/**
+ * Get the mark of a node of the tree, telling whether its term was found in the annotated text
+ *
+ * @param d: the node of the term
+ * @returns {string|undefined}: `match` for a found term, `ancestor` for a broader term of a found term,
+ *          or undefined for the other terms
+ */
+function annotationMark(d) {
+  return annotatedTerms.hasOwnProperty(d.data.id) ? annotatedTerms[d.data.id] : undefined;
+}
+
+/**
+ * Get the url of a route of the displayed dataset
+ *
+ * @param route: the route, as served for the default dataset
+ * @returns {string}: the url of the route for the displayed dataset
+ */
+function datasetRoute(route) {
+  return datasetUrl + route;
+}
+
+/**
+ * Method for loading a dataset and drawing its tree, replacing the displayed one
+ *
+ * @param id: the id of the dataset, or an empty string for the default dataset
+ * @param selectedTopics: the topics the tree is filtered by, if any
+ */
+function loadDataset(id, selectedTopics) {
+  datasetId = id;
+  datasetUrl = id ? '/datasets/' + encodeURIComponent(id) : '';
+  d3.select('#report-link').attr('href', 'report.html' + (id ? '?dataset=' + encodeURIComponent(id) : ''));
+  d3.select('#diff-link').attr('href', 'diff.html' + (id ? '?from=default&to=' + encodeURIComponent(id) : ''));
+  d3.select('#search-input').property('value', '');
+  showSearchResults([]);
+  clearAnnotation();
+  movingNode = undefined;
+  showEditMessage();
+  listHistory();
+  listLanguages();
+  topicFilter = selectedTopics || [];
+  d3.select('#topic-clear').style('display', topicFilter.length ? null : 'none');
+  listTopics();
+  drawDatasetTree(undefined);
+}
+
+/**
+ * Method for drawing the tree of the displayed dataset, replacing the drawn one
+ *
+ * @param path: the path of the term to be revealed and pinned once the tree is drawn, if any
+ */
+function drawDatasetTree(path) {
+  unpinNode();
+  d3.select('#svg-div').selectAll('*').remove();
+  childrenCache = {};
+  relationsCache = {};
+  d3.select('#topic-summary').text('');
+  //only the top level terms are loaded, the other ones are loaded when their parents are expanded,
+  // unless the tree is filtered by topics, where the whole filtered tree is loaded and expanded
+  let url = topicFilter.length ? '/get-topic-tree?' + topicFilter.map(topic => 'topic=' + encodeURIComponent(topic)).join('&') :
+    '/get-tree?depth=1';
+  d3.json(datasetRoute(url), function (ontology) {
+    if (!ontology || !ontology.ontologyTree) {
+      linkState = undefined;
+      return showUploadMessages('The tree of the dataset could not be loaded', []);
+    }
     //visualizing the tree
     drawTree(ontology.ontologyTree);
+    if (topicFilter.length) {
+      d3tree.expandAll();
+      d3.select('#topic-summary').text('Showing ' + ontology.matched + ' terms of the selected topics');
+    }
+    if (linkState) {
+      restoreTree(linkState);
+    } else if (path) {
+      d3tree.reveal(path, function (node) {
+        if (node) {
+          pinNode(node);
+        }
+      });
+    }
   });
-});
+}
+
+/**
+ * Read the state of the page from the hash of its url, as written by `updateLink`
+ * The hash is made of `name=value` parameters joined by `&`:
+ *    dataset: the id of the dataset, the default one if not given
+ *    lang: the language of the names of the terms
+ *    layout: the layout of the tree
+ *    relations: the type of the relations drawn between the terms, or `all`
+ *    topics: the topics the tree is filtered by, joined by `,`
+ *    colour: 1 if the terms are coloured by their topics
+ *    pin: the path of the pinned term, as the ids of the terms joined by `/`
+ *    open: the paths of the expanded terms, joined by `,` (see `expandedPaths` of d3Tree)
+ *    zoom: the zoom transform of the view, as x,y,scale
+ * where the ids, the topics and the other values are url encoded
+ *
+ * @returns {*}: the state, with the defaults of the missing parameters
+ */
+function readLink() {
+  let params = {};
+  window.location.hash.slice(1).split('&').filter(param => param).forEach(param => {
+    let idx = param.indexOf('=');
+    params[idx === -1 ? param : param.slice(0, idx)] = idx === -1 ? '' : param.slice(idx + 1);
+  });
+  let decode = function (value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      //a malformed value is taken as it is
+      return value;
+    }
+  };
+  let list = value => value ? value.split(',').map(decode) : [];
+  let paths = value => value ? value.split(',').map(path => path.split('/').map(decode)) : [];
+  let zoom = (params.zoom || '').split(',').map(Number);
+  return {
+    dataset: decode(params.dataset || ''),
+    lang: decode(params.lang || ''),
+    layout: decode(params.layout || 'tree'),
+    relations: decode(params.relations || ''),
+    topics: list(params.topics),
+    colour: params.colour === '1',
+    pin: paths(params.pin)[0],
+    open: paths(params.open),
+    zoom: zoom.length === 3 && zoom.every(isFinite) ? zoom : undefined
+  };
+}
+
+/**
+ * Method for writing the state of the page to the hash of its url, so the url links to the page as it's shown:
+ *  the dataset, the language, the layout, the relations, the topics, the expanded and the pinned terms, and the zoom
+ * The url is updated once the state stops changing, and not while a link is being restored
+ * The parameters with their default values are left out, so the url of the initial page has no hash
+ */
+function updateLink() {
+  clearTimeout(linkTimer);
+  linkTimer = setTimeout(function () {
+    if (linkState || !d3tree) {
+      return;
+    }
+    let path = ids => ids.map(encodeURIComponent).join('/');
+    let transform = d3tree.zoomTransform();
+    let params = [
+      ['dataset', datasetId && encodeURIComponent(datasetId)],
+      ['lang', encodeURIComponent(language)],
+      ['layout', treeLayout === 'tree' ? '' : encodeURIComponent(treeLayout)],
+      ['relations', encodeURIComponent(relationType)],
+      ['topics', topicFilter.map(encodeURIComponent).join(',')],
+      ['colour', colourByTopic ? '1' : ''],
+      ['pin', pinnedNode ? path(termPath(pinnedNode)) : ''],
+      ['open', d3tree.expandedPaths().map(path).join(',')],
+      ['zoom', d3tree.isZoomed() ? [transform.x, transform.y, transform.k].map(value => Math.round(value * 100) / 100).join(',') : '']
+    ].filter(param => param[1]).map(param => param.join('='));
+    window.history.replaceState(null, '', window.location.pathname + window.location.search +
+      (params.length ? '#' + params.join('&') : ''));
+  }, LINK_DELAY);
+}
+
+/**
+ * Method for restoring the state of the page from its url, as when the page is opened from a link
+ * The dataset is loaded with the topics and the options of the link, and the terms are expanded and pinned
+ *  once its tree is drawn (see `restoreTree`)
+ */
+function restoreLink() {
+  linkState = readLink();
+  let layouts = d3.selectAll('#layout-select option').nodes().map(option => option.value);
+  treeLayout = layouts.indexOf(linkState.layout) !== -1 ? linkState.layout : 'tree';
+  d3.select('#layout-select').property('value', treeLayout);
+  let types = d3.selectAll('#relation-select option').nodes().map(option => option.value);
+  drawRelations(types.indexOf(linkState.relations) !== -1 ? linkState.relations : '');
+  //the language is dropped by `listLanguages` if the dataset has no labels in it
+  language = linkState.lang;
+  d3.select('#topic-colour').property('checked', linkState.colour);
+  colourTopics(linkState.colour);
+  listDatasets(linkState.dataset);
+  loadDataset(linkState.dataset, linkState.topics);
+}
+
+/**
+ * Method for expanding and pinning the terms of a link in the drawn tree, and moving the view as in the link
+ * The terms that are no longer in the tree are skipped
+ *
+ * @param state: the state of the link, as given by `readLink`
+ */
+function restoreTree(state) {
+  let done = function () {
+    if (state.zoom) {
+      d3tree.zoomTransform(d3.zoomIdentity.translate(state.zoom[0], state.zoom[1]).scale(state.zoom[2]));
+    }
+    if (linkState === state) {
+      linkState = undefined;
+    }
+    updateLink();
+  };
+  d3tree.expandPaths(state.open, function () {
+    if (!state.pin) {
+      return done();
+    }
+    d3tree.reveal(state.pin, function (node) {
+      if (node) {
+        pinNode(node);
+      }
+      done();
+    });
+  });
+}
+
+/**
+ * Method for listing the available datasets in the dataset selector
+ *
+ * @param selected: the id of the dataset to be selected
+ */
+function listDatasets(selected) {
+  d3.json('/datasets', function (datasets) {
+    let options = d3.select('#dataset-select').selectAll('option').data(datasets || [], d => d.id);
+    options.exit().remove();
+    options.enter().append('option')
+      .merge(options)
+      .attr('value', d => d.id === 'default' ? '' : d.id)
+      .text(d => d.name + ' (' + d.terms + ' terms)');
+    d3.select('#dataset-select').property('value', selected || '');
+  });
+}
+
+/**
+ * Method for displaying the result of an upload, or its errors, under the upload form
+ *
+ * @param message: the message to be displayed
+ * @param details: list of the details of the message, as the problems found in the files
+ * @param success: whether the upload succeeded
+ */
+function showUploadMessages(message, details, success) {
+  let list = d3.select('#upload-messages');
+  list.selectAll('*').remove();
+  if (!message) {
+    return;
+  }
+  list.append('li')
+    .attr('class', 'list-group-item ' + (success ? 'list-group-item-success' : 'list-group-item-danger'))
+    .text(message);
+  details.forEach(detail => list.append('li').attr('class', 'list-group-item upload-detail').text(detail));
+}
+
+/**
+ * Method for uploading the ontology and definitions files of the upload form as a new dataset
+ * Once the server processes them, the new dataset is selected and its tree is drawn
+ */
+function uploadDataset() {
+  d3.event.preventDefault();
+  let form = d3.select('#upload-form').node();
+  showUploadMessages('Uploading...', [], true);
+  d3.request('/datasets').post(new FormData(form), function (error, xhr) {
+    let response;
+    try {
+      response = JSON.parse((error ? error.target : xhr).responseText);
+    } catch (e) {
+      response = {error: 'The upload failed', details: []};
+    }
+    if (error) {
+      return showUploadMessages(response.error, response.details || []);
+    }
+    //only the first warnings are listed, as a malformed file may have many of them
+    let warnings = response.warnings.length ? [response.warnings.length + ' problems were found in the definitions file']
+      .concat(response.warnings.slice(0, 5)) : [];
+    showUploadMessages('Uploaded ' + response.name + ' with ' + response.terms + ' terms', warnings, true);
+    form.reset();
+    listDatasets(response.id);
+    loadDataset(response.id);
+  });
+}
+
+
+//Starting point of the program
+
+let d3tree;
+let pinnedNode;
+let copyTimer = null;
+let searchTimer = null, searchResults = [], activeResult = -1;
+//the id of the displayed dataset and the base url of its routes, both empty for the default dataset
+let datasetId = '', datasetUrl = '';
+//term id->promise of the data of its children, for the terms whose children were requested
+let childrenCache = {};
+//term id and language->promise of the relations of the term, for the terms whose relations were requested
+let relationsCache = {};
+//the node being moved with the editing menu, until its new parent is chosen
+let movingNode;
+//the language of the names of the terms, empty for their default names
+let language = '';
+//the layout of the tree, see `layout` of d3Tree
+let treeLayout = 'tree';
+//the type of the relations drawn between the terms, `all` for all of them, or an empty string for none
+let relationType = '';
+//id->kind of the mark of the terms found in the annotated text: `match` for the found terms, `ancestor` for their
+// broader terms
+let annotatedTerms = {};
+//the topics of the terms of the displayed dataset, as {topic, terms}, and the topics the tree is filtered by
+let topics = [], topicFilter = [];
+//whether the terms are coloured by their topics, and the colours of the topics
+let colourByTopic = false;
+const topicColors = d3.scaleOrdinal(d3.schemeCategory10);
+//the colour of the terms with no topics
+const NO_TOPIC_COLOR = '#bbb';
+//the largest width or height of the rasterized images of the tree, in pixels
+const MAX_CANVAS_SIZE = 16384;
+//the state of the page read from its url, until it's restored (see `readLink`), and the timer for updating the url
+let linkState, linkTimer = null;
+//the time in milliseconds with no changes before updating the url
+const LINK_DELAY = 300;
+d3.select('#search-input')
+  .on('input', searchTerms)
+  .on('keydown', searchKeyDown)
+  .on('blur', function () {
+    showSearchResults([]);
+  });
+d3.select('#dataset-select')
+  .on('change', function () {
+    showUploadMessages();
+    loadDataset(this.value);
+  });
+d3.select('#upload-form')
+  .on('submit', uploadDataset);
+d3.select('#language-select')
+  .on('change', function () {
+    selectLanguage(this.value);
+  });
+d3.select('#layout-select')
+  .on('change', function () {
+    treeLayout = this.value;
+    if (d3tree) {
+      d3tree.layout(treeLayout);
+    }
+  });
+d3.select('#relation-select')
+  .on('change', function () {
+    drawRelations(this.value);
+  });
+d3.select('#topic-colour')
+  .on('change', function () {
+    colourTopics(this.checked);
+  });
+d3.select('body')
+  .on('click', hideNodeMenu)
+  .on('keydown', function () {
+    if (d3.event.key === 'Escape') {
+      //the focus goes back to the tree when the menu is closed from the keyboard
+      if (d3tree && d3.select('#node-menu').node().contains(document.activeElement)) {
+        d3tree.focus();
+      }
+      hideNodeMenu();
+    }
+  });
+d3.select(window)
+  .on('hashchange', restoreLink);
+restoreLink();
 
 /**
  * Download the ontology data as json file named `ontology`
+ * The downloadable ontology will consists of the whole tree, along with the nodes list and the distance matrix,
+ *  which are only requested from the server when downloading, as the displayed tree is loaded level by level,
+ *  and the distance matrix is quadratic in the number of terms
+ * If a similarity measure is selected, the similarity matrix of the terms (in the same order) is included as well
  */
 function downloadTree() {
-  console.log(processedTree);
-  var blob = new Blob([JSON.stringify(processedTree)], {type: "text/plain;charset=utf-8"});
-  saveAs(blob, "ontology.json");
+  let measure = d3.select('#similarity-measure').property('value');
+
+  //request a route of the dataset, reporting its error (as the matrices being refused for large datasets)
+  let load = function (route, callback) {
+    d3.request(datasetRoute(route)).get(function (error, xhr) {
+      let response;
+      try {
+        response = JSON.parse((error ? error.target : xhr).responseText);
+      } catch (e) {
+        response = {error: 'The download failed'};
+      }
+      if (error) {
+        return showUploadMessages(response.error || 'The download failed', []);
+      }
+      callback(response);
+    });
+  };
+
+  load('/get-tree', function (ontology) {
+    load('/get-distance-matrix', function (distanceMatrix) {
+      let processedTree = {
+        tree: ontology.ontologyTree,
+        terms: distanceMatrix.nodes,
+        distanceMatrix: distanceMatrix.distanceMatrix
+      };
+      let save = function () {
+        var blob = new Blob([JSON.stringify(processedTree)], {type: "text/plain;charset=utf-8"});
+        saveAs(blob, "ontology.json");
+      };
+      if (!measure) {
+        return save();
+      }
+      load('/get-similarity-matrix?measure=' + encodeURIComponent(measure), function (similarity) {
+        processedTree.similarityMeasure = measure;
+        processedTree.similarityMatrix = similarity.similarityMatrix;
+        save();
+      });
+    });
+  });
+}
+
+/**
+ * Download the processed ontology of the displayed dataset in the selected format, as written by the server
+ */
+function exportOntology() {
+  let format = d3.select('#export-format').property('value');
+  window.location.href = datasetRoute('/export-ontology?format=' + encodeURIComponent(format));
+}
+
+/**
+ * Download the tree as it's expanded now as an image named `ontology-tree`
+ * The image is either the svg drawn by the tree, or a png rasterized from it at the selected resolution
+ *
+ * @param format: the format of the image, `svg` or `png`
+ */
+function downloadTreeImage(format) {
+  let svg = d3tree.toSvg();
+  if (format === 'svg') {
+    return saveAs(new Blob([svg], {type: "image/svg+xml;charset=utf-8"}), "ontology-tree.svg");
+  }
+  let image = new Image();
+  image.onload = function () {
+    // browsers limit the size of canvases, so large trees are rasterized at a lower resolution
+    let scale = Math.min(+d3.select('#image-scale').property('value'), MAX_CANVAS_SIZE / Math.max(image.width, image.height));
+    let canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(image.width * scale);
+    canvas.height = Math.ceil(image.height * scale);
+    let context = canvas.getContext('2d');
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0);
+    canvas.toBlob(function (blob) {
+      saveAs(blob, "ontology-tree.png");
+    });
+  };
+  image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+}
+
+/**
+ * Download the whole tree of the displayed dataset, fully expanded, as a document drawn by the server
+ *
+ * @param format: the format of the document, `svg` or `pdf`
+ */
+function exportTree(format) {
+  window.location.href = datasetRoute('/export-tree?format=' + format);
 }
@@ -0,0 +1,124 @@
+/**
+ * This module displays the data quality report of a dataset
+ * The dataset is given by the `dataset` parameter of the page url, the default dataset is used if not given
+ * Each kind of problems is displayed as a table, and the report can be downloaded as a page or as json
+ */
+
+/**
+ * The sections of the report, each with its title, description and table columns
+ * Each column is [header, fn(item)->text]
+ */
+const SECTIONS = [
+  {
+    key: 'unmatchedRows',
+    title: 'Unmatched definitions',
+    description: 'Rows of the definitions file that match no term, with the nearest terms as suggestions.',
+    columns: [
+      ['Row', d => d.row],
+      ['Term', d => d.term],
+      ['Suggestions', d => d.suggestions.map(cur => cur.name + ' (' + cur.id + ')').join(', ')]
+    ]
+  },
+  {
+    key: 'orphans',
+    title: 'Orphan concepts',
+    description: 'Concepts with no broader concept that aren\'t top concepts of any scheme, they are shown at the top of the tree.',
+    columns: [['Id', d => d.id], ['Name', d => d.name], ['Uri', d => d.uri]]
+  },
+  {
+    key: 'unknownBroader',
+    title: 'Dropped broader links',
+    description: 'Broader links to resources that aren\'t concepts of the ontology.',
+    columns: [['Id', d => d.id], ['Broader', d => d.broader]]
+  },
+  {
+    key: 'duplicateIds',
+    title: 'Duplicate ids',
+    description: 'Concepts merged into other concepts with the same id.',
+    columns: [['Id', d => d.id], ['Uri', d => d.uri], ['Merged into', d => d.existing]]
+  },
+  {
+    key: 'sharedSynonyms',
+    title: 'Shared synonyms',
+    description: 'Synonyms given to more than one term, they are only kept with the first of them.',
+    columns: [['Synonym', d => d.synonym], ['Terms', d => d.terms.join(', ')]]
+  },
+  {
+    key: 'cycles',
+    title: 'Cycles',
+    description: 'Terms that are broader than each other.',
+    columns: [['Terms', d => d.join(' -> ')]]
+  },
+  {
+    key: 'missingDefinitions',
+    title: 'Missing definitions',
+    description: 'Terms with no definitions.',
+    columns: [['Id', d => d.id], ['Name', d => d.name]]
+  }
+];
+
+/**
+ * Method for displaying the report
+ *
+ * @param report: the report, as returned from the server
+ */
+function showReport(report) {
+  let div = d3.select('#report-div');
+  div.selectAll('*').remove();
+  let summary = div.append('table').attr('class', 'table table-sm report-summary');
+  summary.append('tbody').selectAll('tr')
+    .data([['Terms', report.summary.terms], ['Definition rows', report.summary.definitionRows]]
+      .concat(SECTIONS.map(section => [section.title, report.summary[section.key]])))
+    .enter().append('tr')
+    .each(function (d) {
+      d3.select(this).append('th').text(d[0]);
+      d3.select(this).append('td').text(d[1]);
+    });
+  SECTIONS.forEach(section => {
+    let items = report[section.key];
+    div.append('h4').text(section.title + ' (' + items.length + ')');
+    div.append('p').attr('class', 'report-description').text(section.description);
+    if (!items.length) {
+      return;
+    }
+    let table = div.append('table').attr('class', 'table table-sm table-striped');
+    table.append('thead').append('tr').selectAll('th')
+      .data(section.columns).enter().append('th').text(column => column[0]);
+    table.append('tbody').selectAll('tr')
+      .data(items).enter().append('tr')
+      .each(function (item) {
+        d3.select(this).selectAll('td')
+          .data(section.columns).enter().append('td').text(column => column[1](item));
+      });
+  });
+}
+
+/**
+ * Download the displayed report as a standalone html page named `report.html`
+ */
+function downloadReportPage() {
+  let styles = d3.selectAll('link[rel="stylesheet"]').nodes().map(link => link.outerHTML).join('\n');
+  let html = '<html><head><title>' + document.title + '</title>' + styles + '</head><body><h1>Data Quality Report</h1>' +
+    d3.select('#report-div').html() + '</body></html>';
+  saveAs(new Blob([html], {type: "text/html;charset=utf-8"}), "report.html");
+}
+
+/**
+ * Download the report as json file named `report.json`
+ */
+function downloadReportJson() {
+  saveAs(new Blob([JSON.stringify(report)], {type: "text/plain;charset=utf-8"}), "report.json");
+}
+
+
+//Starting point of the program
+
+let report;
+let datasetId = new URLSearchParams(window.location.search).get('dataset');
+d3.json((datasetId ? '/datasets/' + encodeURIComponent(datasetId) : '') + '/get-report', function (data) {
+  if (!data || !data.summary) {
+    return d3.select('#report-div').text(data && data.error ? data.error : 'The report could not be loaded');
+  }
+  report = data;
+  showReport(report);
+});
@@ -0,0 +1,133 @@
+var express = require('express');
+/* Versioned json API for browsing the concepts of a dataset
+ * Every error is answered with {error: message, status: code} */
+var router = express.Router();
+var concepts = express.Router({mergeParams: true});
+let dataProcessing = require('../core/dataPreprocessing.js');
+let {Dataset} = require('../core/dataset.js');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Answer a request with an error
+ * @param res: the response
+ * @param status: the http status of the error
+ * @param message: the description of the error
+ */
+function sendError(res, status, message) {
+  res.status(status).json({error: message, status});
+}
+
+/**
+ * Read an optional non negative integer parameter of the query
+ * @param req: the request
+ * @param name: the name of the parameter
+ * @returns {number|undefined|null}: the value of the parameter, undefined if it's not given, or null if it's invalid
+ */
+function integerParam(req, name) {
+  let value = req.query[name];
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Answer a request with a page of a list of items
+ * The page is given by the `offset` and `limit` parameters of the query
+ * @param req: the request
+ * @param res: the response
+ * @param items: the whole list
+ * @param map: fn(item)->the item as sent in the response
+ */
+function sendPage(req, res, items, map) {
+  let offset = integerParam(req, 'offset'), limit = integerParam(req, 'limit');
+  if (offset === null || limit === null || limit === 0) {
+    return sendError(res, 400, '`offset` should be a non negative number, and `limit` a positive number');
+  }
+  offset = offset || 0;
+  limit = Math.min(limit || DEFAULT_LIMIT, MAX_LIMIT);
+  res.json({
+    items: items.slice(offset, offset + limit).map(map),
+    total: items.length,
+    offset,
+    limit
+  });
+}
+
+concepts.use(function (req, res, next) {
+  let id = req.params.datasetId;
+  req.dataset = id ? dataProcessing.getDataset(id) : dataProcessing.getDefaultDataset();
+  if (!req.dataset) {
+    if (id) {
+      return sendError(res, 404, 'Unknown dataset: ' + id);
+    }
+    let error = dataProcessing.getDefaultDatasetError();
+    return sendError(res, 503, error ? error.message : 'The default dataset is still being loaded');
+  }
+  let lang = req.query.lang;
+  if (lang !== undefined && lang !== '' && !Dataset.isLanguageTag(lang)) {
+    return sendError(res, 400, '`lang` should be a language tag, as `en` or `fr-CA`');
+  }
+  next();
+});
+
+concepts.param('conceptId', function (req, res, next, id) {
+  req.concept = req.dataset.getConcept(id);
+  if (!req.concept) {
+    return sendError(res, 404, 'Unknown concept: ' + id);
+  }
+  next();
+});
+
+/* GET the concepts with no broader concepts */
+concepts.get('/roots', function (req, res, next) {
+  sendPage(req, res, req.dataset.getRoots(), id => req.dataset.getConcept(id, false, req.query.lang));
+});
+/* GET all the concepts */
+concepts.get('/concepts', function (req, res, next) {
+  sendPage(req, res, req.dataset.treeBuilder.getNodesIds(), id => req.dataset.getConcept(id, false, req.query.lang));
+});
+/* GET a concept with all of its data */
+concepts.get('/concepts/:conceptId', function (req, res, next) {
+  res.json(req.dataset.getConcept(req.concept.id, true, req.query.lang));
+});
+/* GET the children of a concept */
+concepts.get('/concepts/:conceptId/children', function (req, res, next) {
+  sendPage(req, res, req.dataset.getChildren(req.concept.id), id => req.dataset.getConcept(id, false, req.query.lang));
+});
+/* GET the ancestors of a concept, nearest first, with the number of links to each of them */
+concepts.get('/concepts/:conceptId/ancestors', function (req, res, next) {
+  sendPage(req, res, req.dataset.getRelatives(req.concept.id, 'parents'),
+    cur => Object.assign(req.dataset.getConcept(cur.id, false, req.query.lang), {distance: cur.distance}));
+});
+/* GET the descendants of a concept down to `depth` levels, nearest first, with the number of links to each of them */
+concepts.get('/concepts/:conceptId/descendants', function (req, res, next) {
+  let depth = integerParam(req, 'depth');
+  if (depth === null) {
+    return sendError(res, 400, '`depth` should be a non negative number');
+  }
+  sendPage(req, res, req.dataset.getRelatives(req.concept.id, 'children', depth),
+    cur => Object.assign(req.dataset.getConcept(cur.id, false, req.query.lang), {distance: cur.distance}));
+});
+/* GET the subtree under a concept down to `depth` levels */
+concepts.get('/concepts/:conceptId/subtree', function (req, res, next) {
+  let depth = integerParam(req, 'depth');
+  if (depth === null) {
+    return sendError(res, 400, '`depth` should be a non negative number');
+  }
+  res.json(req.dataset.getSubtree(req.concept.id, depth, req.query.lang));
+});
+
+router.use('/datasets/:datasetId', concepts);
+router.use('/', concepts);
+router.use(function (req, res, next) {
+  sendError(res, 404, 'Unknown route: ' + req.method + ' ' + req.originalUrl);
+});
+router.use(function (err, req, res, next) {
+  console.error(err);
+  sendError(res, err.status || 500, err.status ? err.message : 'Internal server error');
+});
+
+module.exports = router;
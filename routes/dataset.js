@@ -0,0 +1,311 @@
+var express = require('express');
+/* Routes for querying a dataset, which is found by the `datasetId` parameter and set to `req.dataset` */
+var router = express.Router({mergeParams: true});
+let dataProcessing = require('../core/dataPreprocessing.js');
+let TreeExport = require('../core/treeExport.js');
+let exporters = require('../core/exporters');
+let SkosReader = require('../core/skosReader.js');
+let {Dataset} = require('../core/dataset.js');
+
+router.use(function (req, res, next) {
+  let id = req.params.datasetId;
+  req.dataset = id ? dataProcessing.getDataset(id) : dataProcessing.getDefaultDataset();
+  if (!req.dataset) {
+    if (id) {
+      return res.status(404).json({error: 'Unknown dataset: ' + id});
+    }
+    let error = dataProcessing.getDefaultDatasetError();
+    return res.status(503).json(error ? {error: error.message, details: error.details} :
+      {error: 'The default dataset is still being loaded'});
+  }
+  next();
+});
+/* the language the terms are named in, given by `lang` (empty for their default names), is checked for all the routes */
+router.use(function (req, res, next) {
+  let lang = req.query.lang;
+  if (lang !== undefined && lang !== '' && !Dataset.isLanguageTag(lang)) {
+    return res.status(400).json({error: '`lang` should be a language tag, as `en` or `fr-CA`'});
+  }
+  next();
+});
+
+/* GET the tree, whole or down to `depth` levels */
+router.get('/get-tree', function (req, res, next) {
+  let depth = req.query.depth === undefined ? undefined : parseInt(req.query.depth, 10);
+  if (depth !== undefined && (isNaN(depth) || depth < 1)) {
+    return res.status(400).json({error: '`depth` should be a positive number'});
+  }
+  res.json(req.dataset.getTree(depth));
+});
+/* GET the tree of the terms with any of the topics given by `topic` (repeated for several topics), with their ancestors */
+router.get('/get-topic-tree', function (req, res, next) {
+  let topics = [].concat(req.query.topic || []);
+  if (!topics.length) {
+    return res.status(400).json({error: 'At least one `topic` is required'});
+  }
+  let unknown = topics.find(topic => !req.dataset.hasTopic(topic));
+  if (unknown !== undefined) {
+    return res.status(404).json({error: 'Unknown topic: ' + unknown});
+  }
+  let tree = req.dataset.getTopicTree(topics);
+  if (!tree) {
+    return res.status(409).json({error: 'The tree can not be built, the hierarchy has cycles'});
+  }
+  res.json(tree);
+});
+/* GET the children of the term given by `id` as tree nodes, or the top level terms if no id is given */
+router.get('/get-children', function (req, res, next) {
+  let children = req.dataset.getTreeChildren(req.query.id);
+  if (!children) {
+    return res.status(404).json({error: 'Unknown term id: ' + req.query.id});
+  }
+  res.json(children);
+});
+/* GET the whole tree drawn as a document, in the `format` svg or pdf, down to `depth` levels if given */
+router.get('/export-tree', function (req, res, next) {
+  let format = req.query.format || 'svg';
+  if (!TreeExport.FORMATS.hasOwnProperty(format)) {
+    return res.status(400).json({error: 'Unknown format: ' + format, formats: Object.keys(TreeExport.FORMATS)});
+  }
+  let depth = req.query.depth === undefined ? undefined : parseInt(req.query.depth, 10);
+  if (depth !== undefined && (isNaN(depth) || depth < 1)) {
+    return res.status(400).json({error: '`depth` should be a positive number'});
+  }
+  let document = req.dataset.exportTree(format, depth);
+  if (document === undefined) {
+    return res.status(409).json({error: 'The tree can not be drawn, the hierarchy has cycles'});
+  }
+  res.attachment('ontology-tree.' + format).type(TreeExport.FORMATS[format]).send(document);
+});
+/* GET the processed ontology as a file, in the `format` turtle, jsonld, csv, graphml, gexf or newick */
+router.get('/export-ontology', function (req, res, next) {
+  let exporter = exporters.get(req.query.format);
+  if (!exporter) {
+    return res.status(400).json({error: 'Unknown format: ' + req.query.format, formats: exporters.formats()});
+  }
+  req.dataset.exportOntology(exporter.name).then(function (content) {
+    res.attachment('ontology' + exporter.extension).type(exporter.contentType).send(content);
+  }).catch(function (error) {
+    if (typeof error !== 'string') {
+      return next(error);
+    }
+    res.status(409).json({error});
+  });
+});
+
+/**
+ * Check the types of the non hierarchical relations to be followed by the distances, and respond with 400
+ *  if any of them is unknown
+ * @param relations: the types of the relations, as `related` or `exactMatch` (see SkosReader class)
+ * @param res: the response
+ * @returns {boolean}: whether all the types are known
+ */
+function checkRelations(relations, res) {
+  let unknown = relations.find(type => SkosReader.RELATIONS.indexOf(type) === -1);
+  if (unknown !== undefined) {
+    res.status(400).json({error: 'Unknown relation: ' + unknown, relations: SkosReader.RELATIONS});
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Check that the dataset is small enough for the matrices between all of its terms, and respond with 413 otherwise,
+ *  as they are quadratic in the number of terms (see `Dataset.MAX_MATRIX_TERMS`)
+ * @param req: the request
+ * @param res: the response
+ * @param alternative: the route computing the values for given pairs of terms, suggested instead
+ * @returns {boolean}: whether the matrices can be computed
+ */
+function checkMatrixSize(req, res, alternative) {
+  let terms = req.dataset.summary().terms;
+  if (terms > Dataset.MAX_MATRIX_TERMS) {
+    res.status(413).json({
+      error: 'The dataset has ' + terms + ' terms, the matrices are only computed for up to ' + Dataset.MAX_MATRIX_TERMS +
+        ' terms, use `' + alternative + '` for the pairs of terms needed',
+      maxTerms: Dataset.MAX_MATRIX_TERMS
+    });
+    return false;
+  }
+  return true;
+}
+
+/* GET the distances between all the terms, following the relations given by `relation` (repeated for several types) */
+router.get('/get-distance-matrix', function (req, res, next) {
+  let relations = [].concat(req.query.relation || []);
+  if (checkRelations(relations, res) && checkMatrixSize(req, res, 'POST /distances')) {
+    res.json(req.dataset.getDistanceMatrix(relations));
+  }
+});
+/* GET the distance between two terms, given by `from` and `to` ids, following the relations given by `relation` */
+router.get('/distance', function (req, res, next) {
+  let {from, to} = req.query;
+  let relations = [].concat(req.query.relation || []);
+  if (!from || !to) {
+    return res.status(400).json({error: 'Both `from` and `to` term ids are required'});
+  }
+  if (!checkRelations(relations, res)) {
+    return;
+  }
+  let unknown = [from, to].find(id => !req.dataset.hasTerm(id));
+  if (unknown !== undefined) {
+    return res.status(404).json({error: 'Unknown term id: ' + unknown});
+  }
+  res.json({from, to, distance: req.dataset.getDistance(from, to, relations)});
+});
+/* POST the distances between several pairs of terms, given as {pairs: [[from, to], ...], relations: [type, ...]} */
+router.post('/distances', function (req, res, next) {
+  let pairs = req.body && req.body.pairs;
+  let relations = req.body && req.body.relations || [];
+  if (!Array.isArray(pairs) || !pairs.every(pair => Array.isArray(pair) && pair.length === 2)) {
+    return res.status(400).json({error: '`pairs` should be a list of [from, to] term ids'});
+  }
+  if (!Array.isArray(relations)) {
+    return res.status(400).json({error: '`relations` should be a list of relation types'});
+  }
+  if (!checkRelations(relations, res)) {
+    return;
+  }
+  let distances = req.dataset.getDistances(pairs, relations);
+  res.json(pairs.map((pair, idx) => ({from: pair[0], to: pair[1], distance: distances[idx] === undefined ? null : distances[idx]})));
+});
+/* GET the similarity between two terms, given by `from` and `to` ids, with the measure given by `measure` */
+router.get('/similarity', function (req, res, next) {
+  let {from, to, measure} = req.query;
+  if (!from || !to || !measure) {
+    return res.status(400).json({error: '`from` and `to` term ids and the `measure` are required'});
+  }
+  if (req.dataset.getSimilarityMeasures().indexOf(measure) === -1) {
+    return res.status(400).json({error: 'Unknown measure: ' + measure, measures: req.dataset.getSimilarityMeasures()});
+  }
+  let unknown = [from, to].find(id => !req.dataset.hasTerm(id));
+  if (unknown !== undefined) {
+    return res.status(404).json({error: 'Unknown term id: ' + unknown});
+  }
+  res.json({from, to, measure, similarity: req.dataset.getSimilarity(measure, from, to)});
+});
+/* POST the similarities between several pairs of terms, given as {measure, pairs: [[from, to], ...]} */
+router.post('/similarities', function (req, res, next) {
+  let {pairs, measure} = req.body || {};
+  if (req.dataset.getSimilarityMeasures().indexOf(measure) === -1) {
+    return res.status(400).json({error: 'Unknown measure: ' + measure, measures: req.dataset.getSimilarityMeasures()});
+  }
+  if (!Array.isArray(pairs) || !pairs.every(pair => Array.isArray(pair) && pair.length === 2)) {
+    return res.status(400).json({error: '`pairs` should be a list of [from, to] term ids'});
+  }
+  res.json(pairs.map(pair => {
+    let similarity = req.dataset.getSimilarity(measure, pair[0], pair[1]);
+    return {from: pair[0], to: pair[1], similarity: similarity === undefined ? null : similarity};
+  }));
+});
+/* GET the similarities between all the terms, with the measure given by `measure` */
+router.get('/get-similarity-matrix', function (req, res, next) {
+  let measure = req.query.measure;
+  if (req.dataset.getSimilarityMeasures().indexOf(measure) === -1) {
+    return res.status(400).json({error: 'Unknown measure: ' + measure, measures: req.dataset.getSimilarityMeasures()});
+  }
+  if (checkMatrixSize(req, res, 'POST /similarities')) {
+    res.json(req.dataset.getSimilarityMatrix(measure));
+  }
+});
+/* GET the terms matching the query `q`, at most `limit` of them, named in the language `lang` if given */
+router.get('/search', function (req, res, next) {
+  let limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit, 10);
+  if (isNaN(limit) || limit < 1) {
+    return res.status(400).json({error: '`limit` should be a positive number'});
+  }
+  res.json(req.dataset.searchTerms(req.query.q, Math.min(limit, 100), req.query.lang));
+});
+/* POST a text to find the terms in, given as {text, ancestors, lang}, where the ancestors of the found terms are
+ listed as well if `ancestors` is set, and the terms are named in the language `lang` if given */
+router.post('/annotate', function (req, res, next) {
+  let {text, ancestors, lang} = req.body || {};
+  if (typeof text !== 'string') {
+    return res.status(400).json({error: '`text` should be the text to be annotated'});
+  }
+  if (lang !== undefined && lang !== '' && !Dataset.isLanguageTag(lang)) {
+    return res.status(400).json({error: '`lang` should be a language tag, as `en` or `fr-CA`'});
+  }
+  res.json(req.dataset.annotate(text, Boolean(ancestors), lang));
+});
+router.get('/get-dag', function (req, res, next) {
+  res.json(req.dataset.getDag());
+});
+/* GET the non hierarchical relations of the term given by `id`, naming the related terms in the language `lang` if given */
+router.get('/get-relations', function (req, res, next) {
+  let relations = req.dataset.getRelations(req.query.id, req.query.lang);
+  if (!relations) {
+    return res.status(404).json({error: 'Unknown term id: ' + req.query.id});
+  }
+  res.json(relations);
+});
+/* GET the languages of the labels of the terms, the most common first */
+router.get('/get-languages', function (req, res, next) {
+  res.json(req.dataset.getLanguages());
+});
+/* GET the topics of the terms, the most common first */
+router.get('/get-topics', function (req, res, next) {
+  res.json(req.dataset.getTopics());
+});
+/* GET the data quality report of the dataset */
+router.get('/get-report', function (req, res, next) {
+  res.json(req.dataset.getReport());
+});
+
+/**
+ * Make a change to the terms of the dataset, and respond with the change, the changed term and its path in the tree,
+ *  where the term and the path are missing if the term no longer exists
+ * Editing is disabled when the READ_ONLY environment variable is set
+ * @param req: the request
+ * @param res: the response
+ * @param next: the next handler, for unexpected errors
+ * @param status: the http status of the response once the change is made, as 201 for an added term
+ * @param edit: fn()->change: the function making the change
+ */
+function sendEdit(req, res, next, status, edit) {
+  if (process.env.READ_ONLY) {
+    return res.status(403).json({error: 'Editing is disabled'});
+  }
+  let change;
+  try {
+    change = edit();
+  } catch (error) {
+    if (error.name !== 'EditError') {
+      return next(error);
+    }
+    return res.status(error.status).json({error: error.message});
+  }
+  let dataset = req.dataset;
+  res.status(status)
+    .json({change, concept: dataset.getConcept(change.id, true), path: dataset.getPath(change.id)});
+}
+
+/* POST a new term, given as {name, id, parent} where id and parent are optional */
+router.post('/add-concept', function (req, res, next) {
+  sendEdit(req, res, next, 201, () => req.dataset.addConcept(req.body));
+});
+/* POST the new name of a term, given as {id, name} */
+router.post('/rename-concept', function (req, res, next) {
+  let {id, name} = req.body || {};
+  sendEdit(req, res, next, 200, () => req.dataset.renameConcept(id, name));
+});
+/* POST a move of a term from a parent to another, given as {id, from, to} where either from or to may be omitted */
+router.post('/move-concept', function (req, res, next) {
+  let {id, from, to} = req.body || {};
+  sendEdit(req, res, next, 200, () => req.dataset.moveConcept(id, from || undefined, to || undefined));
+});
+/* POST the removal of a term, given as {id}, its children are moved to its parents */
+router.post('/remove-concept', function (req, res, next) {
+  let id = req.body && req.body.id;
+  sendEdit(req, res, next, 200, () => req.dataset.removeConcept(id));
+});
+/* POST undoing the latest change */
+router.post('/undo', function (req, res, next) {
+  sendEdit(req, res, next, 200, () => req.dataset.undo());
+});
+/* GET the changes that can be undone, latest first */
+router.get('/get-history', function (req, res, next) {
+  res.json(req.dataset.getHistory());
+});
+
+module.exports = router;
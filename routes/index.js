@@ -1,16 +1,104 @@
 var express = require('express');
 var router = express.Router();
+var multer = require('multer');
 let dataProcessing=require('../core/dataPreprocessing.js');
+var datasetRouter = require('./dataset');
+//uploaded files are kept in memory, as they are processed right away
+var upload = multer({storage: multer.memoryStorage(), limits: {fileSize: 50 * 1024 * 1024}})
+  .fields([{name: 'ontology', maxCount: 1}, {name: 'definitions', maxCount: 1}, {name: 'mapping', maxCount: 1}]);
+
+/**
+ * Middleware for receiving the uploaded files, where upload errors (as too large files) are sent as bad requests
+ */
+function uploadFiles(req, res, next) {
+  upload(req, res, function (error) {
+    if (error) {
+      return res.status(400).json({error: error.message, details: []});
+    }
+    next();
+  });
+}
 /* GET home page. */
 router.get('/', function (req, res, next) {
   res.render('index', {title: 'Ontology Tree Visualizer'});
 });
 
-router.get('/get-tree', function (req, res, next) {
-  res.json(dataProcessing.getTree());
+/* GET the available datasets */
+router.get('/datasets', function (req, res, next) {
+  res.json(dataProcessing.listDatasets());
+});
+/* POST a new dataset, with the `ontology` file, and optionally the `definitions` csv file, the `mapping` of its columns
+ (as a json file or text), the ontology `format` and the dataset `name` */
+router.post('/datasets', uploadFiles, function (req, res, next) {
+  let files = req.files || {};
+  if (!files.ontology) {
+    return res.status(400).json({error: 'The `ontology` file is required', details: []});
+  }
+  let ontology = files.ontology[0];
+  let definitions = files.definitions && files.definitions[0];
+  let mapping = files.mapping ? files.mapping[0].buffer.toString('utf8') : req.body.mapping;
+  dataProcessing.createDataset({
+    name: req.body.name || ontology.originalname,
+    ontology: ontology.buffer.toString('utf8'),
+    ontologyFile: ontology.originalname,
+    format: req.body.format || undefined,
+    definitions: definitions && definitions.buffer.toString('utf8'),
+    mapping
+  }).then(function (dataset) {
+    res.status(201).json(dataset.summary());
+  }).catch(function (error) {
+    if (error.name !== 'DatasetError') {
+      return next(error);
+    }
+    res.status(400).json({error: error.message, details: error.details});
+  });
 });
-router.get('/get-distance-matrix', function (req, res, next) {
-  res.json(dataProcessing.getDistanceMatrix());
+
+/**
+ * Get the differences between the datasets given by the `from` (old version) and `to` (new version) query parameters,
+ *  where the default dataset has the id `default`
+ * An error is sent if any of the datasets is missing
+ * @param req: the request
+ * @param res: the response
+ * @returns {OntologyDiff|undefined}: the differences, or undefined if an error was sent
+ */
+function compareDatasets(req, res) {
+  let {from, to} = req.query;
+  if (!from || !to) {
+    res.status(400).json({error: 'Both `from` and `to` dataset ids are required'});
+    return undefined;
+  }
+  let unknown = [from, to].find(id => !dataProcessing.getDataset(id));
+  if (unknown !== undefined) {
+    res.status(404).json({error: 'Unknown dataset: ' + unknown});
+    return undefined;
+  }
+  return dataProcessing.getDataset(from).compareWith(dataProcessing.getDataset(to));
+}
+
+/* GET the added, removed, moved, renamed and changed terms between two datasets, given by `from` and `to` ids */
+router.get('/diff', function (req, res, next) {
+  let diff = compareDatasets(req, res);
+  if (diff) {
+    res.json(diff.compile());
+  }
 });
+/* GET the tree holding the terms of two datasets, where each term has its status in the differences between them */
+router.get('/diff-tree', function (req, res, next) {
+  let diff = compareDatasets(req, res);
+  if (diff) {
+    res.json(diff.compileTree());
+  }
+});
+/* DELETE an uploaded dataset */
+router.delete('/datasets/:datasetId', function (req, res, next) {
+  if (!dataProcessing.removeDataset(req.params.datasetId)) {
+    return res.status(404).json({error: 'Unknown or default dataset: ' + req.params.datasetId});
+  }
+  res.status(204).end();
+});
+
+router.use('/datasets/:datasetId', datasetRouter);
+router.use('/', datasetRouter);
 
 module.exports = router;
@@ -0,0 +1,59 @@
+let test = require('node:test');
+let assert = require('assert');
+let {startServer, uploadOntology} = require('./server');
+
+const ONTOLOGY = `
+@prefix skos: <http://www.w3.org/2004/02/skos/core#> .
+@prefix ex: <http://example.org/> .
+ex:water a skos:Concept ; skos:prefLabel "water"@en, "вода"@ru, "νερό"@el .
+ex:ocean a skos:Concept ; skos:prefLabel "ocean"@en, "海洋"@ja ; skos:broader ex:water .
+`;
+
+test('the terms are found by their labels in non Latin scripts', async function () {
+  let server = await startServer();
+  try {
+    let {status, body} = await uploadOntology(server.url, 'labels.ttl', ONTOLOGY);
+    assert.strictEqual(status, 201);
+    let search = async function (query, lang) {
+      let response = await fetch(server.url + '/datasets/' + body.id + '/search?q=' + encodeURIComponent(query) +
+        (lang ? '&lang=' + lang : ''));
+      return response.json();
+    };
+    let results = await search('вода', 'ru');
+    assert.deepStrictEqual(results.map(result => [result.id, result.name]), [['water', 'вода']]);
+    assert.strictEqual(results[0].field, 'label');
+    assert.deepStrictEqual((await search('ВОДА')).map(result => result.id), ['water']);
+    assert.deepStrictEqual((await search('νερο')).map(result => result.id), ['water']);
+    assert.deepStrictEqual((await search('海')).map(result => result.id), ['ocean']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the language of the names is refused unless it is a language tag', async function () {
+  let server = await startServer();
+  try {
+    let {body} = await uploadOntology(server.url, 'labels.ttl', ONTOLOGY);
+    let route = server.url + '/datasets/' + body.id;
+    for (let url of [route + '/search?q=a&lang=x&lang=y', route + '/search?q=a&lang=%3Cb%3E',
+      route + '/get-relations?id=water&lang[a]=b']) {
+      let response = await fetch(url);
+      assert.strictEqual(response.status, 400);
+      assert.match((await response.json()).error, /`lang`/);
+    }
+    let response = await fetch(route + '/annotate', {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({text: 'water', lang: ['ru']})
+    });
+    assert.strictEqual(response.status, 400);
+    response = await fetch(server.url + '/api/v1/datasets/' + body.id + '/concepts?lang=x&lang=y');
+    assert.deepStrictEqual(await response.json(), {error: '`lang` should be a language tag, as `en` or `fr-CA`', status: 400});
+    response = await fetch(route + '/search?q=water&lang=ru-RU');
+    assert.deepStrictEqual((await response.json()).map(result => result.name), ['вода']);
+    response = await fetch(route + '/search?q=water&lang=');
+    assert.deepStrictEqual((await response.json()).map(result => result.name), ['water']);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,39 @@
+/**
+ * Helpers for testing the routes of the server
+ * The datasets aren't cached or watched while testing, so the tests leave no files behind and the process can exit
+ */
+process.env.NO_CACHE = '1';
+process.env.NO_WATCH = '1';
+let http = require('http');
+let app = require('../app');
+
+/**
+ * Start the server on a free port
+ * @returns {Promise<{url: string, close: fn()->Promise}>}: the url of the server, and the function stopping it
+ */
+function startServer() {
+  return new Promise(function (resolve) {
+    let server = http.createServer(app).listen(0, '127.0.0.1', function () {
+      resolve({
+        url: 'http://127.0.0.1:' + server.address().port,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Upload a dataset made of an ontology file
+ * @param url: the url of the server
+ * @param name: the name of the ontology file, its extension gives its format
+ * @param content: the content of the ontology file
+ * @returns {Promise<{status: number, body: *}>}: the status and the json body of the response
+ */
+async function uploadOntology(url, name, content) {
+  let form = new FormData();
+  form.append('ontology', new Blob([content]), name);
+  let response = await fetch(url + '/datasets', {method: 'POST', body: form});
+  return {status: response.status, body: await response.json()};
+}
+
+module.exports = {startServer, uploadOntology};
@@ -0,0 +1,47 @@
+let test = require('node:test');
+let assert = require('assert');
+let http = require('http');
+let {startServer, uploadOntology} = require('./server');
+
+test('a JSON-LD upload with a remote context is refused without fetching the context', async function () {
+  let requests = [];
+  let probe = http.createServer(function (req, res) {
+    requests.push(req.url);
+    res.setHeader('Content-Type', 'application/ld+json');
+    res.end('{"@context": {}}');
+  });
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  let server = await startServer();
+  try {
+    let context = 'http://127.0.0.1:' + probe.address().port + '/probe-from-jsonld';
+    let {status, body} = await uploadOntology(server.url, 'remote.jsonld', JSON.stringify({
+      '@context': context,
+      '@id': 'http://example.org/water',
+      '@type': 'http://www.w3.org/2004/02/skos/core#Concept'
+    }));
+    assert.strictEqual(status, 400);
+    assert.match(body.details.join('\n'), /Remote contexts are not loaded/);
+    assert.deepStrictEqual(requests, []);
+  } finally {
+    await server.close();
+    await new Promise(resolve => probe.close(resolve));
+  }
+});
+
+test('a JSON-LD upload holding its context is loaded', async function () {
+  let server = await startServer();
+  try {
+    let {status, body} = await uploadOntology(server.url, 'inline.jsonld', JSON.stringify({
+      '@context': {skos: 'http://www.w3.org/2004/02/skos/core#'},
+      '@graph': [
+        {'@id': 'http://example.org/water', '@type': 'skos:Concept', 'skos:prefLabel': 'water'},
+        {'@id': 'http://example.org/sea', '@type': 'skos:Concept', 'skos:prefLabel': 'sea',
+          'skos:broader': {'@id': 'http://example.org/water'}}
+      ]
+    }));
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.terms, 2);
+  } finally {
+    await server.close();
+  }
+});